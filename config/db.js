@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { runMigrations } = require('../migrations');
 
 const connectDB = async () => {
   try {
@@ -7,6 +8,7 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`.cyan.underline);
+    await runMigrations();
   } catch (error) {
     console.error(`Error: ${error.message}`.red.underline.bold);
     process.exit(1);
@@ -0,0 +1,111 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { validationResult } = require('express-validator');
+exports.getPolicies = async (req, res, next) => {
+try {
+const { cinemaId, movieId, isActive } = req.query;
+const query = {};
+if (cinemaId) {
+query.cinemaId = cinemaId;
+}
+if (movieId) {
+query.movieId = movieId;
+}
+if (isActive !== undefined) {
+query.isActive = isActive === 'true';
+}
+const policies = await CancellationPolicy.find(query)
+.populate('cinemaId', 'name')
+.populate('movieId', 'title')
+.sort({ createdAt: -1 });
+res.status(200).json({
+success: true,
+count: policies.length,
+data: policies
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getPolicyById = async (req, res, next) => {
+try {
+const policy = await CancellationPolicy.findById(req.params.id);
+if (!policy) {
+return res.status(404).json({
+success: false,
+message: 'Cancellation policy not found'
+});
+}
+res.status(200).json({
+success: true,
+data: policy
+});
+} catch (err) {
+next(err);
+}
+};
+exports.createPolicy = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const policy = await CancellationPolicy.create({
+...req.body,
+createdBy: req.user.id
+});
+res.status(201).json({
+success: true,
+data: policy
+});
+} catch (err) {
+next(err);
+}
+};
+exports.updatePolicy = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const policy = await CancellationPolicy.findByIdAndUpdate(req.params.id, req.body, {
+new: true,
+runValidators: true
+});
+if (!policy) {
+return res.status(404).json({
+success: false,
+message: 'Cancellation policy not found'
+});
+}
+res.status(200).json({
+success: true,
+data: policy
+});
+} catch (err) {
+next(err);
+}
+};
+exports.deletePolicy = async (req, res, next) => {
+try {
+const policy = await CancellationPolicy.findById(req.params.id);
+if (!policy) {
+return res.status(404).json({
+success: false,
+message: 'Cancellation policy not found'
+});
+}
+await policy.deleteOne();
+res.status(200).json({
+success: true,
+data: {}
+});
+} catch (err) {
+next(err);
+}
+};
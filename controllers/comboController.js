@@ -131,7 +131,7 @@ success: false,
 message: 'Combo not found'
 });
 }
-const ticketCount = await Ticket.countDocuments({ 'combos.comboId': combo._id });
+const ticketCount = await Ticket.countDocuments({ 'combos.combo': combo._id });
 if (ticketCount > 0) {
 return res.status(400).json({
 success: false,
@@ -1,6 +1,8 @@
 const Ticket = require('../models/Ticket');
 const Movie = require('../models/Movie');
 const Payment = require('../models/Payment');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const { startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, subDays, format } = require('date-fns');
 exports.getRevenueStats = async (req, res, next) => {
 try {
@@ -105,7 +107,7 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$movieId',
 ticketCount: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' }
+totalRevenue: { $sum: '$totalAmount' }
 }
 },
 { $sort: { totalRevenue: -1 } },
@@ -189,7 +191,7 @@ const topMovies = await Ticket.aggregate([
 $group: {
 _id: '$movieId',
 ticketCount: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
 averageRating: { $avg: '$rating' }
 }
 },
@@ -230,8 +232,8 @@ const summary = await Ticket.aggregate([
 $group: {
 _id: null,
 totalTickets: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' },
-avgTicketPrice: { $avg: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
+avgTicketPrice: { $avg: '$totalAmount' },
 uniqueMovies: { $addToSet: '$movieId' }
 }
 },
@@ -296,9 +298,9 @@ $group: {
 _id: '$cinemaId',
 cinemaName: { $first: '$cinema.name' },
 location: { $first: '$cinema.location.formattedAddress' },
-totalRevenue: { $sum: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
 ticketCount: { $sum: 1 },
-averageTicketPrice: { $avg: '$totalPrice' },
+averageTicketPrice: { $avg: '$totalAmount' },
 uniqueMovies: { $addToSet: '$movieId' }
 }
 },
@@ -436,7 +438,7 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$userId',
 ticketCount: { $sum: 1 },
-totalSpent: { $sum: '$totalPrice' },
+totalSpent: { $sum: '$totalAmount' },
 lastPurchase: { $max: '$confirmedAt' }
 }
 },
@@ -487,7 +489,7 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$userId',
 ticketCount: { $sum: 1 },
-totalSpent: { $sum: '$totalPrice' },
+totalSpent: { $sum: '$totalAmount' },
 lastPurchase: { $max: '$confirmedAt' }
 }
 },
@@ -541,4 +543,65 @@ groupBy
 } catch (err) {
 next(err);
 }
-};
\ No newline at end of file
+};
+exports.getRevenueByCategory = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { from, to, cinemaId } = req.query;
+const endDate = to ? new Date(to) : new Date();
+const startDate = from ? new Date(from) : subDays(endDate, 30);
+const matchQuery = {
+status: 'confirmed',
+confirmedAt: { 
+$gte: startOfDay(new Date(startDate)),
+$lte: endOfDay(new Date(endDate))
+}
+};
+if (cinemaId) {
+matchQuery.cinemaId = new mongoose.Types.ObjectId(cinemaId);
+}
+const revenueByCategory = await Ticket.aggregate([
+{ $match: matchQuery },
+{ $unwind: '$seats' },
+{
+$group: {
+_id: { $ifNull: ['$seats.category', 'adult'] },
+seatCount: { $sum: 1 },
+totalRevenue: { $sum: '$seats.price' },
+averagePrice: { $avg: '$seats.price' }
+}
+},
+{
+$project: {
+_id: 0,
+category: '$_id',
+seatCount: 1,
+totalRevenue: 1,
+averagePrice: { $round: ['$averagePrice', 0] }
+}
+},
+{ $sort: { totalRevenue: -1 } }
+]);
+const totalRevenue = revenueByCategory.reduce((sum, item) => sum + item.totalRevenue, 0);
+res.status(200).json({
+success: true,
+data: revenueByCategory.map(item => ({
+...item,
+share: totalRevenue > 0 ? Math.round((item.totalRevenue / totalRevenue) * 10000) / 100 : 0
+})),
+meta: {
+startDate,
+endDate,
+totalRevenue
+}
+});
+} catch (err) {
+next(err);
+}
+};
@@ -0,0 +1,151 @@
+const GiftCard = require('../models/GiftCard');
+const LedgerEntry = require('../models/LedgerEntry');
+const { validationResult } = require('express-validator');
+// Issue one or more cards; the PINs are only ever shown in this response
+exports.issueGiftCards = async (req, res, next) => {
+const session = await GiftCard.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { amount, count = 1, expiresAt, note } = req.body;
+const issued = [];
+for (let i = 0; i < count; i++) {
+const { giftCard, pin } = await GiftCard.issue({ amount, expiresAt, note }, req.user.id, { session });
+issued.push({
+_id: giftCard._id,
+code: giftCard.code,
+pin,
+amount: giftCard.balance,
+expiresAt: giftCard.expiresAt
+});
+}
+await session.commitTransaction();
+session.endSession();
+res.status(201).json({
+success: true,
+count: issued.length,
+data: issued,
+message: 'Gift cards issued. Store the PINs now; they cannot be shown again.'
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
+exports.checkGiftCardBalance = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+let giftCard;
+try {
+giftCard = await GiftCard.findUsable(req.body.code, req.body.pin);
+} catch (error) {
+if (!error.statusCode) throw error;
+return res.status(error.statusCode).json({
+success: false,
+message: error.message
+});
+}
+res.status(200).json({
+success: true,
+data: {
+code: giftCard.code,
+balance: giftCard.balance,
+currency: giftCard.currency,
+expiresAt: giftCard.expiresAt
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getGiftCards = async (req, res, next) => {
+try {
+const { status, code, page = 1, limit = 20 } = req.query;
+const query = {};
+if (status) {
+query.status = status;
+}
+if (code) {
+query.code = code.toUpperCase();
+}
+const skip = (page - 1) * limit;
+const [giftCards, total] = await Promise.all([
+GiftCard.find(query)
+.populate('issuedBy', 'name')
+.sort({ createdAt: -1 })
+.skip(skip)
+.limit(parseInt(limit)),
+GiftCard.countDocuments(query)
+]);
+res.status(200).json({
+success: true,
+count: giftCards.length,
+total,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+data: giftCards
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getGiftCardById = async (req, res, next) => {
+try {
+const giftCard = await GiftCard.findById(req.params.id).populate('issuedBy', 'name');
+if (!giftCard) {
+return res.status(404).json({
+success: false,
+message: 'Gift card not found'
+});
+}
+const [reconciliation, entries] = await Promise.all([
+giftCard.reconcile(),
+LedgerEntry.find({ accountType: 'gift_card', accountId: giftCard._id }).sort({ createdAt: 1 })
+]);
+res.status(200).json({
+success: true,
+data: {
+giftCard,
+reconciliation,
+entries
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.disableGiftCard = async (req, res, next) => {
+try {
+const giftCard = await GiftCard.findById(req.params.id);
+if (!giftCard) {
+return res.status(404).json({
+success: false,
+message: 'Gift card not found'
+});
+}
+giftCard.status = 'disabled';
+await giftCard.save();
+res.status(200).json({
+success: true,
+data: giftCard,
+message: 'Gift card disabled'
+});
+} catch (err) {
+next(err);
+}
+};
@@ -0,0 +1,598 @@
+const GroupBooking = require('../models/GroupBooking');
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const Movie = require('../models/Movie');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const SeatHold = require('../models/SeatHold');
+const { emitSeatChange } = require('../utils/seatEvents');
+const { findBestSeats } = require('../utils/seatSelector');
+const { checkOrphanSeats } = require('../utils/seatRules');
+const { checkAgeRating } = require('../utils/ageRating');
+const { validationResult } = require('express-validator');
+const GROUP_MIN_SEATS = parseInt(process.env.GROUP_BOOKING_MIN_SEATS, 10) || 10;
+const GROUP_MAX_SEATS = parseInt(process.env.GROUP_BOOKING_MAX_SEATS, 10) || 200;
+// Unpaid seats are held for at most this long after the group is created
+const GROUP_MAX_HOLD_HOURS = parseInt(process.env.GROUP_BOOKING_MAX_HOLD_HOURS, 10) || 72;
+// Unpaid seats go back on sale at least this long before the show
+const GROUP_RELEASE_BEFORE_SHOW_HOURS = parseInt(process.env.GROUP_BOOKING_RELEASE_BEFORE_SHOW_HOURS, 10) || 24;
+// Share of a room's seats one group can hold for a single schedule
+const GROUP_MAX_ROOM_SHARE = parseInt(process.env.GROUP_BOOKING_MAX_ROOM_SHARE_PERCENT, 10) || 50;
+const HOUR_MS = 60 * 60 * 1000;
+const canManageGroup = (group, user) => group.organizer.toString() === user.id || user.role === 'admin';
+exports.createGroupBooking = async (req, res, next) => {
+const session = await GroupBooking.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { name, organization, paymentMode, deadline, blocks, notes } = req.body;
+const organizerId = req.user.id;
+const seatCount = blocks.reduce((sum, block) => sum + (block.seats ? block.seats.length : block.quantity), 0);
+if (seatCount < GROUP_MIN_SEATS || seatCount > GROUP_MAX_SEATS) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Group bookings must have between ${GROUP_MIN_SEATS} and ${GROUP_MAX_SEATS} seats`
+});
+}
+const group = new GroupBooking({
+name,
+organizer: organizerId,
+organization,
+paymentMode,
+deadline: new Date(deadline),
+notes
+});
+if (group.deadline <= new Date()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'The payment deadline must be in the future'
+});
+}
+if (group.deadline > new Date(Date.now() + GROUP_MAX_HOLD_HOURS * HOUR_MS)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Unpaid group seats can be held for at most ${GROUP_MAX_HOLD_HOURS} hours`
+});
+}
+// Seats already held in the organizer's other unpaid groups count too
+const openGroups = await GroupBooking.find({ organizer: organizerId, status: 'open' }).select('tickets').session(session);
+const heldSeats = await Ticket.countDocuments({
+_id: { $in: openGroups.flatMap(openGroup => openGroup.tickets) },
+status: 'pending'
+}).session(session);
+if (heldSeats + seatCount > GROUP_MAX_SEATS) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `You already hold ${heldSeats} unpaid group seat(s); at most ${GROUP_MAX_SEATS} can be held at once`
+});
+}
+const organizer = await User.findById(organizerId).select('dateOfBirth').session(session);
+const reserved = [];
+const warnings = [];
+for (const block of blocks) {
+const schedule = await Schedule.findById(block.scheduleId).session(session);
+if (!schedule || schedule.status !== 'scheduled') {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: `Schedule not found with id of ${block.scheduleId}`
+});
+}
+if (group.deadline > new Date(schedule.startTime.getTime() - GROUP_RELEASE_BEFORE_SHOW_HOURS * HOUR_MS)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `The payment deadline must be at least ${GROUP_RELEASE_BEFORE_SHOW_HOURS} hours before every showtime in the group`
+});
+}
+const room = await Room.findById(schedule.roomId).session(session);
+const blockSize = block.seats ? block.seats.length : block.quantity;
+const maxBlockSize = Math.floor(room.capacity * GROUP_MAX_ROOM_SHARE / 100);
+if (blockSize > maxBlockSize) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `A group can hold at most ${maxBlockSize} seat(s) for schedule ${schedule._id}`
+});
+}
+let seatCodes = block.seats;
+if (!seatCodes) {
+// Let the system pick a cluster of seats around the best spot in the room
+const seatMap = await schedule.getSeatMap();
+seatCodes = findBestSeats(seatMap ? seatMap.seats : [], block.quantity).map(seat => seat.code);
+if (seatCodes.length < block.quantity) {
+await session.abortTransaction();
+session.endSession();
+return res.status(409).json({
+success: false,
+message: `Only ${seatCodes.length} seat(s) are free for schedule ${schedule._id}`
+});
+}
+}
+const invalidSeats = seatCodes.filter(seatCode => !room.seats.some(s => s.code === seatCode));
+if (invalidSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
+});
+}
+// Same seat and age rules as a regular booking
+const unpairedSeats = room.findUnpairedCoupleSeats(seatCodes);
+if (unpairedSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Couple seats must be booked as a pair',
+unpairedSeats
+});
+}
+const orphanCheck = await checkOrphanSeats(schedule, seatCodes);
+if (orphanCheck.orphanSeats.length > 0) {
+if (orphanCheck.policy === 'reject') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+warnings.push({
+scheduleId: schedule._id,
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+// Children are checked against every block for the same show, so an adult
+// block can accompany them
+const movie = await Movie.findById(schedule.movieId).select('title ageRating').session(session);
+const ageCheck = checkAgeRating(movie && movie.ageRating, {
+dateOfBirth: organizer && organizer.dateOfBirth,
+categories: blocks
+.filter(other => other.scheduleId === block.scheduleId)
+.map(other => other.category || 'adult'),
+showTime: schedule.startTime
+});
+if (!ageCheck.allowed) {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: ageCheck.message,
+ageRating: movie.ageRating
+});
+}
+// One ticket per seat so each attendee gets their own QR code
+for (const seatCode of seatCodes) {
+const seatInfo = room.seats.find(s => s.code === seatCode);
+const category = block.category || 'adult';
+const { price, eligibilityNote } = schedule.getSeatPrice(seatInfo.type, category);
+const ticket = new Ticket({
+userId: organizerId,
+scheduleId: schedule._id,
+movieId: schedule.movieId,
+cinemaId: schedule.cinemaId,
+roomId: schedule.roomId,
+seats: [{
+code: seatCode,
+type: seatInfo.type,
+category,
+eligibilityNote,
+price,
+row: seatInfo.row,
+column: seatInfo.column
+}],
+combos: [],
+status: 'pending',
+ageRestriction: {
+rating: movie && movie.ageRating,
+minAge: ageCheck.minAge,
+idCheckRequired: ageCheck.idCheckRequired
+},
+groupBookingId: group._id,
+pendingExpiresAt: group.deadline
+});
+await SeatHold.placeHolds(schedule._id, [seatCode], organizerId, {
+session,
+ticketId: ticket._id,
+expiresAt: group.deadline
+});
+await ticket.save({ session });
+group.tickets.push(ticket._id);
+}
+reserved.push({ scheduleId: schedule._id, seats: seatCodes });
+}
+group.ensureInvoiceNumber();
+await group.save({ session });
+await session.commitTransaction();
+session.endSession();
+reserved.forEach(block => emitSeatChange(block.scheduleId, block.seats, 'held'));
+res.status(201).json({
+success: true,
+data: {
+groupBookingId: group._id,
+inviteCode: group.inviteCode,
+deadline: group.deadline,
+paymentMode: group.paymentMode,
+seatCount,
+blocks: reserved
+},
+warnings: warnings.length > 0 ? warnings : undefined,
+message: `${seatCount} seats reserved until ${group.deadline.toISOString()}`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+if (err.takenSeats) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+takenSeats: err.takenSeats
+});
+}
+next(err);
+}
+};
+exports.getGroupBooking = async (req, res, next) => {
+try {
+const group = await GroupBooking.findById(req.params.id)
+.populate('organizer', 'name email phone');
+if (!group) {
+return res.status(404).json({
+success: false,
+message: 'Group booking not found'
+});
+}
+if (group.organizer._id.toString() !== req.user.id && req.user.role !== 'admin') {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this group booking'
+});
+}
+if (group.status === 'open') {
+await group.refreshStatus();
+if (group.isModified('status')) {
+await group.save();
+}
+}
+const tickets = await Ticket.find({ _id: { $in: group.tickets } })
+.select('userId scheduleId seats status totalAmount')
+.populate('userId', 'name email')
+.lean();
+const summary = tickets.reduce((counts, ticket) => {
+counts[ticket.status] = (counts[ticket.status] || 0) + 1;
+return counts;
+}, {});
+res.status(200).json({
+success: true,
+data: {
+group,
+summary,
+tickets
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.joinGroupBooking = async (req, res, next) => {
+const session = await Ticket.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { inviteCode, scheduleId } = req.body;
+const group = await GroupBooking.findOne({ inviteCode: inviteCode.toUpperCase() }).session(session);
+if (!group || group.status !== 'open' || group.deadline <= new Date()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Invite code is invalid or the group is closed'
+});
+}
+const alreadyJoined = await Ticket.findOne({
+_id: { $in: group.tickets },
+userId: req.user.id,
+status: { $in: ['pending', 'confirmed'] }
+}).session(session);
+if (alreadyJoined && group.organizer.toString() !== req.user.id) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'You already have a seat in this group',
+ticketId: alreadyJoined._id
+});
+}
+// Seats nobody has claimed yet still belong to the organizer
+const query = {
+_id: { $in: group.tickets },
+userId: group.organizer,
+status: 'pending'
+};
+if (scheduleId) {
+query.scheduleId = scheduleId;
+}
+const ticket = await Ticket.findOne(query)
+.sort({ 'seats.row': 1, 'seats.column': 1 })
+.session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(409).json({
+success: false,
+message: 'All seats in this group have been claimed'
+});
+}
+// Seat categories were checked when the group was made; the attendee
+// taking the seat still has to be old enough for the movie
+const [schedule, user] = await Promise.all([
+Schedule.findById(ticket.scheduleId).select('startTime').session(session),
+User.findById(req.user.id).select('dateOfBirth').session(session)
+]);
+const ageCheck = checkAgeRating(ticket.ageRestriction && ticket.ageRestriction.rating, {
+dateOfBirth: user && user.dateOfBirth,
+showTime: schedule.startTime
+});
+if (!ageCheck.allowed) {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: ageCheck.message,
+ageRating: ticket.ageRestriction.rating
+});
+}
+ticket.userId = req.user.id;
+await ticket.save({ session });
+await session.commitTransaction();
+session.endSession();
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+scheduleId: ticket.scheduleId,
+seat: ticket.seats[0].code,
+amount: ticket.totalAmount,
+paymentMode: group.paymentMode,
+deadline: group.deadline
+},
+message: group.paymentMode === 'attendee' ?
+'Seat claimed. Please pay for it before the group deadline.' :
+'Seat claimed. The organizer will pay for it.'
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+// Another attendee claimed the same seat at the same moment
+if (err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) {
+return res.status(409).json({
+success: false,
+message: 'That seat was just claimed, please try again'
+});
+}
+next(err);
+}
+};
+exports.payGroupInvoice = async (req, res, next) => {
+const session = await GroupBooking.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { paymentMethod = 'bank_transfer', referenceId, amount: amountReceived } = req.body;
+const group = await GroupBooking.findById(req.params.id).session(session);
+if (!group) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Group booking not found'
+});
+}
+if (group.status !== 'open' || group.deadline <= new Date()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Group booking is ${group.status} and cannot be paid for`
+});
+}
+const tickets = await Ticket.find({ _id: { $in: group.tickets }, status: 'pending' }).session(session);
+if (tickets.length === 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Nothing left to pay on this group booking'
+});
+}
+// The transfer must cover exactly what is still owed on the unpaid seats
+const amount = tickets.reduce((sum, ticket) => sum + ticket.getOutstandingAmount(), 0);
+if (amountReceived !== amount) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `The amount received (${amountReceived}) does not match the ${amount} due on this invoice`,
+amountDue: amount
+});
+}
+const invoiceNumber = group.ensureInvoiceNumber();
+const paidAt = new Date();
+for (const ticket of tickets) {
+const payment = new Payment({
+userId: group.organizer,
+ticketId: ticket._id,
+amount: ticket.getOutstandingAmount(),
+method: paymentMethod,
+recordedBy: req.user.id,
+paymentDetails: {
+provider: 'invoice',
+accountInfo: invoiceNumber,
+transactionTime: paidAt,
+responseMessage: referenceId
+}
+});
+await payment.confirm(ticket, { session });
+}
+group.invoice.paidAt = paidAt;
+group.invoice.paymentMethod = paymentMethod;
+group.invoice.referenceId = referenceId;
+group.invoice.recordedBy = req.user.id;
+await group.refreshStatus({ session });
+await group.save({ session });
+await session.commitTransaction();
+session.endSession();
+const seatsBySchedule = new Map();
+tickets.forEach(ticket => {
+const key = ticket.scheduleId.toString();
+if (!seatsBySchedule.has(key)) seatsBySchedule.set(key, []);
+seatsBySchedule.get(key).push(...ticket.seats.map(s => s.code));
+});
+seatsBySchedule.forEach((seatCodes, scheduleId) => emitSeatChange(scheduleId, seatCodes, 'booked'));
+res.status(200).json({
+success: true,
+data: {
+groupBookingId: group._id,
+invoiceNumber,
+ticketsPaid: tickets.length,
+amount,
+status: group.status
+},
+message: `Invoice ${invoiceNumber} paid for ${tickets.length} seat(s)`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+if (err.statusCode === 410) {
+return res.status(400).json({
+success: false,
+message: 'Some seats in the group have already been released'
+});
+}
+next(err);
+}
+};
+exports.getGroupInvoice = async (req, res, next) => {
+try {
+const group = await GroupBooking.findById(req.params.id);
+if (!group) {
+return res.status(404).json({
+success: false,
+message: 'Group booking not found'
+});
+}
+if (!canManageGroup(group, req.user) && req.user.role !== 'finance') {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this invoice'
+});
+}
+const invoice = await group.buildInvoice();
+res.status(200).json({
+success: true,
+data: invoice
+});
+} catch (err) {
+next(err);
+}
+};
+exports.cancelGroupBooking = async (req, res, next) => {
+const session = await GroupBooking.startSession();
+session.startTransaction();
+try {
+const group = await GroupBooking.findById(req.params.id).session(session);
+if (!group) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Group booking not found'
+});
+}
+if (!canManageGroup(group, req.user)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Not authorized to cancel this group booking'
+});
+}
+if (group.status !== 'open') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Group booking is already ${group.status}`
+});
+}
+// Paid seats stay valid and can be cancelled one by one like any ticket
+const tickets = await Ticket.find({ _id: { $in: group.tickets }, status: 'pending' }).session(session);
+for (const ticket of tickets) {
+await SeatHold.releaseHolds(ticket._id, { session });
+ticket.status = 'cancelled';
+ticket.cancelledAt = new Date();
+ticket.cancelledBy = req.user.id;
+await ticket.save({ session });
+}
+group.status = 'cancelled';
+await group.save({ session });
+await session.commitTransaction();
+session.endSession();
+tickets.forEach(ticket => emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'released'));
+res.status(200).json({
+success: true,
+data: {
+groupBookingId: group._id,
+releasedSeats: tickets.length
+},
+message: `Group booking cancelled; ${tickets.length} unpaid seat(s) released`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
@@ -0,0 +1,223 @@
+const Invoice = require('../models/Invoice');
+const Ticket = require('../models/Ticket');
+const { renderInvoiceHtml } = require('../utils/invoiceHtml');
+const { validationResult } = require('express-validator');
+const BUYER_FIELDS = ['name', 'companyName', 'taxCode', 'address', 'email'];
+const canViewInvoice = (invoice, user) => invoice.userId.toString() === user.id || ['finance', 'admin'].includes(user.role);
+// Company invoice for a confirmed ticket, requested by the buyer. Refunds
+// made after this are issued as adjustment invoices.
+exports.requestInvoice = async (req, res, next) => {
+const session = await Invoice.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { ticketId, name, companyName, taxCode, address, email } = req.body;
+const ticket = await Ticket.findById(ticketId).session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id) {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Only the buyer can request an invoice for this ticket'
+});
+}
+if (ticket.status !== 'confirmed' || ticket.paymentStatus !== 'completed') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'An invoice can only be requested for a confirmed, fully paid ticket with no refunds'
+});
+}
+const existing = await Invoice.findCurrent(ticket._id, { session });
+if (existing) {
+await session.abortTransaction();
+session.endSession();
+return res.status(409).json({
+success: false,
+message: `This ticket was already invoiced as ${existing.series} ${existing.number}`
+});
+}
+const invoice = await Invoice.issueForTicket(ticket, {
+name: name || req.user.name,
+companyName,
+taxCode,
+address,
+email: email || req.user.email
+}, req.user.id, { session });
+await session.commitTransaction();
+session.endSession();
+res.status(201).json({
+success: true,
+data: invoice,
+message: `Invoice ${invoice.series} ${invoice.number} issued`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
+// Own invoices; finance and admins see all and can filter
+exports.getInvoices = async (req, res, next) => {
+try {
+const { ticketId, cinemaId, invoiceType, status, page = 1, limit = 20 } = req.query;
+const query = {};
+if (!['finance', 'admin'].includes(req.user.role)) {
+query.userId = req.user.id;
+} else if (cinemaId) {
+query.cinemaId = cinemaId;
+}
+if (ticketId) {
+query.ticketId = ticketId;
+}
+if (invoiceType) {
+query.invoiceType = invoiceType;
+}
+if (status) {
+query.status = status;
+}
+const skip = (page - 1) * limit;
+const [invoices, total] = await Promise.all([
+Invoice.find(query)
+.select('-lines')
+.sort({ issuedAt: -1 })
+.skip(skip)
+.limit(parseInt(limit)),
+Invoice.countDocuments(query)
+]);
+res.status(200).json({
+success: true,
+count: invoices.length,
+total,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+data: invoices
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getInvoiceById = async (req, res, next) => {
+try {
+const invoice = await Invoice.findById(req.params.id)
+.populate('relatedInvoice', 'invoiceType series number issuedAt')
+.populate('replacedBy', 'invoiceType series number issuedAt');
+if (!invoice) {
+return res.status(404).json({
+success: false,
+message: 'Invoice not found'
+});
+}
+if (!canViewInvoice(invoice, req.user)) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this invoice'
+});
+}
+const adjustments = await Invoice.find({ relatedInvoice: invoice._id, invoiceType: 'adjustment' })
+.select('series number issuedAt totals reason')
+.sort({ issuedAt: 1 });
+res.status(200).json({
+success: true,
+data: {
+invoice,
+adjustments
+}
+});
+} catch (err) {
+next(err);
+}
+};
+// Printable HTML version of the invoice
+exports.printInvoice = async (req, res, next) => {
+try {
+const invoice = await Invoice.findById(req.params.id).populate('relatedInvoice', 'series number issuedAt');
+if (!invoice) {
+return res.status(404).json({
+success: false,
+message: 'Invoice not found'
+});
+}
+if (!canViewInvoice(invoice, req.user)) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this invoice'
+});
+}
+res.status(200).type('html').send(renderInvoiceHtml(invoice, invoice.relatedInvoice));
+} catch (err) {
+next(err);
+}
+};
+// Finance replaces an invoice, e.g. to correct the buyer or to restate it
+// after refunds instead of keeping a chain of adjustments
+exports.replaceInvoice = async (req, res, next) => {
+const session = await Invoice.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const invoice = await Invoice.findById(req.params.id).session(session);
+if (!invoice) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Invoice not found'
+});
+}
+const buyer = {};
+BUYER_FIELDS.forEach(field => {
+if (req.body[field] !== undefined) {
+buyer[field] = req.body[field];
+}
+});
+let replacement;
+try {
+replacement = await invoice.replace(buyer, req.body.reason, req.user.id, { session });
+} catch (error) {
+if (!error.statusCode) throw error;
+await session.abortTransaction();
+session.endSession();
+return res.status(error.statusCode).json({
+success: false,
+message: error.message
+});
+}
+await session.commitTransaction();
+session.endSession();
+res.status(201).json({
+success: true,
+data: replacement,
+message: `Invoice ${invoice.series} ${invoice.number} replaced by ${replacement.series} ${replacement.number}`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
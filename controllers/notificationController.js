@@ -0,0 +1,101 @@
+const Notification = require('../models/Notification');
+const { onNotification } = require('../utils/notifications');
+const { validationResult } = require('express-validator');
+exports.getMyNotifications = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { unread, page = 1, limit = 20 } = req.query;
+const query = { userId: req.user.id };
+if (unread === 'true') {
+query.readAt = null;
+}
+const [notifications, total, unreadCount] = await Promise.all([
+Notification.find(query)
+.sort({ createdAt: -1 })
+.limit(limit * 1)
+.skip((page - 1) * limit)
+.lean(),
+Notification.countDocuments(query),
+Notification.countDocuments({ userId: req.user.id, readAt: null })
+]);
+res.status(200).json({
+success: true,
+count: notifications.length,
+total,
+unreadCount,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+data: notifications
+});
+} catch (err) {
+next(err);
+}
+};
+exports.markNotificationRead = async (req, res, next) => {
+try {
+const notification = await Notification.findOneAndUpdate(
+{ _id: req.params.id, userId: req.user.id },
+{ $set: { readAt: new Date() } },
+{ new: true }
+);
+if (!notification) {
+return res.status(404).json({
+success: false,
+message: 'Notification not found'
+});
+}
+res.status(200).json({
+success: true,
+data: notification
+});
+} catch (err) {
+next(err);
+}
+};
+exports.markAllNotificationsRead = async (req, res, next) => {
+try {
+const result = await Notification.updateMany(
+{ userId: req.user.id, readAt: null },
+{ $set: { readAt: new Date() } }
+);
+res.status(200).json({
+success: true,
+data: {
+updated: result.modifiedCount
+}
+});
+} catch (err) {
+next(err);
+}
+};
+// Server-sent events with the user's new notifications as they are sent
+exports.streamNotifications = async (req, res, next) => {
+try {
+res.set({
+'Content-Type': 'text/event-stream',
+'Cache-Control': 'no-cache',
+Connection: 'keep-alive',
+'X-Accel-Buffering': 'no'
+});
+res.flushHeaders();
+const unsubscribe = onNotification(notification => {
+if (notification.userId === req.user.id) {
+res.write(`event: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+}
+});
+// Keep proxies from closing an idle connection
+const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+req.on('close', () => {
+clearInterval(heartbeat);
+unsubscribe();
+});
+} catch (err) {
+next(err);
+}
+};
@@ -1,11 +1,18 @@
 const Payment = require('../models/Payment');
 const Ticket = require('../models/Ticket');
+const SeatHold = require('../models/SeatHold');
+const Schedule = require('../models/Schedule');
+const { emitSeatChange } = require('../utils/seatEvents');
+const Wallet = require('../models/Wallet');
+const GiftCard = require('../models/GiftCard');
+const { OFFLINE_METHODS, STORED_VALUE_METHODS, normalizeMethod, getProvider, getProviderByName } = require('../utils/paymentProviders');
+const { REFUND_REASONS } = require('../utils/refundReasons');
 const { validationResult } = require('express-validator');
 exports.processPayment = async (req, res, next) => {
 const session = await Payment.startSession();
 session.startTransaction();
 try {
-const { ticketId, paymentMethod, paymentDetails } = req.body;
+const { ticketId, paymentMethod } = req.body;
 const userId = req.user.id;
 const errors = validationResult(req);
 if (!errors.isEmpty()) {
@@ -41,7 +48,7 @@ success: false,
 message: `Ticket is ${ticket.status} and cannot be paid for`
 });
 }
-if (ticket.expiresAt < new Date()) {
+if (ticket.pendingExpiresAt < new Date()) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
@@ -49,30 +56,182 @@ success: false,
 message: 'Ticket reservation has expired. Please select your seats again.'
 });
 }
-const paymentAmount = ticket.finalPrice || ticket.totalPrice;
-const paymentId = `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+// Wallet and gift card pay first; whatever they do not cover goes to remainderMethod
+const storedValueMethod = STORED_VALUE_METHODS.includes(normalizeMethod(paymentMethod)) ?
+normalizeMethod(paymentMethod) : null;
+const method = storedValueMethod ? normalizeMethod(req.body.remainderMethod) : normalizeMethod(paymentMethod);
+const provider = method ? getProvider(method) : null;
+const isCounterSale = method === 'cash' && ['staff', 'admin'].includes(req.user.role);
+if (method && !provider && !isCounterSale) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: OFFLINE_METHODS.includes(method) ?
+`${method} payments can only be taken at the counter` :
+`${method} payments are not available`
+});
+}
+// Each call pays one leg: `amount` of what is still outstanding, or all of it
+const outstanding = ticket.getOutstandingAmount();
+if (outstanding === 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Nothing is left to pay on this ticket'
+});
+}
+if (req.body.amount != null && req.body.amount > outstanding) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Amount is more than the ${outstanding} left to pay on this ticket`
+});
+}
+let paymentAmount = req.body.amount != null ? req.body.amount : outstanding;
+if (storedValueMethod) {
+let giftCard = null;
+let available;
+if (storedValueMethod === 'wallet') {
+const wallet = await Wallet.findOne({ userId: ticket.userId }).session(session);
+available = wallet ? wallet.balance : 0;
+} else {
+const { code, pin } = req.body.paymentDetails || {};
+giftCard = await GiftCard.findUsable(code, pin, { session });
+available = giftCard.balance;
+}
+const storedValueAmount = Math.min(available, paymentAmount);
+if (storedValueAmount < paymentAmount && !method) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Your ${storedValueMethod === 'wallet' ? 'wallet' : 'gift card'} balance of ${available} does not cover ${paymentAmount}. Choose a remainderMethod to pay the rest.`
+});
+}
+if (storedValueAmount > 0) {
+const storedValuePayment = new Payment({
+userId: ticket.userId,
+ticketId: ticket._id,
+amount: storedValueAmount,
+currency: 'VND',
+method: storedValueMethod,
+status: 'pending',
+transactionId: `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+paymentDetails: {
+provider: storedValueMethod,
+giftCardId: giftCard && giftCard._id,
+accountInfo: giftCard ? giftCard.code : undefined
+},
+ipAddress: req.ip,
+userAgent: req.get('User-Agent')
+});
+const ledgerFields = { type: 'payment', paymentId: storedValuePayment._id, ticketId: ticket._id, createdBy: req.user.id };
+if (giftCard) {
+await GiftCard.debit(giftCard._id, storedValueAmount, ledgerFields, { session });
+} else {
+await Wallet.debit(ticket.userId, storedValueAmount, ledgerFields, { session });
+}
+const original = await storedValuePayment.confirm(ticket, { session });
+paymentAmount -= storedValueAmount;
+if (paymentAmount === 0) {
+await session.commitTransaction();
+session.endSession();
+if (ticket.status === 'confirmed') {
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'booked');
+}
+if (original) {
+emitSeatChange(original.scheduleId, original.seats.map(s => s.code), 'released');
+}
+return res.status(201).json({
+success: true,
+data: {
+paymentId: storedValuePayment._id,
+amount: storedValuePayment.amount,
+currency: storedValuePayment.currency,
+status: storedValuePayment.status,
+ticketId: ticket._id,
+ticketStatus: ticket.status,
+outstandingAmount: ticket.getOutstandingAmount()
+},
+message: `Paid ${storedValuePayment.amount} from your ${storedValueMethod === 'wallet' ? 'wallet' : 'gift card'}. ` +
+(ticket.status === 'confirmed' ? 'Ticket confirmed.' : `${ticket.getOutstandingAmount()} left to pay.`)
+});
+}
+}
+}
 const payment = new Payment({
 userId: ticket.userId,
 ticketId: ticket._id,
 amount: paymentAmount,
 currency: 'VND',
-paymentMethod,
-paymentDetails: {
-...paymentDetails,
-cardNumber: paymentDetails.cardNumber ? 
-`****-****-****-${paymentDetails.cardNumber.slice(-4)}` : undefined
+method,
+status: 'pending',
+transactionId: `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+paymentDetails: {},
+ipAddress: req.ip,
+userAgent: req.get('User-Agent')
+});
+if (isCounterSale) {
+payment.paymentDetails.provider = 'cash';
+payment.paymentDetails.accountInfo = `Collected by ${req.user.id}`;
+const original = await payment.confirm(ticket, { session });
+await session.commitTransaction();
+session.endSession();
+if (ticket.status === 'confirmed') {
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'booked');
+}
+if (original) {
+emitSeatChange(original.scheduleId, original.seats.map(s => s.code), 'released');
+}
+return res.status(201).json({
+success: true,
+data: {
+paymentId: payment._id,
+amount: payment.amount,
+currency: payment.currency,
+status: payment.status,
+ticketId: ticket._id,
+ticketStatus: ticket.status,
+outstandingAmount: ticket.getOutstandingAmount()
 },
-status: 'completed',
-paymentId,
-paidAt: new Date()
+message: ticket.status === 'confirmed' ?
+'Cash payment recorded. Ticket confirmed.' :
+`Cash payment recorded. ${ticket.getOutstandingAmount()} left to pay.`
 });
-ticket.status = 'confirmed';
-ticket.paymentId = payment._id;
-ticket.confirmedAt = new Date();
+}
+// Saved first so the provider call runs outside the transaction. The ticket
+// is only confirmed once the provider's signed callback arrives.
+payment.paymentDetails.provider = provider.name;
 await payment.save({ session });
-await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
+let checkout;
+try {
+checkout = await provider.createPayment({
+payment,
+orderInfo: `Thanh toan ve ${ticket._id}`,
+ipAddress: req.ip
+});
+} catch (error) {
+payment.status = 'failed';
+payment.paymentDetails.responseMessage = error.message;
+await payment.save();
+return res.status(502).json({
+success: false,
+message: `Could not start the ${provider.name} payment. Please try again.`
+});
+}
+payment.paymentDetails = {
+provider: provider.name,
+providerRef: checkout.providerRef,
+payUrl: checkout.payUrl,
+deeplink: checkout.deeplink,
+transactionTime: new Date()
+};
+await payment.save();
 res.status(201).json({
 success: true,
 data: {
@@ -80,19 +239,62 @@ paymentId: payment._id,
 amount: payment.amount,
 currency: payment.currency,
 status: payment.status,
-ticket: {
-id: ticket._id,
-movie: ticket.movieId,
-schedule: ticket.scheduleId,
-seats: ticket.seats.map(s => s.code),
-combos: ticket.combos
-}
+provider: provider.name,
+payUrl: checkout.payUrl,
+deeplink: checkout.deeplink,
+expiresAt: ticket.pendingExpiresAt,
+outstandingAmount: ticket.getOutstandingAmount()
 },
-message: 'Payment processed successfully'
+message: 'Payment created. Complete it with the provider to confirm your ticket.'
 });
 } catch (err) {
+if (session.inTransaction()) {
 await session.abortTransaction();
+}
 session.endSession();
+if (err.statusCode >= 400 && err.statusCode < 500) {
+return res.status(err.statusCode === 410 ? 400 : err.statusCode).json({
+success: false,
+message: err.message
+});
+}
+next(err);
+}
+};
+exports.getPaymentStatus = async (req, res, next) => {
+try {
+const payment = await Payment.findById(req.params.id);
+if (!payment) {
+return res.status(404).json({
+success: false,
+message: 'Payment not found'
+});
+}
+if (payment.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this payment'
+});
+}
+// Only reported here: the ticket is confirmed by the provider callback
+let providerStatus;
+const provider = getProviderByName(payment.paymentDetails && payment.paymentDetails.provider);
+if (provider && payment.status === 'pending') {
+providerStatus = await provider.queryStatus(payment);
+}
+res.status(200).json({
+success: true,
+data: {
+paymentId: payment._id,
+ticketId: payment.ticketId,
+status: payment.status,
+amount: payment.amount,
+provider: payment.paymentDetails && payment.paymentDetails.provider,
+providerStatus: providerStatus && providerStatus.status,
+payUrl: payment.status === 'pending' ? payment.paymentDetails.payUrl : undefined
+}
+});
+} catch (err) {
 next(err);
 }
 };
@@ -149,6 +351,8 @@ currency: payment.currency,
 status: payment.status,
 paymentMethod: payment.paymentMethod,
 paidAt: payment.paidAt,
+refundedAmount: payment.refundedAmount,
+refunds: payment.refunds,
 user: payment.userId,
 ticket: {
 _id: payment.ticketId._id,
@@ -170,6 +374,42 @@ data: formattedPayments
 next(err);
 }
 };
+// Payment legs of one ticket with the running balance
+exports.getTicketPayments = async (req, res, next) => {
+try {
+const ticket = await Ticket.findById(req.params.ticketId);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && !['staff', 'admin'].includes(req.user.role)) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view payments for this ticket'
+});
+}
+const payments = await Payment.find({ ticketId: ticket._id })
+.select('amount currency method status paidAt refundedAmount refunds paymentDetails.provider createdAt')
+.sort({ createdAt: 1 });
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+ticketStatus: ticket.status,
+totalAmount: ticket.totalAmount,
+exchangeCredit: (ticket.exchange && ticket.exchange.credit) || 0,
+amountPaid: ticket.amountPaid,
+outstandingAmount: ticket.getOutstandingAmount(),
+legs: ticket.paymentLegs,
+payments
+}
+});
+} catch (err) {
+next(err);
+}
+};
 exports.getPaymentById = async (req, res, next) => {
 try {
 const payment = await Payment.findById(req.params.id)
@@ -201,6 +441,8 @@ currency: payment.currency,
 status: payment.status,
 paymentMethod: payment.paymentMethod,
 paidAt: payment.paidAt,
+refundedAmount: payment.refundedAmount,
+refunds: payment.refunds,
 user: payment.userId,
 ticket: {
 _id: payment.ticketId._id,
@@ -231,7 +473,16 @@ exports.processRefund = async (req, res, next) => {
 const session = await Payment.startSession();
 session.startTransaction();
 try {
-const { reason } = req.body;
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { reason = 'other', note, items = [], toWallet = false } = req.body;
 const payment = await Payment.findById(req.params.id).session(session);
 if (!payment) {
 await session.abortTransaction();
@@ -241,7 +492,7 @@ success: false,
 message: 'Payment not found'
 });
 }
-if (payment.status !== 'completed') {
+if (!['success', 'partially_refunded'].includes(payment.status)) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
@@ -258,6 +509,7 @@ success: false,
 message: 'Ticket not found'
 });
 }
+if (reason === 'customer_cancellation') {
 const schedule = await Schedule.findById(ticket.scheduleId).session(session);
 const hoursUntilShow = (schedule.startTime - new Date()) / (1000 * 60 * 60);
 if (hoursUntilShow < 2) {
@@ -268,31 +520,81 @@ success: false,
 message: 'Cannot refund ticket within 2 hours of showtime'
 });
 }
-payment.status = 'refunded';
-payment.refundedAt = new Date();
-payment.refundReason = reason || 'Requested by admin';
-payment.refundedBy = req.user.id;
+}
+// Refunds tied to seats or combos default to the sum of their lines
+const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+const amount = req.body.amount != null ? req.body.amount : (items.length > 0 ? itemsTotal : undefined);
+if (items.length > 0 && amount !== itemsTotal) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Refund amount ${amount} does not match the ${itemsTotal} spread over the ticket lines`
+});
+}
+let refundItems;
+let refunded;
+try {
+refundItems = ticket.applyLineRefunds(items);
+refunded = await Payment.processRefund(payment._id, req.user.id, reason, {
+amount,
+note,
+items: refundItems,
+toWallet,
+session
+});
+} catch (error) {
+if (!error.statusCode || error.statusCode >= 500) throw error;
+await session.abortTransaction();
+session.endSession();
+return res.status(error.statusCode).json({
+success: false,
+message: error.message
+});
+}
+// The ticket ends only once every payment for it has been refunded, and
+// not by a refund tied to ticket lines
+const leftToRefund = await Payment.applyRefundStatus(ticket, { session });
+const releasesSeats = leftToRefund === 0 && items.length === 0 && ticket.status === 'confirmed';
+if (releasesSeats) {
 ticket.status = 'refunded';
 ticket.cancelledAt = new Date();
 ticket.cancelledBy = req.user.id;
-await payment.save({ session });
+ticket.cancellationReason = note || REFUND_REASONS[reason];
+await SeatHold.releaseHolds(ticket._id, { session });
+}
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
+if (releasesSeats) {
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'cancelled');
+}
+// Provider refunds go out only now that the refund is committed
+const recorded = refunded.refunds[refunded.refunds.length - 1];
+const sent = await Payment.sendPendingRefunds([refunded._id]);
+const refund = sent.find(r => r._id.equals(recorded._id)) || recorded;
 res.status(200).json({
 success: true,
 data: {
-paymentId: payment._id,
-amount: payment.amount,
-status: payment.status,
-refundedAt: payment.refundedAt,
-ticketId: ticket._id
+paymentId: refunded._id,
+amount: refunded.amount,
+refundedAmount: refunded.refundedAmount,
+status: refunded.status,
+refund,
+ticketId: ticket._id,
+ticketStatus: ticket.status
 },
-message: 'Refund processed successfully. The amount will be credited back within 5-7 business days.'
+message: refund.status === 'failed' ?
+`Refund of ${refund.amount} was recorded but the payment provider rejected it (${refund.lastError}). Finance will follow up.` :
+refund.status === 'pending' ?
+`Refund of ${refund.amount} was recorded and will be sent to the payment provider shortly.` :
+`Refund of ${refund.amount} processed successfully. The amount will be credited back within 5-7 business days.`
 });
 } catch (err) {
+if (session.inTransaction()) {
 await session.abortTransaction();
+}
 session.endSession();
 next(err);
 }
-};
\ No newline at end of file
+};
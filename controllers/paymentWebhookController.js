@@ -0,0 +1,181 @@
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const { emitSeatChange } = require('../utils/seatEvents');
+const { getProviderByName } = require('../utils/paymentProviders');
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+// Headers worth keeping with the stored payload
+const KEPT_HEADERS = ['content-type', 'user-agent', 'x-signature', 'x-timestamp', 'x-forwarded-for'];
+const recordEvent = (req, provider, fields, session) => {
+const headers = {};
+KEPT_HEADERS.filter(name => req.headers[name]).forEach(name => {
+headers[name] = req.headers[name];
+});
+return PaymentWebhookEvent.create([{
+provider: provider.name,
+payload: {
+method: req.method,
+query: req.query,
+body: req.rawBody || (req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : undefined),
+headers
+},
+ipAddress: req.ip,
+...fields
+}], { session });
+};
+// One handler per provider: verify the signature, drop replays and retries,
+// then settle the Payment and its Ticket in a single transaction
+exports.handleProviderWebhook = (providerName) => async (req, res, next) => {
+const provider = getProviderByName(providerName);
+const reply = (outcome) => {
+const response = provider.callbackResponse(outcome);
+return response.body ?
+res.status(response.statusCode).json(response.body) :
+res.status(response.statusCode).end();
+};
+let result;
+try {
+result = provider.verifyCallback({
+body: req.body,
+query: req.query,
+rawBody: req.rawBody,
+headers: req.headers
+});
+} catch (error) {
+// Payload we cannot parse (bad JSON, missing fields): keep it and reject it
+try {
+await recordEvent(req, provider, { outcome: 'rejected', reason: `malformed_callback: ${error.message}` });
+} catch (err) {
+return next(err);
+}
+return reply({ handled: false, reason: 'invalid', message: 'Malformed callback' });
+}
+const eventFields = {
+providerRef: result.providerRef,
+providerTransactionId: result.transactionId,
+signatureValid: result.valid,
+sentAt: result.sentAt || undefined,
+eventKey: `${result.transactionId || result.providerRef}:${result.success ? 'success' : 'failed'}`
+};
+try {
+if (!result.valid) {
+await recordEvent(req, provider, { ...eventFields, outcome: 'rejected', reason: 'invalid_signature' });
+return reply({ handled: false, reason: 'invalid', message: 'Invalid signature' });
+}
+// Providers that date their webhooks get a bounded window
+if (result.sentAt && Math.abs(Date.now() - result.sentAt.getTime()) > WEBHOOK_TOLERANCE_SECONDS * 1000) {
+await recordEvent(req, provider, { ...eventFields, outcome: 'rejected', reason: 'stale_timestamp' });
+return reply({ handled: false, reason: 'invalid', message: 'Webhook timestamp is outside the allowed window' });
+}
+const alreadyProcessed = await PaymentWebhookEvent.exists({
+provider: provider.name,
+eventKey: eventFields.eventKey,
+outcome: 'processed'
+});
+if (alreadyProcessed) {
+await recordEvent(req, provider, { ...eventFields, outcome: 'duplicate', reason: 'retry' });
+return reply({ handled: true, duplicate: true });
+}
+} catch (err) {
+return next(err);
+}
+const session = await Payment.startSession();
+session.startTransaction();
+try {
+const payment = await Payment.findOne({
+'paymentDetails.provider': provider.name,
+'paymentDetails.providerRef': result.providerRef
+}).session(session);
+if (!payment) {
+await session.abortTransaction();
+session.endSession();
+await recordEvent(req, provider, { ...eventFields, outcome: 'rejected', reason: 'payment_not_found' });
+return reply({ handled: false, reason: 'not_found', message: 'Order not found' });
+}
+eventFields.paymentId = payment._id;
+// A different event for a payment that is already settled is a replay
+if (payment.status !== 'pending') {
+await session.abortTransaction();
+session.endSession();
+await recordEvent(req, provider, { ...eventFields, outcome: 'duplicate', reason: `payment_${payment.status}` });
+return reply({ handled: true, duplicate: true });
+}
+if (result.amount !== payment.amount) {
+await session.abortTransaction();
+session.endSession();
+await recordEvent(req, provider, { ...eventFields, outcome: 'rejected', reason: 'amount_mismatch' });
+return reply({ handled: false, reason: 'amount_mismatch', message: 'Invalid amount' });
+}
+// Written inside the transaction: a concurrent retry hits the unique
+// index and its transaction is rolled back
+await recordEvent(req, provider, { ...eventFields, outcome: 'processed' }, session);
+payment.paymentDetails.responseCode = result.responseCode;
+payment.paymentDetails.responseMessage = result.message;
+payment.paymentDetails.transactionTime = result.sentAt || new Date();
+if (!result.success) {
+payment.status = 'failed';
+await payment.save({ session });
+await session.commitTransaction();
+session.endSession();
+return reply({ handled: true });
+}
+if (payment.purpose === 'wallet_topup') {
+await payment.confirmTopUp({ session, transactionId: result.transactionId });
+await session.commitTransaction();
+session.endSession();
+return reply({ handled: true });
+}
+const ticket = await Ticket.findById(payment.ticketId).session(session);
+let original = null;
+try {
+original = await payment.confirm(ticket, { session, transactionId: result.transactionId });
+} catch (error) {
+if (error.statusCode !== 410 && error.statusCode !== 400) throw error;
+// The customer paid after the seats were released, or paid a ticket that
+// other legs had already covered: take the money back. The payment, kept
+// off the ticket, and its pending refund are recorded in one transaction;
+// the provider is only called once that has committed.
+await session.abortTransaction();
+session.startTransaction();
+const received = await Payment.findById(payment._id).session(session);
+received.status = 'success';
+received.receivedForRefund = true;
+received.paidAt = new Date();
+received.paymentDetails.providerTransactionId = result.transactionId;
+received.paymentDetails.responseCode = result.responseCode;
+received.paymentDetails.responseMessage = result.message;
+received.paymentDetails.transactionTime = result.sentAt || new Date();
+await received.save({ session });
+await recordEvent(req, provider, {
+...eventFields,
+outcome: 'processed',
+reason: error.overpaid ? 'refunded_overpayment' : 'refunded_expired_reservation'
+}, session);
+await Payment.processRefund(received._id, null, error.overpaid ? 'duplicate_payment' : 'reservation_expired', { session });
+await session.commitTransaction();
+session.endSession();
+await Payment.sendPendingRefunds([received._id]);
+return reply({ handled: true });
+}
+await session.commitTransaction();
+session.endSession();
+if (ticket.status === 'confirmed') {
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'booked');
+}
+if (original) {
+emitSeatChange(original.scheduleId, original.seats.map(s => s.code), 'released');
+}
+reply({ handled: true });
+} catch (err) {
+if (session.inTransaction()) {
+await session.abortTransaction();
+}
+session.endSession();
+if (err.code === 11000) {
+await recordEvent(req, provider, { ...eventFields, outcome: 'duplicate', reason: 'concurrent_retry' });
+return reply({ handled: true, duplicate: true });
+}
+await recordEvent(req, provider, { ...eventFields, outcome: 'error', reason: err.message }).catch(() => {});
+next(err);
+}
+};
@@ -1,4 +1,8 @@
 const Room = require('../models/Room');
+const Schedule = require('../models/Schedule');
+const SeatHold = require('../models/SeatHold');
+const { emitSeatChange } = require('../utils/seatEvents');
+const { findBestBlock } = require('../utils/seatSelector');
 const { validationResult } = require('express-validator');
 exports.getRooms = async (req, res, next) => {
 try {
@@ -67,6 +71,87 @@ totalSeats: room.seats.length
 next(err);
 }
 };
+const suggestBestSeats = async (roomId, { scheduleId, partySize, seatType }) => {
+const schedule = await Schedule.findById(scheduleId);
+if (!schedule || schedule.roomId.toString() !== roomId) {
+return { status: 404, message: 'Schedule not found for this room' };
+}
+const seatMap = await schedule.getSeatMap();
+if (!seatMap) {
+return { status: 404, message: `Room not found with id of ${roomId}` };
+}
+const [best] = findBestBlock(seatMap.seats, parseInt(partySize), { seatType });
+if (!best) {
+return { status: 404, message: `No block of ${partySize} adjacent seats is available` };
+}
+return { schedule, best };
+};
+exports.getBestSeats = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const result = await suggestBestSeats(req.params.roomId, req.query);
+if (!result.best) {
+return res.status(result.status).json({
+success: false,
+message: result.message
+});
+}
+res.status(200).json({
+success: true,
+data: {
+scheduleId: result.schedule._id,
+seats: result.best.seats
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.holdBestSeats = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const result = await suggestBestSeats(req.params.roomId, req.body);
+if (!result.best) {
+return res.status(result.status).json({
+success: false,
+message: result.message
+});
+}
+const seatCodes = result.best.seats.map(seat => seat.code);
+const holds = await SeatHold.placeHolds(result.schedule._id, seatCodes, req.user.id);
+emitSeatChange(result.schedule._id, seatCodes, 'held');
+res.status(201).json({
+success: true,
+data: {
+scheduleId: result.schedule._id,
+seats: result.best.seats,
+expiresAt: holds[0].expiresAt
+},
+message: 'Seats held. Book them before the hold expires.'
+});
+} catch (err) {
+if (err.takenSeats) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+takenSeats: err.takenSeats
+});
+}
+next(err);
+}
+};
 exports.createRoom = async (req, res, next) => {
 try {
 const errors = validationResult(req);
@@ -76,7 +161,7 @@ success: false,
 errors: errors.array() 
 });
 }
-const { name, cinemaId, capacity, screenType, seats } = req.body;
+const { name, cinemaId, capacity, screenType, seats, layout } = req.body;
 const cinema = await Cinema.findById(cinemaId);
 if (!cinema) {
 return res.status(404).json({
@@ -84,8 +169,25 @@ success: false,
 message: `Cinema not found with id of ${cinemaId}`
 });
 }
+if (layout) {
+const layoutErrors = Room.validateLayout(layout);
+if (layoutErrors.length > 0) {
+return res.status(400).json({
+success: false,
+message: 'Invalid room layout',
+errors: layoutErrors
+});
+}
+}
 let room;
-if (seats && Array.isArray(seats)) {
+if (layout) {
+room = await Room.create({
+name,
+cinemaId,
+screenType,
+layout
+});
+} else if (seats && Array.isArray(seats)) {
 room = await Room.create({
 name,
 cinemaId,
@@ -142,6 +244,156 @@ data: room
 next(err);
 }
 };
+exports.exportRoomLayout = async (req, res, next) => {
+try {
+const room = await Room.findById(req.params.id);
+if (!room) {
+return res.status(404).json({
+success: false,
+message: `Room not found with id of ${req.params.id}`
+});
+}
+res.status(200).json({
+success: true,
+data: {
+roomId: room._id,
+name: room.name,
+capacity: room.capacity,
+layout: room.exportLayout()
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.importRoomLayout = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { layout } = req.body;
+const layoutErrors = Room.validateLayout(layout);
+if (layoutErrors.length > 0) {
+return res.status(400).json({
+success: false,
+message: 'Invalid room layout',
+errors: layoutErrors
+});
+}
+const room = await Room.findById(req.params.id);
+if (!room) {
+return res.status(404).json({
+success: false,
+message: `Room not found with id of ${req.params.id}`
+});
+}
+room.layout = {
+version: layout.version || 1,
+rows: layout.rows
+};
+// Seats that are held or booked for an upcoming show must survive the import
+const newCodes = new Set(room.generateSeatMap().map(seat => seat.code));
+const upcomingSchedules = await Schedule.find({
+roomId: room._id,
+status: 'scheduled',
+endTime: { $gt: new Date() }
+}).select('_id');
+const lostHolds = await SeatHold.find({
+scheduleId: { $in: upcomingSchedules.map(schedule => schedule._id) },
+seatCode: { $nin: [...newCodes] },
+locked: true
+}).select('scheduleId seatCode');
+if (lostHolds.length > 0) {
+const conflicts = {};
+lostHolds.forEach(hold => {
+const key = hold.scheduleId.toString();
+conflicts[key] = [...(conflicts[key] || []), hold.seatCode];
+});
+return res.status(409).json({
+success: false,
+message: 'The new layout removes seats that are held or booked for upcoming schedules',
+conflicts: Object.entries(conflicts).map(([scheduleId, seats]) => ({ scheduleId, seats }))
+});
+}
+await room.save();
+res.status(200).json({
+success: true,
+data: {
+roomId: room._id,
+capacity: room.capacity,
+layout: room.exportLayout(),
+seats: room.seats
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.updateSeatStatus = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { seatCodes, status } = req.body;
+const room = await Room.findById(req.params.id);
+if (!room) {
+return res.status(404).json({
+success: false,
+message: `Room not found with id of ${req.params.id}`
+});
+}
+const codes = seatCodes.map(code => code.toUpperCase());
+const invalidSeats = codes.filter(code => !room.seats.some(s => s.code === code));
+if (invalidSeats.length > 0) {
+return res.status(400).json({
+success: false,
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
+});
+}
+room.seats.forEach(seat => {
+if (codes.includes(seat.code)) {
+seat.status = status;
+}
+});
+await room.save();
+const upcomingSchedules = await Schedule.find({
+roomId: room._id,
+status: 'scheduled',
+endTime: { $gt: new Date() }
+}).select('_id');
+// A seat back from maintenance is only free where nobody holds or booked it
+const takenHolds = status === 'maintenance' ? [] : await SeatHold.find({
+scheduleId: { $in: upcomingSchedules.map(schedule => schedule._id) },
+seatCode: { $in: codes },
+locked: true
+}).select('scheduleId seatCode');
+upcomingSchedules.forEach(schedule => {
+if (status === 'maintenance') {
+emitSeatChange(schedule._id, codes, 'maintenance');
+return;
+}
+const taken = takenHolds
+.filter(hold => hold.scheduleId.equals(schedule._id))
+.map(hold => hold.seatCode);
+emitSeatChange(schedule._id, codes.filter(code => !taken.includes(code)), 'released');
+});
+res.status(200).json({
+success: true,
+data: room.seats.filter(seat => codes.includes(seat.code))
+});
+} catch (err) {
+next(err);
+}
+};
 exports.deleteRoom = async (req, res, next) => {
 try {
 const room = await Room.findById(req.params.id);
@@ -2,6 +2,7 @@ const Schedule = require('../models/Schedule');
 const Movie = require('../models/Movie');
 const Theater = require('../models/Theater');
 const Room = require('../models/Room');
+const { subscribe } = require('../utils/seatEvents');
 const { validationResult } = require('express-validator');
 const moment = require('moment');
 
@@ -561,3 +562,90 @@ exports.getAvailableTimeSlots = async (req, res, next) => {
     });
   }
 };
+
+// @desc    Stream live seat state changes for a schedule (Server-Sent Events)
+// @route   GET /api/schedules/:id/seats/stream
+// @access  Public
+exports.streamSeatMap = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    // Subscribe before reading the snapshot so no change is missed in
+    // between; changes are buffered until the snapshot has gone out
+    let pending = [];
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const unsubscribe = subscribe(schedule._id, change => {
+      if (pending) {
+        pending.push(change);
+      } else {
+        send('seat-update', change);
+      }
+    });
+    let heartbeat;
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    let seatMap;
+    try {
+      seatMap = await schedule.getSeatMap();
+    } catch (err) {
+      unsubscribe();
+      throw err;
+    }
+    // The client left while the seat map loaded; the close handler has run
+    if (closed) {
+      return;
+    }
+    if (!seatMap) {
+      unsubscribe();
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found for this schedule'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    send('snapshot', {
+      scheduleId: schedule._id,
+      roomId: seatMap.room._id,
+      seats: seatMap.seats,
+      at: new Date().toISOString()
+    });
+    // Buffered changes carry the seat's new state, so replaying one the
+    // snapshot already reflects is harmless
+    pending.forEach(change => send('seat-update', change));
+    pending = null;
+
+    // Keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+  } catch (err) {
+    console.error(err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,248 @@
+const Settlement = require('../models/Settlement');
+const SettlementDiscrepancy = require('../models/SettlementDiscrepancy');
+const { parseSettlementFile } = require('../utils/settlementFiles');
+const { startOfDay } = require('date-fns');
+const { validationResult } = require('express-validator');
+exports.importSettlement = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { provider } = req.params;
+const { date, fileName } = req.query;
+if (typeof req.body !== 'string' || req.body.trim() === '') {
+return res.status(400).json({
+success: false,
+message: 'Send the settlement file as the request body with Content-Type text/csv'
+});
+}
+const exists = await Settlement.exists({ provider, settlementDate: startOfDay(new Date(date)) });
+if (exists) {
+return res.status(409).json({
+success: false,
+message: `The ${provider} settlement for ${date} has already been imported`
+});
+}
+let parsed;
+try {
+parsed = parseSettlementFile(provider, req.body);
+} catch (error) {
+return res.status(400).json({
+success: false,
+message: error.message
+});
+}
+const { settlement, discrepancies } = await Settlement.importRows(provider, new Date(date), parsed.rows, {
+fileName,
+importedBy: req.user.id,
+parseErrors: parsed.errors
+});
+res.status(201).json({
+success: true,
+data: {
+settlementId: settlement._id,
+provider: settlement.provider,
+settlementDate: settlement.settlementDate,
+summary: settlement.summary,
+parseErrors: settlement.parseErrors,
+discrepancies
+},
+message: `Imported ${settlement.summary.rowCount} row(s): ${settlement.summary.matchedCount} matched, ${discrepancies.length} discrepancy(ies) to review.`
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getSettlements = async (req, res, next) => {
+try {
+const { provider, from, to, page = 1, limit = 20 } = req.query;
+const query = {};
+if (provider) {
+query.provider = provider;
+}
+if (from || to) {
+query.settlementDate = {};
+if (from) query.settlementDate.$gte = startOfDay(new Date(from));
+if (to) query.settlementDate.$lte = startOfDay(new Date(to));
+}
+const skip = (page - 1) * limit;
+const [settlements, total] = await Promise.all([
+Settlement.find(query)
+.select('-rows')
+.populate('importedBy', 'name email')
+.sort({ settlementDate: -1 })
+.skip(skip)
+.limit(parseInt(limit)),
+Settlement.countDocuments(query)
+]);
+res.status(200).json({
+success: true,
+count: settlements.length,
+total,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+data: settlements
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getSettlementById = async (req, res, next) => {
+try {
+const settlement = await Settlement.findById(req.params.id).populate('importedBy', 'name email');
+if (!settlement) {
+return res.status(404).json({
+success: false,
+message: 'Settlement not found'
+});
+}
+const discrepancies = await SettlementDiscrepancy.find({ settlementId: settlement._id }).sort('line');
+res.status(200).json({
+success: true,
+data: {
+settlement,
+discrepancies
+}
+});
+} catch (err) {
+next(err);
+}
+};
+// Mismatch report across imports, open ones by default
+exports.getDiscrepancies = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { provider, type, status = 'open', from, to, page = 1, limit = 50 } = req.query;
+const query = {};
+if (provider) query.provider = provider;
+if (type) query.type = type;
+if (status !== 'all') query.status = status;
+if (from || to) {
+query.settlementDate = {};
+if (from) query.settlementDate.$gte = startOfDay(new Date(from));
+if (to) query.settlementDate.$lte = startOfDay(new Date(to));
+}
+const skip = (page - 1) * limit;
+const [discrepancies, total, byType] = await Promise.all([
+SettlementDiscrepancy.find(query)
+.populate('notes.author', 'name')
+.populate('resolvedBy', 'name')
+.sort({ settlementDate: -1, line: 1 })
+.skip(skip)
+.limit(parseInt(limit)),
+SettlementDiscrepancy.countDocuments(query),
+SettlementDiscrepancy.aggregate([
+{ $match: query },
+{ $group: {
+_id: '$type',
+count: { $sum: 1 },
+expectedAmount: { $sum: { $ifNull: ['$expectedAmount', 0] } },
+settledAmount: { $sum: { $ifNull: ['$settledAmount', 0] } }
+} }
+])
+]);
+res.status(200).json({
+success: true,
+count: discrepancies.length,
+total,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+summary: byType,
+data: discrepancies
+});
+} catch (err) {
+next(err);
+}
+};
+exports.addDiscrepancyNote = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const discrepancy = await SettlementDiscrepancy.findById(req.params.id);
+if (!discrepancy) {
+return res.status(404).json({
+success: false,
+message: 'Discrepancy not found'
+});
+}
+await discrepancy.addNote(req.body.text, req.user.id);
+res.status(201).json({
+success: true,
+data: discrepancy
+});
+} catch (err) {
+next(err);
+}
+};
+exports.resolveDiscrepancy = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const discrepancy = await SettlementDiscrepancy.findById(req.params.id);
+if (!discrepancy) {
+return res.status(404).json({
+success: false,
+message: 'Discrepancy not found'
+});
+}
+if (discrepancy.status === 'resolved') {
+return res.status(400).json({
+success: false,
+message: 'Discrepancy is already resolved'
+});
+}
+await discrepancy.resolve(req.body.resolution, req.user.id);
+res.status(200).json({
+success: true,
+data: discrepancy,
+message: 'Discrepancy resolved'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.reopenDiscrepancy = async (req, res, next) => {
+try {
+const discrepancy = await SettlementDiscrepancy.findById(req.params.id);
+if (!discrepancy) {
+return res.status(404).json({
+success: false,
+message: 'Discrepancy not found'
+});
+}
+if (discrepancy.status !== 'resolved') {
+return res.status(400).json({
+success: false,
+message: 'Only resolved discrepancies can be reopened'
+});
+}
+await discrepancy.reopen();
+res.status(200).json({
+success: true,
+data: discrepancy,
+message: 'Discrepancy reopened'
+});
+} catch (err) {
+next(err);
+}
+};
@@ -1,14 +1,45 @@
 const Ticket = require('../models/Ticket');
 const Schedule = require('../models/Schedule');
 const User = require('../models/User');
+const Movie = require('../models/Movie');
 const Promotion = require('../models/Promotion');
 const Combo = require('../models/Combo');
+const Payment = require('../models/Payment');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Room = require('../models/Room');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { emitSeatChange } = require('../utils/seatEvents');
+const { checkOrphanSeats } = require('../utils/seatRules');
+const { checkAgeRating } = require('../utils/ageRating');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
+const { verifyTicketToken, signManifest, getTicketPublicKey } = require('../utils/ticketToken');
+const { RECEIPT_LANGUAGES, buildReceipt, renderReceiptHtml, renderReceiptPdf } = require('../utils/receipt');
 const { validationResult } = require('express-validator');
+const CHECK_IN_OPENS_MINUTES = parseInt(process.env.CHECK_IN_OPENS_MINUTES, 10) || 60;
+const TRANSFER_CUTOFF_MINUTES = parseInt(process.env.TICKET_TRANSFER_CUTOFF_MINUTES, 10) || 60;
+// Registered user a ticket is sent to, looked up by email or phone
+const findRecipient = ({ email, phone }, session) => {
+const query = email ? { email: email.toLowerCase() } : { phone };
+return User.findOne(query).select('name email phone dateOfBirth').session(session || null);
+};
+// Why a ticket cannot change hands now, or null when it can
+const getTransferError = (ticket, schedule) => {
+const cutoff = new Date(schedule.startTime.getTime() - TRANSFER_CUTOFF_MINUTES * 60 * 1000);
+if (new Date() >= cutoff) {
+return `Tickets cannot be transferred within ${TRANSFER_CUTOFF_MINUTES} minutes of showtime`;
+}
+if (ticket.seats.some(s => s.checkedInAt)) {
+return 'Tickets with checked-in seats cannot be transferred';
+}
+return null;
+};
 exports.bookTickets = async (req, res, next) => {
 const session = await Ticket.startSession();
 session.startTransaction();
 try {
-const { scheduleId, seatNumbers, comboItems = [] } = req.body;
+const { scheduleId, seatNumbers, seatCategories = {}, comboItems = [], giftTo } = req.body;
 const userId = req.user.id;
 const errors = validationResult(req);
 if (!errors.isEmpty()) {
@@ -28,61 +59,103 @@ success: false,
 message: 'Schedule not found'
 });
 }
-const unavailableSeats = await Ticket.find({
-scheduleId,
-status: { $in: ['pending', 'confirmed'] },
-'seats.code': { $in: seatNumbers }
-}).session(session);
-if (unavailableSeats.length > 0) {
-const takenSeats = new Set();
-unavailableSeats.forEach(ticket => {
-ticket.seats.forEach(seat => {
-if (seatNumbers.includes(seat.code)) {
-takenSeats.add(seat.code);
-}
+const seats = [];
+const room = await Room.findById(schedule.roomId).session(session);
+if (!room) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Room not found'
 });
+}
+const invalidSeats = seatNumbers.filter(seatCode => 
+!room.seats.some(s => s.code === seatCode)
+);
+if (invalidSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
 });
+}
+const unpairedSeats = room.findUnpairedCoupleSeats(seatNumbers);
+if (unpairedSeats.length > 0) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Some seats are already taken',
-takenSeats: Array.from(takenSeats)
+message: 'Couple seats must be booked as a pair',
+unpairedSeats
 });
 }
-let totalPrice = 0;
-const seats = [];
-const room = await Room.findById(schedule.roomId).session(session);
-if (!room) {
+const orphanCheck = await checkOrphanSeats(schedule, seatNumbers);
+if (orphanCheck.orphanSeats.length > 0 && orphanCheck.policy === 'reject') {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Room not found'
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
 });
 }
 seatNumbers.forEach(seatCode => {
 const seatInfo = room.seats.find(s => s.code === seatCode);
-if (seatInfo) {
+const category = seatCategories[seatCode] || 'adult';
+const { price, eligibilityNote } = schedule.getSeatPrice(seatInfo.type, category);
 seats.push({
 code: seatCode,
 type: seatInfo.type,
-price: seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice
+category,
+eligibilityNote,
+price,
+row: seatInfo.row,
+column: seatInfo.column
+});
+});
+const [movie, user] = await Promise.all([
+Movie.findById(schedule.movieId).select('title ageRating').session(session),
+User.findById(userId).select('dateOfBirth').session(session)
+]);
+const ageCheck = checkAgeRating(movie && movie.ageRating, {
+dateOfBirth: user && user.dateOfBirth,
+categories: seats.map(s => s.category),
+showTime: schedule.startTime
+});
+if (!ageCheck.allowed) {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: ageCheck.message,
+ageRating: movie.ageRating
 });
-totalPrice += seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice;
 }
+let giftRecipient = null;
+if (giftTo) {
+giftRecipient = await findRecipient(giftTo, session);
+if (!giftRecipient || giftRecipient._id.toString() === userId) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: giftRecipient ? 'You cannot gift a ticket to yourself' : 'Gift recipient not found'
 });
+}
+}
 const combos = [];
 for (const item of comboItems) {
 const combo = await Combo.findById(item.comboId).session(session);
 if (combo) {
 combos.push({
-comboId: combo._id,
+combo: combo._id,
 name: combo.name,
-qty: item.qty,
+quantity: item.qty,
 price: combo.price
 });
-totalPrice += combo.price * item.qty;
 }
 }
 const ticket = new Ticket({
@@ -93,24 +166,113 @@ cinemaId: schedule.cinemaId,
 roomId: schedule.roomId,
 seats,
 combos,
-totalPrice,
 status: 'pending',
-expiresAt: new Date(Date.now() + 15 * 60 * 1000) 
+ageRestriction: {
+rating: movie && movie.ageRating,
+minAge: ageCheck.minAge,
+idCheckRequired: ageCheck.idCheckRequired
+},
+// The recipient can accept the gift once the ticket is paid for
+transfers: giftRecipient ? [{
+kind: 'gift',
+fromUser: userId,
+toUser: giftRecipient._id,
+message: giftTo.message
+}] : []
 });
+const holds = await SeatHold.placeHolds(scheduleId, seats.map(s => s.code), userId, {
+session,
+ticketId: ticket._id
+});
+ticket.pendingExpiresAt = holds[0].expiresAt;
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
+// The booking is committed; failing to close a waitlist offer must not undo it
+try {
+await WaitlistEntry.markBooked(scheduleId, userId);
+} catch (error) {
+console.error('Error closing waitlist offer:', error);
+}
+emitSeatChange(scheduleId, seats.map(s => s.code), 'held');
 res.status(201).json({
 success: true,
 data: {
 ticketId: ticket._id,
-totalPrice,
-expiresAt: ticket.expiresAt
+totalPrice: ticket.totalAmount,
+expiresAt: ticket.pendingExpiresAt,
+idCheckRequired: ageCheck.idCheckRequired
+},
+warnings: orphanCheck.orphanSeats.length > 0 ? {
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+} : undefined
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+if (err.takenSeats) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+takenSeats: err.takenSeats
+});
+}
+next(err);
+}
+};
+exports.extendHold = async (req, res, next) => {
+const session = await Ticket.startSession();
+session.startTransaction();
+try {
+const ticket = await Ticket.findById(req.params.id).session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Not authorized to modify this ticket'
+});
+}
+if (ticket.status !== 'pending') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Only pending tickets have seat holds'
+});
 }
+const expiresAt = await SeatHold.extendHolds(ticket._id, { session });
+ticket.pendingExpiresAt = expiresAt;
+await ticket.save({ session });
+await session.commitTransaction();
+session.endSession();
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+expiresAt
+},
+message: 'Seat hold extended successfully'
 });
 } catch (err) {
 await session.abortTransaction();
 session.endSession();
+if (err.statusCode) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message
+});
+}
 next(err);
 }
 };
@@ -124,7 +286,14 @@ success: false,
 message: 'Not authorized to view these tickets'
 });
 }
-const query = { userId };
+// Tickets sent or received through a transfer show up for both parties
+const query = {
+$or: [
+{ userId },
+{ 'transfers.fromUser': userId },
+{ 'transfers.toUser': userId }
+]
+};
 if (status) {
 query.status = status;
 }
@@ -137,6 +306,13 @@ const tickets = await Ticket.find(query)
 .skip((page - 1) * limit)
 .lean();
 const count = await Ticket.countDocuments(query);
+// Only the current holder gets the scannable code
+tickets.forEach(ticket => {
+ticket.isOwner = ticket.userId && ticket.userId.toString() === userId;
+if (!ticket.isOwner) {
+delete ticket.qrCode;
+}
+});
 res.status(200).json({
 success: true,
 count: tickets.length,
@@ -179,25 +355,42 @@ message: 'Only confirmed tickets can be cancelled'
 });
 }
 const schedule = await Schedule.findById(ticket.scheduleId).session(session);
-const hoursUntilShow = (schedule.startTime - new Date()) / (1000 * 60 * 60);
-if (hoursUntilShow < 2) { 
+const quote = await CancellationPolicy.quote(ticket, schedule, { session });
+if (!quote.allowed) { 
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Cannot cancel ticket within 2 hours of showtime'
+message: quote.message
 });
 }
 ticket.status = 'cancelled';
 ticket.cancelledAt = new Date();
 ticket.cancelledBy = req.user.id;
+await SeatHold.releaseHolds(ticket._id, { session });
+let refunded = [];
+if (quote.totalRefund > 0) {
+refunded = await Payment.refundTicket(ticket, quote.totalRefund, req.user.id, 'customer_cancellation', {
+session,
+toWallet: req.body.refundToWallet === true
+});
+}
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'cancelled');
+await Payment.sendPendingRefunds(refunded.map(p => p._id));
 res.status(200).json({
 success: true,
 data: ticket,
-message: 'Ticket cancelled successfully. Refund will be processed within 5-7 business days.'
+refund: {
+amount: quote.totalRefund,
+fee: quote.totalFee,
+items: quote.items
+},
+message: quote.totalRefund > 0 ?
+`Ticket cancelled successfully. Refund of ${quote.totalRefund}: ${quote.refundNote}` :
+'Ticket cancelled successfully. No refund applies under the cancellation policy.'
 });
 } catch (err) {
 await session.abortTransaction();
@@ -205,11 +398,28 @@ session.endSession();
 next(err);
 }
 };
-exports.changeSeats = async (req, res, next) => {
+exports.cancelTicketItems = async (req, res, next) => {
 const session = await Ticket.startSession();
 session.startTransaction();
 try {
-const { newSeats } = req.body;
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { seats: seatCodes = [], combos = [], reason, refundToWallet = false } = req.body;
+if (seatCodes.length === 0 && combos.length === 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Please select at least one seat or combo to cancel'
+});
+}
 const ticket = await Ticket.findById(req.params.id).session(session);
 if (!ticket) {
 await session.abortTransaction();
@@ -224,7 +434,7 @@ await session.abortTransaction();
 session.endSession();
 return res.status(403).json({
 success: false,
-message: 'Not authorized to modify this ticket'
+message: 'Not authorized to cancel this ticket'
 });
 }
 if (ticket.status !== 'confirmed') {
@@ -232,70 +442,92 @@ await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Only confirmed tickets can be modified'
+message: 'Only confirmed tickets can be cancelled'
 });
 }
+const codes = seatCodes.map(code => code.toUpperCase());
 const schedule = await Schedule.findById(ticket.scheduleId).session(session);
-const room = await Room.findById(schedule.roomId).session(session);
-const invalidSeats = newSeats.filter(seatCode => 
-!room.seats.some(s => s.code === seatCode)
-);
-if (invalidSeats.length > 0) {
+const quote = await CancellationPolicy.quote(ticket, schedule, { seatCodes: codes, combos, session });
+if (!quote.allowed) { 
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
-invalidSeats
+message: quote.message
 });
 }
-const existingTickets = await Ticket.find({
-_id: { $ne: ticket._id },
-scheduleId: ticket.scheduleId,
-status: { $in: ['pending', 'confirmed'] },
-'seats.code': { $in: newSeats }
-}).session(session);
-const takenSeats = [];
-existingTickets.forEach(t => {
-t.seats.forEach(seat => {
-if (newSeats.includes(seat.code)) {
-takenSeats.push(seat.code);
-}
+// Lines given back in full already (e.g. as goodwill) cannot be refunded again
+const refundedLines = quote.items.filter(item => item.fullyRefunded);
+if (refundedLines.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Already fully refunded: ${refundedLines.map(item => item.code).join(', ')}`
 });
+}
+const checkedInSeats = ticket.seats.filter(s => codes.includes(s.code) && s.checkedInAt);
+if (checkedInSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Seat(s) already checked in: ${checkedInSeats.map(s => s.code).join(', ')}`
 });
-if (takenSeats.length > 0) {
+}
+let result;
+try {
+result = ticket.cancelItems({ seatCodes: codes, combos }, req.user.id, quote.items);
+} catch (error) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Some seats are already taken',
-takenSeats
+message: error.message
 });
 }
-const updatedSeats = newSeats.map(seatCode => {
-const seatInfo = room.seats.find(s => s.code === seatCode);
-return {
-code: seatCode,
-type: seatInfo.type,
-price: seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice
-};
+if (ticket.seats.length === 0) {
+ticket.status = 'cancelled';
+ticket.cancelledAt = new Date();
+ticket.cancelledBy = req.user.id;
+ticket.cancellationReason = reason;
+}
+if (codes.length > 0) {
+await SeatHold.releaseHolds(ticket._id, { session, seatCodes: codes });
+}
+let payment = null;
+let refunded = [];
+if (result.refundAmount > 0) {
+refunded = await Payment.refundTicket(ticket, result.refundAmount, req.user.id, 'partial_cancellation', {
+session,
+note: reason,
+toWallet: refundToWallet,
+items: result.removed
+.filter(item => item.refundAmount > 0)
+.map(item => ({ itemType: item.itemType, code: item.code, combo: item.combo, amount: item.refundAmount }))
 });
-const oldPrice = ticket.seats.reduce((sum, seat) => sum + seat.price, 0);
-const newPrice = updatedSeats.reduce((sum, seat) => sum + seat.price, 0);
-const priceDifference = newPrice - oldPrice;
-ticket.seats = updatedSeats;
-ticket.totalPrice += priceDifference;
-ticket.updatedAt = new Date();
+payment = refunded[0] || null;
+}
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
+emitSeatChange(ticket.scheduleId, codes, 'cancelled');
+await Payment.sendPendingRefunds(refunded.map(p => p._id));
 res.status(200).json({
 success: true,
-data: ticket,
-priceDifference,
-message: 'Seats updated successfully' + 
-(priceDifference > 0 ? ` Additional payment of $${priceDifference} is required.` : 
-priceDifference < 0 ? ` Refund of $${-priceDifference} will be processed.` : '')
+data: {
+ticketId: ticket._id,
+status: ticket.status,
+cancelledItems: result.removed,
+refundAmount: result.refundAmount,
+cancellationFee: quote.totalFee,
+paymentId: payment && payment._id,
+subtotal: ticket.subtotal,
+discount: ticket.discount,
+totalAmount: ticket.totalAmount
+},
+message: `Cancelled ${result.removed.length} item(s).` +
+(result.refundAmount > 0 ? ` Refund of ${result.refundAmount}: ${quote.refundNote}` : '')
 });
 } catch (err) {
 await session.abortTransaction();
@@ -303,122 +535,61 @@ session.endSession();
 next(err);
 }
 };
-exports.applyVoucher = async (req, res, next) => {
-const session = await Ticket.startSession();
-session.startTransaction();
+exports.getRefundQuote = async (req, res, next) => {
 try {
-const { voucherCode } = req.body;
-const ticket = await Ticket.findById(req.params.id).session(session);
+const ticket = await Ticket.findById(req.params.id);
 if (!ticket) {
-await session.abortTransaction();
-session.endSession();
 return res.status(404).json({
 success: false,
 message: 'Ticket not found'
 });
 }
 if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-await session.abortTransaction();
-session.endSession();
 return res.status(403).json({
 success: false,
-message: 'Not authorized to modify this ticket'
-});
-}
-if (ticket.status !== 'pending') {
-await session.abortTransaction();
-session.endSession();
-return res.status(400).json({
-success: false,
-message: 'Voucher can only be applied to pending tickets'
-});
-}
-const voucher = await Promotion.findOne({
-code: voucherCode,
-status: 'active',
-startDate: { $lte: new Date() },
-endDate: { $gte: new Date() }
-}).session(session);
-if (!voucher) {
-await session.abortTransaction();
-session.endSession();
-return res.status(400).json({
-success: false,
-message: 'Invalid or expired voucher code'
-});
-}
-const voucherUsed = await Ticket.findOne({
-userId: ticket.userId,
-'voucher.code': voucher.code,
-status: { $in: ['confirmed', 'pending'] }
-}).session(session);
-if (voucher.usageLimit === 'single' && voucherUsed) {
-await session.abortTransaction();
-session.endSession();
-return res.status(400).json({
-success: false,
-message: 'This voucher can only be used once per user'
+message: 'Not authorized to view this ticket'
 });
 }
-if (voucher.applicableMovies && !voucher.applicableMovies.includes(ticket.movieId)) {
-await session.abortTransaction();
-session.endSession();
+if (ticket.status !== 'confirmed') {
 return res.status(400).json({
 success: false,
-message: 'This voucher is not valid for the selected movie'
+message: 'Only confirmed tickets can be cancelled'
 });
 }
-let discountAmount = 0;
-if (voucher.discountType === 'percentage') {
-discountAmount = (ticket.totalPrice * voucher.discountValue) / 100;
-if (voucher.maxDiscount && discountAmount > voucher.maxDiscount) {
-discountAmount = voucher.maxDiscount;
-}
-} else {
-discountAmount = Math.min(voucher.discountValue, ticket.totalPrice);
-}
-if (voucher.minPurchase && ticket.totalPrice < voucher.minPurchase) {
-await session.abortTransaction();
-session.endSession();
-return res.status(400).json({
-success: false,
-message: `Minimum purchase of $${voucher.minPurchase} required to use this voucher`
-});
+const schedule = await Schedule.findById(ticket.scheduleId);
+const { seats, comboIds } = req.query;
+const options = {};
+if (seats || comboIds) {
+options.seatCodes = seats ? seats.split(',').map(code => code.trim().toUpperCase()) : [];
+options.combos = comboIds ? comboIds.split(',').map(comboId => ({ comboId: comboId.trim() })) : [];
 }
-ticket.voucher = {
-code: voucher.code,
-name: voucher.name,
-discountType: voucher.discountType,
-discountValue: voucher.discountValue,
-maxDiscount: voucher.maxDiscount,
-appliedAt: new Date()
-};
-ticket.discountAmount = discountAmount;
-ticket.finalPrice = Math.max(0, ticket.totalPrice - discountAmount);
-await ticket.save({ session });
-await session.commitTransaction();
-session.endSession();
+const quote = await CancellationPolicy.quote(ticket, schedule, options);
 res.status(200).json({
 success: true,
 data: {
 ticketId: ticket._id,
-discountAmount,
-finalPrice: ticket.finalPrice,
-voucher: ticket.voucher
-},
-message: `Voucher applied successfully. Discount: $${discountAmount}`
+startTime: schedule.startTime,
+...quote
+}
 });
 } catch (err) {
-await session.abortTransaction();
-session.endSession();
 next(err);
 }
 };
-exports.addCombo = async (req, res, next) => {
+exports.changeSeats = async (req, res, next) => {
 const session = await Ticket.startSession();
 session.startTransaction();
 try {
-const { comboId, quantity = 1 } = req.body;
+const { newSeats, seatCategories = {} } = req.body;
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
 const ticket = await Ticket.findById(req.params.id).session(session);
 if (!ticket) {
 await session.abortTransaction();
@@ -436,37 +607,716 @@ success: false,
 message: 'Not authorized to modify this ticket'
 });
 }
-if (ticket.status !== 'pending') {
+if (ticket.status !== 'confirmed') {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Combos can only be added to pending tickets'
+message: 'Only confirmed tickets can be modified'
 });
 }
-const combo = await Combo.findById(comboId).session(session);
-if (!combo || !combo.isActive) {
+const schedule = await Schedule.findById(ticket.scheduleId).session(session);
+const room = await Room.findById(schedule.roomId).session(session);
+const invalidSeats = newSeats.filter(seatCode => 
+!room.seats.some(s => s.code === seatCode)
+);
+if (invalidSeats.length > 0) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Invalid or inactive combo'
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
 });
 }
-const existingComboIndex = ticket.combos.findIndex(c => c.comboId.toString() === comboId);
-if (existingComboIndex >= 0) {
-ticket.combos[existingComboIndex].qty += quantity;
-} else {
-ticket.combos.push({
-comboId: combo._id,
-name: combo.name,
-qty: quantity,
+const unpairedSeats = room.findUnpairedCoupleSeats(newSeats);
+if (unpairedSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Couple seats must be booked as a pair',
+unpairedSeats
+});
+}
+const orphanCheck = await checkOrphanSeats(schedule, newSeats, ticket.seats.map(s => s.code));
+if (orphanCheck.orphanSeats.length > 0 && orphanCheck.policy === 'reject') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+await SeatHold.releaseHolds(ticket._id, { session });
+await SeatHold.placeHolds(ticket.scheduleId, newSeats, ticket.userId, {
+session,
+ticketId: ticket._id,
+status: 'converted'
+});
+const updatedSeats = newSeats.map((seatCode, index) => {
+const seatInfo = room.seats.find(s => s.code === seatCode);
+// Without explicit categories, keep the ones bought in the original order
+const previousSeat = ticket.seats.find(s => s.code === seatCode) || ticket.seats[index];
+const category = seatCategories[seatCode] || (previousSeat && previousSeat.category) || 'adult';
+const { price, eligibilityNote } = schedule.getSeatPrice(seatInfo.type, category);
+return {
+code: seatCode,
+type: seatInfo.type,
+category,
+eligibilityNote,
+price,
+row: seatInfo.row,
+column: seatInfo.column
+};
+});
+const previousSeats = ticket.seats.map(s => s.code);
+const oldPrice = ticket.seats.reduce((sum, seat) => sum + seat.price, 0);
+const newPrice = updatedSeats.reduce((sum, seat) => sum + seat.price, 0);
+const priceDifference = newPrice - oldPrice;
+ticket.seats = updatedSeats;
+await ticket.save({ session });
+await session.commitTransaction();
+session.endSession();
+emitSeatChange(ticket.scheduleId, previousSeats.filter(code => !newSeats.includes(code)), 'released');
+emitSeatChange(ticket.scheduleId, ticket.seats.map(s => s.code), 'booked');
+res.status(200).json({
+success: true,
+data: ticket,
+priceDifference,
+warnings: orphanCheck.orphanSeats.length > 0 ? {
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+} : undefined,
+message: 'Seats updated successfully' + 
+(priceDifference > 0 ? ` Additional payment of $${priceDifference} is required.` : 
+priceDifference < 0 ? ` Refund of $${-priceDifference} will be processed.` : '')
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+if (err.takenSeats) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+takenSeats: err.takenSeats
+});
+}
+next(err);
+}
+};
+exports.exchangeTicket = async (req, res, next) => {
+const session = await Ticket.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { scheduleId, seats: seatCodes, seatCategories = {} } = req.body;
+const ticket = await Ticket.findById(req.params.id).session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Not authorized to modify this ticket'
+});
+}
+if (ticket.status !== 'confirmed') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Only confirmed tickets can be exchanged'
+});
+}
+if (ticket.seats.some(s => s.checkedInAt)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Tickets with checked-in seats cannot be exchanged'
+});
+}
+const pendingExchange = await Ticket.findOne({
+'exchange.fromTicket': ticket._id,
+status: 'pending'
+}).session(session);
+if (pendingExchange) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'An exchange is already awaiting payment for this ticket',
+pendingTicketId: pendingExchange._id
+});
+}
+const [currentSchedule, schedule] = await Promise.all([
+Schedule.findById(ticket.scheduleId).session(session),
+Schedule.findById(scheduleId).session(session)
+]);
+// Exchanging gives up the original seats, so the cancellation cut-off applies
+const policy = await CancellationPolicy.resolve({ cinemaId: ticket.cinemaId, movieId: ticket.movieId });
+const hoursBeforeShow = (currentSchedule.startTime - new Date()) / (1000 * 60 * 60);
+if (hoursBeforeShow < policy.cutoffHours) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Cannot exchange within ${policy.cutoffHours} hours of showtime`
+});
+}
+if (!schedule || schedule.status !== 'scheduled' || schedule.startTime <= new Date()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'The selected showtime is not available'
+});
+}
+if (schedule._id.equals(currentSchedule._id)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Use change seats to move within the same showtime'
+});
+}
+if (!schedule.movieId.equals(currentSchedule.movieId)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Tickets can only be exchanged for a showtime of the same movie'
+});
+}
+const room = await Room.findById(schedule.roomId).session(session);
+const invalidSeats = seatCodes.filter(seatCode => 
+!room.seats.some(s => s.code === seatCode)
+);
+if (invalidSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
+});
+}
+const unpairedSeats = room.findUnpairedCoupleSeats(seatCodes);
+if (unpairedSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Couple seats must be booked as a pair',
+unpairedSeats
+});
+}
+const orphanCheck = await checkOrphanSeats(schedule, seatCodes);
+if (orphanCheck.orphanSeats.length > 0 && orphanCheck.policy === 'reject') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+const seats = seatCodes.map((seatCode, index) => {
+const seatInfo = room.seats.find(s => s.code === seatCode);
+// Without explicit categories, keep the ones bought in the original order
+const previousSeat = ticket.seats[index];
+const category = seatCategories[seatCode] || (previousSeat && previousSeat.category) || 'adult';
+const { price, eligibilityNote } = schedule.getSeatPrice(seatInfo.type, category);
+return {
+code: seatCode,
+type: seatInfo.type,
+category,
+eligibilityNote,
+price,
+row: seatInfo.row,
+column: seatInfo.column
+};
+});
+// Combos and the voucher move over only while they are still on offer
+const combos = [];
+const droppedCombos = [];
+for (const line of ticket.combos) {
+const combo = await Combo.findById(line.combo).session(session);
+if (combo && combo.isActive) {
+combos.push({
+combo: line.combo,
+name: line.name,
+quantity: line.quantity,
+price: line.price,
+image: line.image
+});
+} else {
+droppedCombos.push(line.name);
+}
+}
+let voucher;
+let voucherDropped = false;
+if (ticket.voucher && ticket.voucher.code) {
+const promotion = await Promotion.findOne({ code: ticket.voucher.code }).session(session);
+if (promotion && promotion.isApplicableToMovie(schedule.movieId)) {
+voucher = {
+code: ticket.voucher.code,
+discountValue: ticket.voucher.discountValue,
+discountType: ticket.voucher.discountType,
+maxDiscount: ticket.voucher.maxDiscount,
+minOrderValue: ticket.voucher.minOrderValue
+};
+} else {
+voucherDropped = true;
+}
+}
+// Only what was paid and not refunded yet (e.g. as goodwill) carries over
+const credit = await Payment.getRefundableAmount(ticket, { session });
+const newTicket = new Ticket({
+userId: ticket.userId,
+scheduleId: schedule._id,
+movieId: schedule.movieId,
+cinemaId: schedule.cinemaId,
+roomId: schedule.roomId,
+seats,
+combos,
+voucher,
+status: 'pending',
+ageRestriction: ticket.ageRestriction,
+exchange: {
+fromTicket: ticket._id,
+credit
+}
+});
+newTicket.calculateTotals();
+const fareDifference = newTicket.totalAmount - credit;
+newTicket.exchange.fareDifference = fareDifference;
+// A higher fare keeps the original ticket valid until the difference is paid
+const holds = await SeatHold.placeHolds(schedule._id, seatCodes, ticket.userId, {
+session,
+ticketId: newTicket._id,
+status: fareDifference > 0 ? 'active' : 'converted'
+});
+let original = null;
+let refunded = [];
+let refundAmount = 0;
+if (fareDifference > 0) {
+newTicket.pendingExpiresAt = holds[0].expiresAt;
+} else {
+// A cheaper fare is refunded on the same terms as a cancellation
+if (fareDifference < 0) {
+const quote = await CancellationPolicy.quote(ticket, currentSchedule, { session });
+refundAmount = quote.totalPaid > 0 ?
+Math.min(-fareDifference, Math.round(-fareDifference * quote.totalRefund / quote.totalPaid)) : 0;
+}
+newTicket.status = 'confirmed';
+newTicket.pendingExpiresAt = undefined;
+original = await Ticket.completeExchange(newTicket, req.user.id, { session });
+if (refundAmount > 0) {
+refunded = await Payment.refundTicket(original, refundAmount, req.user.id, 'exchange', { session });
+await original.save({ session });
+}
+}
+await newTicket.save({ session });
+await session.commitTransaction();
+session.endSession();
+await Payment.sendPendingRefunds(refunded.map(p => p._id));
+emitSeatChange(schedule._id, seatCodes, fareDifference > 0 ? 'held' : 'booked');
+if (original) {
+emitSeatChange(original.scheduleId, original.seats.map(s => s.code), 'released');
+}
+res.status(201).json({
+success: true,
+data: {
+ticketId: newTicket._id,
+exchangedFrom: ticket._id,
+status: newTicket.status,
+totalAmount: newTicket.totalAmount,
+credit,
+fareDifference,
+amountDue: Math.max(0, fareDifference),
+refundAmount,
+expiresAt: fareDifference > 0 ? newTicket.pendingExpiresAt : undefined,
+droppedCombos,
+voucherDropped
+},
+warnings: orphanCheck.orphanSeats.length > 0 ? {
+message: orphanCheck.message,
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+} : undefined,
+message: fareDifference > 0 ?
+`Exchange reserved. Pay the difference of ${fareDifference} to confirm it.` :
+'Ticket exchanged successfully' +
+(refundAmount > 0 ? `. Refund of ${refundAmount}: ${policy.refundNote || 'Refund will be processed within 5-7 business days.'}` : '')
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+if (err.takenSeats) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+takenSeats: err.takenSeats
+});
+}
+if (err.statusCode) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message
+});
+}
+next(err);
+}
+};
+exports.transferTicket = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { email, phone, message } = req.body;
+const ticket = await Ticket.findById(req.params.id);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to transfer this ticket'
+});
+}
+if (ticket.status !== 'confirmed') {
+return res.status(400).json({
+success: false,
+message: 'Only confirmed tickets can be transferred'
+});
+}
+if (ticket.getPendingTransfer()) {
+return res.status(400).json({
+success: false,
+message: 'This ticket already has a pending transfer'
+});
+}
+const schedule = await Schedule.findById(ticket.scheduleId);
+const transferError = getTransferError(ticket, schedule);
+if (transferError) {
+return res.status(400).json({
+success: false,
+message: transferError
+});
+}
+const recipient = await findRecipient({ email, phone });
+if (!recipient) {
+return res.status(404).json({
+success: false,
+message: 'No registered user found with that email or phone'
+});
+}
+if (recipient._id.toString() === req.user.id) {
+return res.status(400).json({
+success: false,
+message: 'You cannot transfer a ticket to yourself'
+});
+}
+ticket.transfers.push({
+kind: 'transfer',
+fromUser: req.user.id,
+toUser: recipient._id,
+message
+});
+await ticket.save();
+res.status(201).json({
+success: true,
+data: {
+ticketId: ticket._id,
+transfer: ticket.getPendingTransfer(),
+recipient: { name: recipient.name }
+},
+message: `Ticket sent to ${recipient.name}. It moves to their account once they accept.`
+});
+} catch (err) {
+next(err);
+}
+};
+exports.acceptTransfer = async (req, res, next) => {
+try {
+const ticket = await Ticket.findById(req.params.id);
+const transfer = ticket && ticket.getPendingTransfer();
+if (!transfer || transfer.toUser.toString() !== req.user.id) {
+return res.status(404).json({
+success: false,
+message: 'No pending transfer for you on this ticket'
+});
+}
+if (ticket.status !== 'confirmed') {
+return res.status(400).json({
+success: false,
+message: `Ticket is ${ticket.status} and can no longer be accepted`
+});
+}
+const schedule = await Schedule.findById(ticket.scheduleId);
+const transferError = getTransferError(ticket, schedule);
+if (transferError) {
+return res.status(400).json({
+success: false,
+message: transferError
+});
+}
+// The recipient has to meet the age rating themselves
+if (ticket.ageRestriction && ticket.ageRestriction.minAge > 0) {
+const recipient = await User.findById(req.user.id).select('dateOfBirth');
+const ageCheck = checkAgeRating(ticket.ageRestriction.rating, {
+dateOfBirth: recipient && recipient.dateOfBirth,
+categories: ticket.seats.map(s => s.category),
+showTime: schedule.startTime
+});
+if (!ageCheck.allowed) {
+return res.status(403).json({
+success: false,
+message: ageCheck.message,
+ageRating: ticket.ageRestriction.rating
+});
+}
+}
+ticket.acceptTransfer();
+await ticket.save();
+res.status(200).json({
+success: true,
+data: ticket,
+message: 'Ticket accepted. A new QR code has been issued to you.'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.declineTransfer = async (req, res, next) => {
+try {
+const ticket = await Ticket.findById(req.params.id);
+const transfer = ticket && ticket.getPendingTransfer();
+if (!transfer || transfer.toUser.toString() !== req.user.id) {
+return res.status(404).json({
+success: false,
+message: 'No pending transfer for you on this ticket'
+});
+}
+transfer.status = 'declined';
+transfer.respondedAt = new Date();
+await ticket.save();
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+transfer
+},
+message: 'Transfer declined. The ticket stays with the sender.'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.cancelTransfer = async (req, res, next) => {
+try {
+const ticket = await Ticket.findById(req.params.id);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+const transfer = ticket.getPendingTransfer();
+if (!transfer || (transfer.fromUser.toString() !== req.user.id && req.user.role !== 'admin')) {
+return res.status(404).json({
+success: false,
+message: 'No pending transfer to cancel on this ticket'
+});
+}
+transfer.status = 'cancelled';
+transfer.respondedAt = new Date();
+await ticket.save();
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+transfer
+},
+message: 'Transfer cancelled'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.applyVoucher = async (req, res, next) => {
+const session = await Ticket.startSession();
+session.startTransaction();
+try {
+const { voucherCode } = req.body;
+const ticket = await Ticket.findById(req.params.id).session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Not authorized to modify this ticket'
+});
+}
+if (ticket.status !== 'pending') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Voucher can only be applied to pending tickets'
+});
+}
+const voucher = await Promotion.findOne({
+code: String(voucherCode).toUpperCase(),
+isActive: true,
+startDate: { $lte: new Date() },
+endDate: { $gte: new Date() }
+}).session(session);
+if (!voucher || (voucher.maxUses && voucher.currentUses >= voucher.maxUses)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Invalid or expired voucher code'
+});
+}
+if (!(await voucher.canBeUsedByUser(ticket.userId))) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'You are not eligible to use this voucher'
+});
+}
+if (!voucher.isApplicableToMovie(ticket.movieId)) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'This voucher is not valid for the selected movie'
+});
+}
+if (voucher.minOrderAmount && ticket.subtotal < voucher.minOrderAmount) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Minimum purchase of ${voucher.minOrderAmount} required to use this voucher`
+});
+}
+ticket.voucher = {
+code: voucher.code,
+discountType: voucher.type,
+discountValue: voucher.value,
+maxDiscount: voucher.maxDiscount,
+minOrderValue: voucher.minOrderAmount
+};
+await ticket.save({ session });
+await session.commitTransaction();
+session.endSession();
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+discountAmount: ticket.discount,
+finalPrice: ticket.totalAmount,
+voucher: ticket.voucher
+},
+message: `Voucher applied successfully. Discount: ${ticket.discount}`
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
+exports.addCombo = async (req, res, next) => {
+const session = await Ticket.startSession();
+session.startTransaction();
+try {
+const { comboId, quantity = 1 } = req.body;
+const ticket = await Ticket.findById(req.params.id).session(session);
+if (!ticket) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+await session.abortTransaction();
+session.endSession();
+return res.status(403).json({
+success: false,
+message: 'Not authorized to modify this ticket'
+});
+}
+if (ticket.status !== 'pending') {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Combos can only be added to pending tickets'
+});
+}
+const combo = await Combo.findById(comboId).session(session);
+if (!combo || !combo.isActive) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Invalid or inactive combo'
+});
+}
+const existingCombo = ticket.combos.find(c => c.combo.toString() === comboId);
+if (existingCombo) {
+existingCombo.quantity += quantity;
+} else {
+ticket.combos.push({
+combo: combo._id,
+name: combo.name,
+quantity,
 price: combo.price
 });
 }
 const comboPrice = combo.price * quantity;
-ticket.totalPrice += comboPrice;
-ticket.finalPrice = Math.max(0, (ticket.finalPrice || ticket.totalPrice) + comboPrice);
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
@@ -480,7 +1330,7 @@ qty: quantity,
 price: combo.price,
 total: comboPrice
 },
-newTotal: ticket.finalPrice
+newTotal: ticket.totalAmount
 },
 message: 'Combo added to ticket successfully'
 });
@@ -489,4 +1339,325 @@ await session.abortTransaction();
 session.endSession();
 next(err);
 }
-};
\ No newline at end of file
+};
+exports.getTicketQr = async (req, res, next) => {
+try {
+const { format = 'png' } = req.query;
+const ticket = await Ticket.findById(req.params.id);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this ticket'
+});
+}
+if (ticket.status !== 'confirmed') {
+return res.status(400).json({
+success: false,
+message: 'QR code is only available for confirmed tickets'
+});
+}
+if (format === 'svg') {
+const svg = await QRCode.toString(ticket.qrCode, { type: 'svg', errorCorrectionLevel: 'M' });
+res.set('Content-Type', 'image/svg+xml');
+return res.status(200).send(svg);
+}
+const png = await QRCode.toBuffer(ticket.qrCode, { type: 'png', errorCorrectionLevel: 'M', width: 320 });
+res.set('Content-Type', 'image/png');
+res.status(200).send(png);
+} catch (err) {
+next(err);
+}
+};
+// Printable receipt as PDF or as an HTML page that doubles as the email body
+exports.getTicketReceipt = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { format = 'pdf' } = req.query;
+const lang = req.query.lang || req.acceptsLanguages(...RECEIPT_LANGUAGES) || 'vi';
+const ticket = await Ticket.findById(req.params.id)
+.populate('movieId', 'title')
+.populate('cinemaId', 'name address')
+.populate('roomId', 'name')
+.populate('scheduleId', 'startTime');
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id && !['staff', 'admin'].includes(req.user.role)) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this ticket'
+});
+}
+if (['pending', 'expired'].includes(ticket.status)) {
+return res.status(400).json({
+success: false,
+message: 'A receipt is only available once the ticket has been paid'
+});
+}
+const payments = await Payment.find({
+ticketId: ticket._id,
+status: { $in: ['success', 'partially_refunded', 'refunded'] }
+}).sort({ createdAt: 1 });
+const receipt = buildReceipt(ticket, payments, lang);
+if (format === 'html') {
+const qrSrc = receipt.qrCode ? await QRCode.toDataURL(receipt.qrCode, { errorCorrectionLevel: 'M', width: 320 }) : null;
+return res.status(200).type('html').send(renderReceiptHtml(receipt, { qrSrc }));
+}
+res.set('Content-Type', 'application/pdf');
+res.set('Content-Disposition', `inline; filename="receipt-${receipt.bookingCode}.pdf"`);
+res.status(200).send(renderReceiptPdf(receipt));
+} catch (err) {
+next(err);
+}
+};
+// Why a scanned ticket cannot be checked in now, or null when it can
+const getCheckInError = (ticket, payload, token, schedule, { cinemaId, scheduleId, at }) => {
+if (!ticket || ticket.qrCode !== token || ticket.qrVersion !== payload.v) {
+return 'This ticket code is no longer valid';
+}
+if (ticket.status !== 'confirmed') {
+return `Ticket is ${ticket.status} and cannot be checked in`;
+}
+if (cinemaId && ticket.cinemaId.toString() !== cinemaId) {
+return 'This ticket is for a different cinema';
+}
+if (scheduleId && ticket.scheduleId.toString() !== scheduleId) {
+return 'This ticket is for a different showtime';
+}
+const opensAt = new Date(schedule.startTime.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+if (at < opensAt) {
+return `Check-in opens at ${opensAt.toISOString()}`;
+}
+if (at > schedule.endTime) {
+return 'This showtime has already ended';
+}
+return null;
+};
+exports.checkInTicket = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { token, seats: seatCodes, cinemaId, scheduleId, door, deviceId } = req.body;
+let payload;
+try {
+payload = verifyTicketToken(token);
+} catch (error) {
+return res.status(error.statusCode).json({
+success: false,
+message: error.message
+});
+}
+const ticket = await Ticket.findById(payload.tid);
+const schedule = ticket && await Schedule.findById(ticket.scheduleId);
+const now = new Date();
+const checkInError = schedule ?
+getCheckInError(ticket, payload, token, schedule, { cinemaId, scheduleId, at: now }) :
+'This ticket code is no longer valid';
+if (checkInError) {
+return res.status(400).json({
+success: false,
+message: checkInError
+});
+}
+const requestedSeats = seatCodes && seatCodes.length > 0 ?
+seatCodes.map(code => code.toUpperCase()) :
+ticket.seats.map(s => s.code);
+const invalidSeats = requestedSeats.filter(code => !ticket.seats.some(s => s.code === code));
+if (invalidSeats.length > 0) {
+return res.status(400).json({
+success: false,
+message: `Seat(s) not on this ticket: ${invalidSeats.join(', ')}`,
+invalidSeats
+});
+}
+// Recorded like offline scans so a later scan elsewhere shows as a conflict
+const checkInDoor = door || deviceId || `staff:${req.user.id}`;
+const result = await Ticket.checkInSeats(ticket._id, requestedSeats, req.user.id, now, checkInDoor);
+if (result.checkedIn.length === 0) {
+return res.status(409).json({
+success: false,
+message: 'Already checked in',
+alreadyCheckedIn: result.alreadyCheckedIn
+});
+}
+const remainingSeats = ticket.seats
+.filter(s => !s.checkedInAt && !requestedSeats.includes(s.code))
+.map(s => s.code);
+res.status(200).json({
+success: true,
+data: {
+ticketId: ticket._id,
+checkedIn: result.checkedIn,
+alreadyCheckedIn: result.alreadyCheckedIn,
+remainingSeats,
+idCheckRequired: Boolean(ticket.ageRestriction && ticket.ageRestriction.idCheckRequired),
+ageRating: ticket.ageRestriction && ticket.ageRestriction.rating
+},
+message: `Checked in ${result.checkedIn.length} seat(s)`
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getCheckInManifest = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { scheduleId } = req.query;
+const schedule = await Schedule.findById(scheduleId);
+if (!schedule) {
+return res.status(404).json({
+success: false,
+message: 'Schedule not found'
+});
+}
+const tickets = await Ticket.find({ scheduleId, status: 'confirmed' })
+.select('qrCode qrVersion seats ageRestriction')
+.lean();
+// Scanners match on a hash of the QR content so the file holds no usable codes
+const manifest = {
+scheduleId: schedule._id.toString(),
+cinemaId: schedule.cinemaId.toString(),
+startTime: schedule.startTime,
+endTime: schedule.endTime,
+checkInOpensAt: new Date(schedule.startTime.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000),
+generatedAt: new Date(),
+tickets: tickets.map(ticket => ({
+ticketId: ticket._id.toString(),
+tokenHash: crypto.createHash('sha256').update(ticket.qrCode).digest('hex'),
+qrVersion: ticket.qrVersion,
+idCheckRequired: Boolean(ticket.ageRestriction && ticket.ageRestriction.idCheckRequired),
+seats: ticket.seats.map(seat => ({
+code: seat.code,
+category: seat.category,
+checkedInAt: seat.checkedInAt
+}))
+}))
+};
+res.status(200).json({
+success: true,
+data: manifest,
+signature: signManifest(manifest),
+signatureAlgorithm: 'ES256'
+});
+} catch (err) {
+next(err);
+}
+};
+// Public key scanners verify ticket codes and manifests with
+exports.getCheckInPublicKey = async (req, res, next) => {
+try {
+res.status(200).json({
+success: true,
+data: {
+algorithm: 'ES256',
+publicKey: getTicketPublicKey()
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.syncOfflineCheckIns = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { scheduleId, deviceId, scans } = req.body;
+const schedule = await Schedule.findById(scheduleId);
+if (!schedule) {
+return res.status(404).json({
+success: false,
+message: 'Schedule not found'
+});
+}
+const report = { accepted: [], duplicates: [], conflicts: [], rejected: [] };
+// Replay scans in the order they happened so the earliest one wins
+const orderedScans = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+for (const scan of orderedScans) {
+const scannedAt = new Date(scan.scannedAt);
+const door = scan.door || deviceId;
+let payload;
+try {
+payload = verifyTicketToken(scan.token);
+} catch (error) {
+report.rejected.push({ scannedAt, door, reason: error.message });
+continue;
+}
+const ticket = await Ticket.findById(payload.tid);
+const checkInError = getCheckInError(ticket, payload, scan.token, schedule, {
+scheduleId,
+at: scannedAt
+});
+if (checkInError) {
+report.rejected.push({ ticketId: payload.tid, scannedAt, door, reason: checkInError });
+continue;
+}
+const seatCodes = scan.seats && scan.seats.length > 0 ?
+scan.seats.map(code => code.toUpperCase()).filter(code => ticket.seats.some(s => s.code === code)) :
+ticket.seats.map(s => s.code);
+const result = await Ticket.checkInSeats(ticket._id, seatCodes, req.user.id, scannedAt, door);
+if (result.checkedIn.length > 0) {
+report.accepted.push({ ticketId: ticket._id, seats: result.checkedIn, scannedAt, door });
+}
+if (result.alreadyCheckedIn.length > 0) {
+const current = await Ticket.findById(ticket._id).select('seats').lean();
+result.alreadyCheckedIn.forEach(code => {
+const seat = current.seats.find(s => s.code === code);
+const entry = {
+ticketId: ticket._id,
+seat: code,
+scannedAt,
+door,
+firstCheckInAt: seat.checkedInAt,
+firstDoor: seat.checkInDoor
+};
+// The same door scanning twice is a retry; another door means the code was shared
+if (!seat.checkInDoor || seat.checkInDoor === door) {
+report.duplicates.push(entry);
+} else {
+report.conflicts.push(entry);
+}
+});
+}
+}
+res.status(200).json({
+success: true,
+data: report,
+message: `Synced ${scans.length} scan(s): ${report.accepted.length} accepted, ` +
+`${report.duplicates.length} duplicate(s), ${report.conflicts.length} conflict(s), ` +
+`${report.rejected.length} rejected`
+});
+} catch (err) {
+next(err);
+}
+};
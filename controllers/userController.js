@@ -177,7 +177,7 @@ exports.getProfile = async (req, res, next) => {
 // @access  Private
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { name, phone } = req.body;
+    const { name, phone, dateOfBirth } = req.body;
     
     let user = await User.findById(req.user.id);
     
@@ -191,6 +191,7 @@ exports.updateProfile = async (req, res, next) => {
     // Update fields
     if (name) user.name = name;
     if (phone) user.phone = phone;
+    if (dateOfBirth) user.dateOfBirth = dateOfBirth;
 
     await user.save();
 
@@ -0,0 +1,150 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Schedule = require('../models/Schedule');
+const SeatHold = require('../models/SeatHold');
+const { emitSeatChange } = require('../utils/seatEvents');
+const { findBestSeats } = require('../utils/seatSelector');
+const { validationResult } = require('express-validator');
+exports.joinWaitlist = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { scheduleId, seatCount } = req.body;
+const schedule = await Schedule.findById(scheduleId);
+if (!schedule || schedule.status !== 'scheduled' || schedule.startTime <= new Date()) {
+return res.status(404).json({
+success: false,
+message: 'Schedule not found or no longer open for booking'
+});
+}
+// Only sold-out schedules have a waitlist
+const seatMap = await schedule.getSeatMap();
+const freeSeats = seatMap ? findBestSeats(seatMap.seats, seatCount) : [];
+if (!schedule.isFull && freeSeats.length >= seatCount) {
+return res.status(400).json({
+success: false,
+message: 'Seats are still available for this schedule. Please book them directly.'
+});
+}
+const existing = await WaitlistEntry.findOne({
+scheduleId,
+userId: req.user.id,
+status: { $in: ['waiting', 'offered'] }
+});
+if (existing) {
+return res.status(400).json({
+success: false,
+message: 'You are already on the waitlist for this schedule',
+data: existing
+});
+}
+const entry = await WaitlistEntry.create({
+scheduleId,
+userId: req.user.id,
+seatCount
+});
+res.status(201).json({
+success: true,
+data: {
+entry,
+position: await entry.getPosition()
+},
+message: 'You have joined the waitlist. We will hold seats for you when they free up.'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getMyWaitlist = async (req, res, next) => {
+try {
+const entries = await WaitlistEntry.find({
+userId: req.user.id,
+status: { $in: ['waiting', 'offered'] }
+})
+.populate({
+path: 'scheduleId',
+select: 'startTime movieId cinemaId',
+populate: { path: 'movieId', select: 'title posterUrl' }
+})
+.sort({ createdAt: 1 });
+const data = await Promise.all(entries.map(async entry => ({
+...entry.toJSON(),
+position: await entry.getPosition()
+})));
+res.status(200).json({
+success: true,
+count: data.length,
+data
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getScheduleWaitlist = async (req, res, next) => {
+try {
+const { status = 'waiting' } = req.query;
+const entries = await WaitlistEntry.find({ scheduleId: req.params.scheduleId, status })
+.populate('userId', 'name email')
+.sort({ createdAt: 1 });
+res.status(200).json({
+success: true,
+count: entries.length,
+data: entries
+});
+} catch (err) {
+next(err);
+}
+};
+exports.leaveWaitlist = async (req, res, next) => {
+try {
+const entry = await WaitlistEntry.findById(req.params.id);
+if (!entry) {
+return res.status(404).json({
+success: false,
+message: 'Waitlist entry not found'
+});
+}
+if (entry.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to change this waitlist entry'
+});
+}
+if (!['waiting', 'offered'].includes(entry.status)) {
+return res.status(400).json({
+success: false,
+message: `Waitlist entry is already ${entry.status}`
+});
+}
+// Give up offered seats straight away so the next in line gets them
+let releasedSeats = [];
+if (entry.status === 'offered') {
+const holds = await SeatHold.find({
+scheduleId: entry.scheduleId,
+userId: entry.userId,
+seatCode: { $in: entry.offer.seatCodes },
+ticketId: null,
+status: 'active'
+});
+await SeatHold.updateMany(
+{ _id: { $in: holds.map(hold => hold._id) } },
+{ $set: { status: 'released', locked: false, releasedAt: new Date() } }
+);
+releasedSeats = holds.map(hold => hold.seatCode);
+}
+entry.status = 'cancelled';
+await entry.save();
+emitSeatChange(entry.scheduleId, releasedSeats, 'released');
+res.status(200).json({
+success: true,
+data: entry,
+message: 'You have left the waitlist'
+});
+} catch (err) {
+next(err);
+}
+};
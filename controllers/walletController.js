@@ -0,0 +1,218 @@
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { getProvider, normalizeMethod } = require('../utils/paymentProviders');
+const { validationResult } = require('express-validator');
+const MIN_TOPUP = parseInt(process.env.WALLET_MIN_TOPUP, 10) || 10000;
+// Highest balance a wallet may reach through top-ups
+const MAX_BALANCE = parseInt(process.env.WALLET_MAX_BALANCE, 10) || 20000000;
+exports.getMyWallet = async (req, res, next) => {
+try {
+const wallet = await Wallet.getOrCreate(req.user.id);
+res.status(200).json({
+success: true,
+data: {
+balance: wallet.balance,
+currency: wallet.currency,
+updatedAt: wallet.updatedAt
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getMyTransactions = async (req, res, next) => {
+try {
+const { page = 1, limit = 20 } = req.query;
+const wallet = await Wallet.getOrCreate(req.user.id);
+const query = { accountType: 'wallet', accountId: wallet._id };
+const skip = (page - 1) * limit;
+const [entries, total] = await Promise.all([
+LedgerEntry.find(query)
+.sort({ createdAt: -1 })
+.skip(skip)
+.limit(parseInt(limit)),
+LedgerEntry.countDocuments(query)
+]);
+res.status(200).json({
+success: true,
+count: entries.length,
+total,
+totalPages: Math.ceil(total / limit),
+currentPage: parseInt(page),
+balance: wallet.balance,
+data: entries
+});
+} catch (err) {
+next(err);
+}
+};
+// Online top-up: the wallet is credited when the provider confirms the payment
+exports.topUpWallet = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { amount, paymentMethod } = req.body;
+const provider = getProvider(normalizeMethod(paymentMethod));
+if (!provider) {
+return res.status(400).json({
+success: false,
+message: `${paymentMethod} cannot be used to top up a wallet online`
+});
+}
+if (amount < MIN_TOPUP) {
+return res.status(400).json({
+success: false,
+message: `The minimum top-up is ${MIN_TOPUP}`
+});
+}
+const wallet = await Wallet.getOrCreate(req.user.id);
+if (wallet.balance + amount > MAX_BALANCE) {
+return res.status(400).json({
+success: false,
+message: `A wallet cannot hold more than ${MAX_BALANCE}`
+});
+}
+const payment = new Payment({
+userId: req.user.id,
+purpose: 'wallet_topup',
+amount,
+currency: wallet.currency,
+method: normalizeMethod(paymentMethod),
+status: 'pending',
+transactionId: `TOP-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+paymentDetails: {},
+ipAddress: req.ip,
+userAgent: req.get('User-Agent')
+});
+const checkout = await provider.createPayment({
+payment,
+orderInfo: `Nap vi ${req.user.id}`,
+ipAddress: req.ip
+});
+payment.paymentDetails = {
+provider: provider.name,
+providerRef: checkout.providerRef,
+payUrl: checkout.payUrl,
+deeplink: checkout.deeplink,
+transactionTime: new Date()
+};
+await payment.save();
+res.status(201).json({
+success: true,
+data: {
+paymentId: payment._id,
+amount: payment.amount,
+currency: payment.currency,
+status: payment.status,
+provider: provider.name,
+payUrl: checkout.payUrl,
+deeplink: checkout.deeplink
+},
+message: 'Top-up created. Complete it with the provider to credit your wallet.'
+});
+} catch (err) {
+next(err);
+}
+};
+// Cash top-up taken by staff at the counter, credited immediately
+exports.topUpAtCounter = async (req, res, next) => {
+const session = await Payment.startSession();
+session.startTransaction();
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+errors: errors.array()
+});
+}
+const { amount } = req.body;
+const user = await User.findById(req.params.userId).session(session);
+if (!user) {
+await session.abortTransaction();
+session.endSession();
+return res.status(404).json({
+success: false,
+message: 'User not found'
+});
+}
+const wallet = await Wallet.getOrCreate(user._id, { session });
+if (wallet.balance + amount > MAX_BALANCE) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `A wallet cannot hold more than ${MAX_BALANCE}`
+});
+}
+const payment = new Payment({
+userId: user._id,
+purpose: 'wallet_topup',
+amount,
+currency: wallet.currency,
+method: 'cash',
+status: 'pending',
+transactionId: `TOP-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+paymentDetails: {
+provider: 'cash',
+accountInfo: `Collected by ${req.user.id}`
+},
+ipAddress: req.ip,
+userAgent: req.get('User-Agent')
+});
+const { account, entry } = await payment.confirmTopUp({ session });
+await session.commitTransaction();
+session.endSession();
+res.status(201).json({
+success: true,
+data: {
+paymentId: payment._id,
+ledgerEntryId: entry._id,
+amount: payment.amount,
+balance: account.balance
+},
+message: 'Cash top-up recorded.'
+});
+} catch (err) {
+await session.abortTransaction();
+session.endSession();
+next(err);
+}
+};
+// Admin view: balance, whether it matches the ledger, and recent entries
+exports.getUserWallet = async (req, res, next) => {
+try {
+const wallet = await Wallet.findOne({ userId: req.params.userId }).populate('userId', 'name email');
+if (!wallet) {
+return res.status(404).json({
+success: false,
+message: 'Wallet not found'
+});
+}
+const [reconciliation, entries] = await Promise.all([
+wallet.reconcile(),
+LedgerEntry.find({ accountType: 'wallet', accountId: wallet._id })
+.sort({ createdAt: -1 })
+.limit(50)
+]);
+res.status(200).json({
+success: true,
+data: {
+wallet,
+reconciliation,
+entries
+}
+});
+} catch (err) {
+next(err);
+}
+};
@@ -0,0 +1,156 @@
+const WalletPass = require('../models/WalletPass');
+const Ticket = require('../models/Ticket');
+const { getPassConfig, createPassBundle } = require('../utils/walletPass');
+const { safeEqual } = require('../utils/paymentProviders/helpers');
+const loadTicket = ticketId => Ticket.findById(ticketId)
+.populate('movieId', 'title')
+.populate('cinemaId', 'name address location')
+.populate('roomId', 'name')
+.populate('scheduleId', 'startTime endTime');
+const sendPass = (res, ticket, pass, config) => {
+res.set('Content-Type', 'application/vnd.apple.pkpass');
+res.set('Content-Disposition', `attachment; filename="ticket-${ticket._id.toString().slice(-8).toUpperCase()}.pkpass"`);
+res.set('Last-Modified', pass.lastModified.toUTCString());
+res.status(200).send(createPassBundle(ticket, pass, config));
+};
+// The pass named in a device request, or null when the type is not ours or
+// the device's "ApplePass <token>" does not match
+const authenticatePass = async (req, config) => {
+if (req.params.passTypeIdentifier !== config.passTypeIdentifier) {
+return null;
+}
+const pass = await WalletPass.findOne({ serialNumber: req.params.serialNumber }).select('+authenticationToken');
+const token = (req.get('Authorization') || '').replace(/^ApplePass\s+/, '');
+return pass && safeEqual(token, pass.authenticationToken) ? pass : null;
+};
+// Download the pass for a confirmed ticket; only the current holder can
+exports.getTicketPass = async (req, res, next) => {
+try {
+const config = getPassConfig();
+if (!config) {
+return res.status(503).json({
+success: false,
+message: 'Wallet passes are not available'
+});
+}
+const ticket = await loadTicket(req.params.ticketId);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (ticket.userId.toString() !== req.user.id) {
+return res.status(403).json({
+success: false,
+message: 'Only the ticket holder can add it to a wallet'
+});
+}
+if (ticket.status !== 'confirmed') {
+return res.status(400).json({
+success: false,
+message: 'Only confirmed tickets can be added to a wallet'
+});
+}
+const pass = await WalletPass.issueFor(ticket);
+sendPass(res, ticket, pass, config);
+} catch (err) {
+next(err);
+}
+};
+// Wallet web service: the device registers for update pushes on a pass
+exports.registerDevice = async (req, res, next) => {
+try {
+const config = getPassConfig();
+const pass = config && await authenticatePass(req, config);
+if (!pass) {
+return res.sendStatus(401);
+}
+const { pushToken } = req.body;
+if (!pushToken) {
+return res.sendStatus(400);
+}
+const registration = pass.registrations.find(r => r.deviceLibraryId === req.params.deviceLibraryId);
+if (registration) {
+registration.pushToken = pushToken;
+await pass.save();
+return res.sendStatus(200);
+}
+pass.registrations.push({ deviceLibraryId: req.params.deviceLibraryId, pushToken });
+await pass.save();
+res.sendStatus(201);
+} catch (err) {
+next(err);
+}
+};
+exports.unregisterDevice = async (req, res, next) => {
+try {
+const config = getPassConfig();
+const pass = config && await authenticatePass(req, config);
+if (!pass) {
+return res.sendStatus(401);
+}
+pass.registrations = pass.registrations.filter(r => r.deviceLibraryId !== req.params.deviceLibraryId);
+await pass.save();
+res.sendStatus(200);
+} catch (err) {
+next(err);
+}
+};
+// Serial numbers of the device's passes changed since its last check. The
+// update tag handed back is the latest change time in milliseconds.
+exports.getUpdatedPasses = async (req, res, next) => {
+try {
+const config = getPassConfig();
+if (!config || req.params.passTypeIdentifier !== config.passTypeIdentifier) {
+return res.sendStatus(404);
+}
+const query = { 'registrations.deviceLibraryId': req.params.deviceLibraryId };
+const since = parseInt(req.query.passesUpdatedSince, 10);
+if (since) {
+query.lastModified = { $gt: new Date(since) };
+}
+const passes = await WalletPass.find(query).select('serialNumber lastModified');
+if (passes.length === 0) {
+return res.sendStatus(204);
+}
+const lastUpdated = Math.max(...passes.map(pass => pass.lastModified.getTime()));
+res.status(200).json({
+serialNumbers: passes.map(pass => pass.serialNumber),
+lastUpdated: String(lastUpdated)
+});
+} catch (err) {
+next(err);
+}
+};
+// Latest version of a pass, voided once the ticket is cancelled or handed on
+exports.getLatestPass = async (req, res, next) => {
+try {
+const config = getPassConfig();
+const pass = config && await authenticatePass(req, config);
+if (!pass) {
+return res.sendStatus(401);
+}
+const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+// HTTP dates have whole seconds
+if (ifModifiedSince && Math.floor(pass.lastModified.getTime() / 1000) * 1000 <= ifModifiedSince) {
+return res.sendStatus(304);
+}
+const ticket = await loadTicket(pass.ticketId);
+if (!ticket) {
+return res.sendStatus(404);
+}
+sendPass(res, ticket, pass, config);
+} catch (err) {
+next(err);
+}
+};
+// Errors reported by wallet apps about our passes
+exports.logDeviceMessages = async (req, res, next) => {
+try {
+(req.body.logs || []).forEach(message => console.error(`Wallet pass: ${message}`));
+res.sendStatus(200);
+} catch (err) {
+next(err);
+}
+};
@@ -44,4 +44,13 @@ const staff = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin, staff };
+const finance = (req, res, next) => {
+  if (req.user && (req.user.role === 'finance' || req.user.role === 'admin')) {
+    next();
+  } else {
+    res.status(403);
+    throw new Error('Not authorized as finance staff or admin');
+  }
+};
+
+module.exports = { protect, admin, staff, finance };
@@ -1,7 +1,9 @@
 const errorHandler = (err, req, res, next) => {
   console.error(err.stack);
   
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  // Errors thrown by models carry their own status (e.g. 400 for a refund
+  // larger than what is left)
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   res.status(statusCode).json({
     success: false,
     message: err.message || 'Internal Server Error',
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+const fingerprintOf = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// JSON bodies are stored as objects, anything else as text
+const storedBody = (body, contentType) => {
+  if (body === undefined || body === null) return undefined;
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  if (typeof text !== 'string') return JSON.parse(JSON.stringify(text));
+  if (contentType && contentType.includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+// Send a stored response again
+const replay = (res, response) => {
+  res.status(response.statusCode);
+  if (response.body === undefined) {
+    return res.end();
+  }
+  if (typeof response.body !== 'string') {
+    return res.json(response.body);
+  }
+  if (response.contentType) {
+    res.set('Content-Type', response.contentType);
+  }
+  return res.send(response.body);
+};
+
+// Honour an Idempotency-Key header: the first response for a key is stored
+// and replayed for retries of the same request. Must run after protect.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot be more than 255 characters'
+    });
+  }
+
+  try {
+    const fingerprint = fingerprintOf(req);
+    const now = new Date();
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId: req.user._id,
+        method: req.method,
+        path: req.originalUrl,
+        fingerprint,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ key, userId: req.user._id });
+      // Expired but not yet removed by MongoDB: start over with this request
+      if (!existing || existing.expiresAt <= now) {
+        await IdempotencyKey.deleteOne({ key, userId: req.user._id });
+        return idempotent(req, res, next);
+      }
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return replay(res, existing.response);
+    }
+
+    // Remember the first response, whichever way the handler sends it.
+    // Server errors free the key so the client can retry.
+    let settled = false;
+    const remember = (body) => {
+      settled = true;
+      const statusCode = res.statusCode;
+      const contentType = res.get('Content-Type');
+      const done = statusCode >= 500 ?
+        IdempotencyKey.deleteOne({ _id: record._id }) :
+        IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', response: { statusCode, contentType, body: storedBody(body, contentType) } } }
+        );
+      return done.catch(error => console.error(`Error saving idempotent response: ${error.message}`.red));
+    };
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      if (settled) return send(body);
+      remember(body).then(() => send(body));
+      return res;
+    };
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      if (settled) return end(...args);
+      remember(typeof args[0] === 'function' ? undefined : args[0]).then(() => end(...args));
+      return res;
+    };
+
+    // The handler failed without answering or the client went away first:
+    // free the key instead of leaving it 'processing' until it expires
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(error => console.error(`Error releasing idempotency key: ${error.message}`.red));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,16 @@
+// Pending tickets used to be deleted by a TTL index on pendingExpiresAt. They
+// are now marked expired by the hold sweeper instead, but removing the option
+// from the schema leaves the TTL index in place on existing databases, and
+// Mongoose cannot build the plain index under the same name.
+module.exports = {
+  name: '001-drop-ticket-pending-expiry-ttl',
+  up: async (db) => {
+    const tickets = db.collection('tickets');
+    const indexes = await tickets.indexes().catch(() => []);
+    const ttl = indexes.find(index => index.key.pendingExpiresAt === 1 && index.expireAfterSeconds !== undefined);
+    if (ttl) {
+      await tickets.dropIndex(ttl.name);
+    }
+    await tickets.createIndex({ pendingExpiresAt: 1 });
+  }
+};
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Applied in order, once per database; each name is recorded when it succeeds
+const MIGRATIONS = [
+  require('./001-drop-ticket-pending-expiry-ttl')
+];
+
+// Run the migrations this database has not seen yet
+const runMigrations = async () => {
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  for (const migration of MIGRATIONS) {
+    if (await applied.findOne({ name: migration.name })) continue;
+    await migration.up(db);
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+    console.log(`Applied migration ${migration.name}`.gray);
+  }
+};
+
+module.exports = { runMigrations };
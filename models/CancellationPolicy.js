@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES } = require('../utils/ticketCategories');
+
+// Refund percentage once the show is at least `minHoursBeforeShow` away
+const refundTierSchema = new mongoose.Schema({
+  minHoursBeforeShow: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a policy name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    // Empty scope fields match everything; the most specific policy wins
+    cinemaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cinema',
+      index: true
+    },
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      index: true
+    },
+    ticketCategory: {
+      type: String,
+      enum: TICKET_CATEGORIES
+    },
+    // No cancellation at all closer to the show than this
+    cutoffHours: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    tiers: {
+      type: [refundTierSchema],
+      validate: {
+        validator: tiers => tiers.length > 0,
+        message: 'Please add at least one refund tier'
+      }
+    },
+    // Fee kept per cancelled seat
+    cancellationFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Tickets bought with a voucher get no refund
+    nonRefundableWithPromotion: {
+      type: Boolean,
+      default: false
+    },
+    refundNote: {
+      type: String,
+      default: 'Refund will be processed within 5-7 business days.',
+      maxlength: [300, 'Refund note cannot be more than 300 characters']
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Used when no policy matches: the historical 2-hour full-refund rule
+const DEFAULT_POLICY = {
+  name: 'Default',
+  cutoffHours: 2,
+  tiers: [{ minHoursBeforeShow: 2, refundPercent: 100 }],
+  cancellationFee: 0,
+  nonRefundableWithPromotion: false,
+  refundNote: 'Refund will be processed within 5-7 business days.'
+};
+
+const specificity = policy =>
+  (policy.movieId ? 4 : 0) + (policy.cinemaId ? 2 : 0) + (policy.ticketCategory ? 1 : 0);
+
+// Find the most specific active policy for a cinema, movie and category
+cancellationPolicySchema.statics.resolve = async function({ cinemaId, movieId, ticketCategory }) {
+  const policies = await this.find({
+    isActive: true,
+    cinemaId: { $in: [cinemaId, null] },
+    movieId: { $in: [movieId, null] },
+    ticketCategory: { $in: [ticketCategory, null] }
+  }).lean();
+
+  if (policies.length === 0) {
+    return DEFAULT_POLICY;
+  }
+
+  return policies.sort((a, b) => specificity(b) - specificity(a))[0];
+};
+
+// Refund percentage for a policy at the given hours before the show
+const refundPercentFor = (policy, hoursBeforeShow) => {
+  const tier = [...policy.tiers]
+    .sort((a, b) => b.minHoursBeforeShow - a.minHoursBeforeShow)
+    .find(t => hoursBeforeShow >= t.minHoursBeforeShow);
+  return tier ? tier.refundPercent : 0;
+};
+
+// Work out what cancelling (part of) a ticket would refund.
+// Without seatCodes and combos the whole ticket is quoted. Each line is
+// quoted on what is left of it after earlier line refunds, and the total
+// never exceeds what the ticket's payments still hold.
+cancellationPolicySchema.statics.quote = async function(ticket, schedule, options = {}) {
+  const { seatCodes, combos, session, at = new Date() } = options;
+  const wholeTicket = !seatCodes && !combos;
+  const hoursBeforeShow = (schedule.startTime - at) / (1000 * 60 * 60);
+
+  // What was actually paid per unit of list price, after the voucher and
+  // with tax and service fee spread over the lines
+  const netFactor = ticket.subtotal > 0 ? ticket.totalAmount / ticket.subtotal : 0;
+  const hasPromotion = Boolean(ticket.voucher && ticket.voucher.code);
+  const scope = { cinemaId: ticket.cinemaId, movieId: ticket.movieId };
+
+  const lines = [];
+  ticket.seats
+    .filter(seat => wholeTicket || (seatCodes || []).includes(seat.code))
+    .forEach(seat => lines.push({
+      itemType: 'seat',
+      code: seat.code,
+      category: seat.category || 'adult',
+      quantity: 1,
+      amount: seat.price,
+      alreadyRefunded: seat.refundedAmount || 0
+    }));
+  ticket.combos.forEach(line => {
+    const requested = wholeTicket ?
+      { quantity: line.quantity } :
+      (combos || []).find(item => item.comboId.toString() === line.combo.toString());
+    if (!requested) return;
+    const quantity = requested.quantity || line.quantity;
+    lines.push({
+      itemType: 'combo',
+      code: line.name,
+      combo: line.combo,
+      quantity,
+      amount: line.price * quantity,
+      alreadyRefunded: Math.round((line.refundedAmount || 0) * quantity / line.quantity)
+    });
+  });
+
+  const items = [];
+  let allowed = true;
+  let message;
+  let refundNote = DEFAULT_POLICY.refundNote;
+
+  const policies = new Map();
+  for (const line of lines) {
+    const ticketCategory = line.itemType === 'seat' ? line.category : undefined;
+    if (!policies.has(ticketCategory)) {
+      policies.set(ticketCategory, await this.resolve({ ...scope, ticketCategory }));
+    }
+    const policy = policies.get(ticketCategory);
+    refundNote = policy.refundNote || refundNote;
+
+    if (hoursBeforeShow < policy.cutoffHours) {
+      allowed = false;
+      message = `Cannot cancel within ${policy.cutoffHours} hours of showtime`;
+    }
+
+    const gross = Math.round(line.amount * netFactor);
+    const paid = Math.max(0, gross - line.alreadyRefunded);
+    const refundPercent = hasPromotion && policy.nonRefundableWithPromotion ?
+      0 : refundPercentFor(policy, hoursBeforeShow);
+    const fee = line.itemType === 'seat' ? Math.min(paid, policy.cancellationFee || 0) : 0;
+    const refundAmount = Math.max(0, Math.round(paid * refundPercent / 100) - fee);
+
+    items.push({
+      ...line,
+      fullyRefunded: gross > 0 && paid === 0,
+      paid,
+      refundPercent,
+      fee,
+      refundAmount,
+      policy: policy.name,
+      nonRefundableReason: hasPromotion && policy.nonRefundableWithPromotion ?
+        'Tickets bought with a promotion are non-refundable' : undefined
+    });
+  }
+
+  // Refunds not tied to any line (e.g. goodwill on the whole ticket) come
+  // off the last lines first
+  const refundable = await mongoose.model('Payment').getRefundableAmount(ticket, { session });
+  let excess = items.reduce((sum, item) => sum + item.refundAmount, 0) - refundable;
+  for (let i = items.length - 1; i >= 0 && excess > 0; i--) {
+    const cut = Math.min(items[i].refundAmount, excess);
+    items[i].refundAmount -= cut;
+    excess -= cut;
+  }
+
+  return {
+    allowed,
+    message,
+    hoursBeforeShow: Math.round(hoursBeforeShow * 10) / 10,
+    items,
+    totalPaid: items.reduce((sum, item) => sum + item.paid, 0),
+    totalFee: items.reduce((sum, item) => sum + item.fee, 0),
+    totalRefund: items.reduce((sum, item) => sum + item.refundAmount, 0),
+    refundNote
+  };
+};
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
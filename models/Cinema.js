@@ -71,6 +71,37 @@ const cinemaSchema = new mongoose.Schema(
     description: {
       type: String,
       maxlength: [1000, 'Description cannot be more than 1000 characters']
+    },
+    bookingRules: {
+      // What to do when a selection leaves a single empty seat stranded in a row
+      orphanSeatPolicy: {
+        type: String,
+        enum: ['off', 'warn', 'reject'],
+        default: 'warn'
+      }
+    },
+    // Seller details printed on VAT invoices; unset fields fall back to the
+    // company-wide INVOICE_SELLER_* settings
+    invoiceSettings: {
+      // Last part of the invoice series, e.g. "HN" in 1C26THN
+      seriesSuffix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Series suffix must be two letters']
+      },
+      legalName: {
+        type: String,
+        maxlength: [200, 'Legal name cannot be more than 200 characters']
+      },
+      taxCode: {
+        type: String,
+        match: [/^\d{10}(-\d{3})?$/, 'Please enter a valid tax code']
+      },
+      address: {
+        type: String,
+        maxlength: [500, 'Address cannot be more than 500 characters']
+      }
     }
   },
   {
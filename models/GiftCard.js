@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const MAX_PIN_ATTEMPTS = parseInt(process.env.GIFT_CARD_MAX_PIN_ATTEMPTS, 10) || 5;
+const PIN_LOCK_MINUTES = parseInt(process.env.GIFT_CARD_PIN_LOCK_MINUTES, 10) || 30;
+
+// No 0/O or 1/I, so codes survive being read out at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = () => {
+  const chars = Array.from(crypto.randomBytes(12), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `GC-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`;
+};
+
+const generatePin = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+const giftCardSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    pinHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    initialAmount: {
+      type: Number,
+      required: true,
+      min: [1, 'Gift card amount must be positive']
+    },
+    // Only ever changed through LedgerEntry.post
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'VND'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disabled'],
+      default: 'active',
+      index: true
+    },
+    expiresAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    failedPinAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+giftCardSchema.virtual('isUsable').get(function() {
+  return this.status === 'active' &&
+    this.balance > 0 &&
+    (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Create a card and load its starting balance through the ledger. The PIN is
+// only returned here; afterwards just its hash is kept.
+giftCardSchema.statics.issue = async function({ amount, expiresAt, note }, userId, options = {}) {
+  const { session } = options;
+  const pin = generatePin();
+  const pinHash = await bcrypt.hash(pin, 10);
+  const [giftCard] = await this.create([{
+    code: generateCode(),
+    pinHash,
+    initialAmount: amount,
+    expiresAt,
+    note,
+    issuedBy: userId
+  }], { session });
+
+  const { account } = await mongoose.model('LedgerEntry').post('gift_card', giftCard._id, amount, {
+    type: 'issue',
+    createdBy: userId,
+    note
+  }, { session });
+
+  return { giftCard: account, pin };
+};
+
+// Look up a card by code and PIN. Wrong PINs count towards a temporary lock.
+giftCardSchema.statics.findUsable = async function(code, pin, options = {}) {
+  const giftCard = await this.findOne({ code: String(code || '').trim().toUpperCase() })
+    .select('+pinHash')
+    .session(options.session || null);
+  const fail = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  };
+
+  if (!giftCard) {
+    throw fail('Gift card not found', 404);
+  }
+  if (giftCard.lockedUntil && giftCard.lockedUntil > new Date()) {
+    throw fail('Too many wrong PINs. Please try again later.', 423);
+  }
+  if (!(await bcrypt.compare(String(pin || ''), giftCard.pinHash))) {
+    giftCard.failedPinAttempts += 1;
+    if (giftCard.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+      giftCard.failedPinAttempts = 0;
+      giftCard.lockedUntil = new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000);
+    }
+    // Outside the caller's transaction so the attempt counts even if it aborts
+    await this.updateOne(
+      { _id: giftCard._id },
+      { $set: { failedPinAttempts: giftCard.failedPinAttempts, lockedUntil: giftCard.lockedUntil } }
+    );
+    throw fail('Invalid gift card PIN', 400);
+  }
+  if (giftCard.failedPinAttempts > 0) {
+    giftCard.failedPinAttempts = 0;
+    await giftCard.save({ session: options.session });
+  }
+  if (giftCard.status !== 'active') {
+    throw fail('Gift card is disabled', 400);
+  }
+  if (giftCard.expiresAt && giftCard.expiresAt <= new Date()) {
+    throw fail('Gift card has expired', 400);
+  }
+
+  return giftCard;
+};
+
+giftCardSchema.statics.debit = function(giftCardId, amount, fields = {}, options = {}) {
+  return mongoose.model('LedgerEntry').post('gift_card', giftCardId, -amount, fields, {
+    ...options,
+    accountFilter: { status: 'active' }
+  });
+};
+
+// Refunds go back onto the card even after it has been used up
+giftCardSchema.statics.credit = function(giftCardId, amount, fields = {}, options = {}) {
+  return mongoose.model('LedgerEntry').post('gift_card', giftCardId, amount, fields, options);
+};
+
+giftCardSchema.methods.reconcile = function() {
+  return mongoose.model('LedgerEntry').reconcile('gift_card', this);
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
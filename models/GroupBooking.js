@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const groupBookingSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a name for the group'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // School or company the consolidated invoice is made out to
+    organization: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Organization name cannot be more than 200 characters']
+      },
+      taxCode: {
+        type: String,
+        trim: true
+      },
+      address: String,
+      email: String
+    },
+    // 'attendee': everyone pays their own seat; 'invoice': the organizer pays for all
+    paymentMode: {
+      type: String,
+      enum: ['attendee', 'invoice'],
+      default: 'attendee'
+    },
+    // Seats not paid for by then are released
+    deadline: {
+      type: Date,
+      required: [true, 'Please add a payment deadline']
+    },
+    // Shared with attendees so they can claim a seat
+    inviteCode: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(5).toString('hex').toUpperCase()
+    },
+    // One pending ticket per seat
+    tickets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    }],
+    status: {
+      type: String,
+      enum: ['open', 'confirmed', 'closed', 'expired', 'cancelled'],
+      default: 'open',
+      index: true
+    },
+    invoice: {
+      number: String,
+      issuedAt: Date,
+      paidAt: Date,
+      paymentMethod: String,
+      // Bank or cash reference of the payment finance staff recorded
+      referenceId: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Notes cannot be more than 500 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+groupBookingSchema.index({ status: 1, deadline: 1 });
+
+// Give the group a readable invoice number the first time it is needed
+groupBookingSchema.methods.ensureInvoiceNumber = function() {
+  if (!this.invoice.number) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.invoice.number = `GRP-${date}-${this._id.toString().slice(-6).toUpperCase()}`;
+    this.invoice.issuedAt = new Date();
+  }
+  return this.invoice.number;
+};
+
+// Work out the group status from its tickets once nothing is left to pay
+groupBookingSchema.methods.refreshStatus = async function(options = {}) {
+  const { session } = options;
+  if (this.status === 'cancelled') return this.status;
+
+  const tickets = await mongoose.model('Ticket')
+    .find({ _id: { $in: this.tickets } })
+    .select('status')
+    .session(session || null);
+  const paid = tickets.filter(ticket => ticket.status === 'confirmed').length;
+  const pending = tickets.filter(ticket => ticket.status === 'pending').length;
+
+  if (pending === 0) {
+    this.status = paid === tickets.length ? 'confirmed' : paid > 0 ? 'closed' : 'expired';
+  } else if (this.deadline <= new Date()) {
+    this.status = paid > 0 ? 'closed' : 'expired';
+  }
+  return this.status;
+};
+
+// Consolidated invoice: one line per schedule, seat type and category
+groupBookingSchema.methods.buildInvoice = async function() {
+  const tickets = await mongoose.model('Ticket')
+    .find({ _id: { $in: this.tickets } })
+    .populate('movieId', 'title')
+    .populate('scheduleId', 'startTime')
+    .lean();
+
+  const lines = new Map();
+  const totals = { paid: 0, unpaid: 0, released: 0 };
+  tickets.forEach(ticket => {
+    const amount = ticket.totalAmount || 0;
+    if (ticket.status === 'confirmed') totals.paid += amount;
+    else if (ticket.status === 'pending') totals.unpaid += amount;
+    else totals.released += amount;
+
+    if (!['confirmed', 'pending'].includes(ticket.status)) return;
+    ticket.seats.forEach(seat => {
+      const key = [ticket.scheduleId && ticket.scheduleId._id, seat.type, seat.category, seat.price].join('|');
+      if (!lines.has(key)) {
+        lines.set(key, {
+          movie: ticket.movieId && ticket.movieId.title,
+          startTime: ticket.scheduleId && ticket.scheduleId.startTime,
+          seatType: seat.type,
+          category: seat.category,
+          unitPrice: seat.price,
+          quantity: 0,
+          seats: [],
+          amount: 0
+        });
+      }
+      const line = lines.get(key);
+      line.quantity += 1;
+      line.seats.push(seat.code);
+      line.amount += seat.price;
+    });
+  });
+
+  return {
+    number: this.invoice && this.invoice.number,
+    issuedAt: this.invoice && this.invoice.issuedAt,
+    paidAt: this.invoice && this.invoice.paidAt,
+    groupName: this.name,
+    organization: this.organization,
+    paymentMode: this.paymentMode,
+    deadline: this.deadline,
+    lines: [...lines.values()].sort((a, b) => new Date(a.startTime) - new Date(b.startTime)),
+    totals: {
+      ...totals,
+      total: totals.paid + totals.unpaid
+    }
+  };
+};
+
+// Close groups whose deadline passed. The seats themselves are freed by the
+// seat hold sweeper, since group holds expire at the deadline.
+groupBookingSchema.statics.closeOverdue = async function() {
+  const groups = await this.find({ status: 'open', deadline: { $lte: new Date() } });
+  for (const group of groups) {
+    await mongoose.model('Ticket').updateMany(
+      { _id: { $in: group.tickets }, status: 'pending' },
+      { $set: { status: 'expired' } }
+    );
+    await group.refreshStatus();
+    await group.save();
+  }
+  return groups;
+};
+
+module.exports = mongoose.model('GroupBooking', groupBookingSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      maxlength: 255
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    method: String,
+    path: String,
+    // Hash of the request body; a different body under the same key is rejected
+    fingerprint: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+    response: {
+      statusCode: Number,
+      contentType: String,
+      body: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Keys are scoped to the user that sent them
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+// Let MongoDB drop keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const { buildVatLines, summarizeVat, allocate } = require('../utils/vat');
+const { amountInWords } = require('../utils/vndWords');
+
+// Company-wide seller details, used where a cinema has none of its own
+const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'Công ty Cổ phần Rạp chiếu phim',
+  taxCode: process.env.INVOICE_SELLER_TAX_CODE || '',
+  address: process.env.INVOICE_SELLER_ADDRESS || ''
+};
+
+const invoiceLineSchema = new mongoose.Schema({
+  lineType: {
+    type: String,
+    enum: ['seat', 'combo', 'service'],
+    required: true
+  },
+  // Seat code or combo name the line is for
+  code: String,
+  combo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Combo'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  unit: String,
+  quantity: Number,
+  unitPrice: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  vatRate: {
+    type: Number,
+    required: true
+  },
+  // Negative on adjustment invoices
+  amountBeforeTax: {
+    type: Number,
+    required: true
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  }
+});
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // original: the sale; adjustment: a decrease after a refund;
+    // replacement: restates an invoice that is no longer correct
+    invoiceType: {
+      type: String,
+      enum: ['original', 'adjustment', 'replacement'],
+      default: 'original'
+    },
+    series: {
+      type: String,
+      required: true
+    },
+    number: {
+      type: Number,
+      required: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    cinemaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cinema',
+      required: true
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    seller: {
+      name: String,
+      taxCode: String,
+      address: String
+    },
+    buyer: {
+      // Person who bought on behalf of the company
+      name: {
+        type: String,
+        maxlength: [100, 'Buyer name cannot be more than 100 characters']
+      },
+      companyName: {
+        type: String,
+        required: [true, 'Company name is required'],
+        maxlength: [200, 'Company name cannot be more than 200 characters']
+      },
+      taxCode: {
+        type: String,
+        required: [true, 'Tax code is required'],
+        match: [/^\d{10}(-\d{3})?$/, 'Please enter a valid tax code']
+      },
+      address: {
+        type: String,
+        required: [true, 'Company address is required'],
+        maxlength: [500, 'Address cannot be more than 500 characters']
+      },
+      email: {
+        type: String,
+        match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please add a valid email']
+      }
+    },
+    // TM (cash), CK (transfer) or TM/CK, as printed on the invoice
+    paymentMethod: String,
+    currency: {
+      type: String,
+      default: 'VND'
+    },
+    lines: [invoiceLineSchema],
+    totals: {
+      amountBeforeTax: Number,
+      discount: Number,
+      vatAmount: Number,
+      totalAmount: Number,
+      byRate: [{
+        _id: false,
+        vatRate: Number,
+        amountBeforeTax: Number,
+        vatAmount: Number,
+        totalAmount: Number
+      }]
+    },
+    amountInWords: String,
+    status: {
+      type: String,
+      enum: ['issued', 'replaced'],
+      default: 'issued',
+      index: true
+    },
+    // Invoice this one adjusts or replaces
+    relatedInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    // Refund record an adjustment invoice was issued for
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    refundId: mongoose.Schema.Types.ObjectId,
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+invoiceSchema.index({ series: 1, number: 1 }, { unique: true });
+
+const paymentMethodLabel = (methods) => {
+  const hasCash = methods.includes('cash');
+  const hasOther = methods.some(method => method !== 'cash');
+  if (hasCash && hasOther) return 'TM/CK';
+  return hasCash ? 'TM' : 'CK';
+};
+
+// Number, seller and totals shared by every kind of invoice
+const issue = async (Invoice, cinemaId, fields, options = {}) => {
+  const { session } = options;
+  const cinema = await mongoose.model('Cinema').findById(cinemaId).session(session || null);
+  if (!cinema) {
+    const err = new Error('Cinema not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  const settings = cinema.invoiceSettings || {};
+  const issuedAt = new Date();
+  const { series, number } = await mongoose.model('InvoiceSeries').nextNumber(cinema, issuedAt, { session });
+  const totals = summarizeVat(fields.lines);
+
+  const invoice = new Invoice({
+    ...fields,
+    series,
+    number,
+    issuedAt,
+    cinemaId: cinema._id,
+    seller: {
+      name: settings.legalName || SELLER.name,
+      taxCode: settings.taxCode || SELLER.taxCode,
+      address: settings.address || SELLER.address || cinema.address
+    },
+    totals,
+    amountInWords: amountInWords(totals.totalAmount)
+  });
+  await invoice.save({ session });
+  return invoice;
+};
+
+// The invoice currently in force for a ticket, ignoring adjustments
+invoiceSchema.statics.findCurrent = function(ticketId, options = {}) {
+  return this.findOne({
+    ticketId,
+    invoiceType: { $in: ['original', 'replacement'] },
+    status: 'issued'
+  }).session(options.session || null);
+};
+
+// Invoice a fully paid ticket for a company buyer
+invoiceSchema.statics.issueForTicket = async function(ticket, buyer, userId, options = {}) {
+  const { session } = options;
+  const payments = await mongoose.model('Payment')
+    .find({ ticketId: ticket._id, status: 'success' })
+    .select('method')
+    .session(session || null);
+
+  return issue(this, ticket.cinemaId, {
+    invoiceType: 'original',
+    ticketId: ticket._id,
+    userId: ticket.userId,
+    buyer,
+    paymentMethod: paymentMethodLabel(payments.map(payment => payment.method)),
+    lines: buildVatLines(ticket),
+    issuedBy: userId
+  }, { session });
+};
+
+// Issue a decrease for a refund on an invoiced ticket. Refunds for named
+// seats and combos reduce those lines; other refunds are spread over the
+// whole invoice. Each line keeps its VAT share. Returns null when the ticket
+// has no invoice.
+invoiceSchema.statics.adjustForRefund = async function(payment, refund, options = {}) {
+  const { session } = options;
+  const current = await this.findCurrent(payment.ticketId, { session });
+  if (!current) return null;
+
+  const matchLine = item => current.lines.find(line => (item.itemType === 'combo'
+    ? line.lineType === 'combo' && line.combo && item.combo && line.combo.toString() === item.combo.toString()
+    : line.lineType === 'seat' && line.code === item.code));
+
+  let portions = (refund.items || []).map(item => ({ line: matchLine(item), amount: item.amount }));
+  if (portions.length === 0 || portions.some(portion => !portion.line)) {
+    const amounts = allocate(refund.amount, current.lines.map(line => line.totalAmount));
+    portions = current.lines.map((line, index) => ({ line, amount: amounts[index] }));
+  }
+
+  const lines = portions
+    .filter(portion => portion.amount > 0)
+    .map(({ line, amount }) => {
+      const vatAmount = line.totalAmount > 0 ? Math.round(amount * line.vatAmount / line.totalAmount) : 0;
+      return {
+        lineType: line.lineType,
+        code: line.code,
+        combo: line.combo,
+        description: `Điều chỉnh giảm: ${line.description}`,
+        unit: line.unit,
+        vatRate: line.vatRate,
+        amountBeforeTax: -(amount - vatAmount),
+        vatAmount: -vatAmount,
+        totalAmount: -amount
+      };
+    });
+
+  return issue(this, current.cinemaId, {
+    invoiceType: 'adjustment',
+    ticketId: current.ticketId,
+    userId: current.userId,
+    buyer: current.buyer,
+    paymentMethod: current.paymentMethod,
+    lines,
+    relatedInvoice: current._id,
+    paymentId: payment._id,
+    refundId: refund._id,
+    reason: refund.note || refund.reason,
+    issuedBy: refund.processedBy
+  }, { session });
+};
+
+// Replace the invoice in force with one that folds in its adjustments, with
+// corrected buyer details if given. Lines refunded in full are dropped.
+invoiceSchema.methods.replace = async function(buyer, reason, userId, options = {}) {
+  const { session } = options;
+  if (this.invoiceType === 'adjustment' || this.status !== 'issued') {
+    const err = new Error('Only an invoice in force can be replaced');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const adjustments = await this.constructor
+    .find({ relatedInvoice: this._id, invoiceType: 'adjustment' })
+    .session(session || null);
+  const lines = this.lines.map(line => {
+    const restated = line.toObject();
+    delete restated._id;
+    adjustments.forEach(adjustment => {
+      adjustment.lines
+        .filter(adjusted => adjusted.lineType === restated.lineType && adjusted.code === restated.code)
+        .forEach(adjusted => {
+          restated.amountBeforeTax += adjusted.amountBeforeTax;
+          restated.vatAmount += adjusted.vatAmount;
+          restated.totalAmount += adjusted.totalAmount;
+        });
+    });
+    return restated;
+  }).filter(line => line.totalAmount > 0);
+
+  const replacement = await issue(this.constructor, this.cinemaId, {
+    invoiceType: 'replacement',
+    ticketId: this.ticketId,
+    userId: this.userId,
+    buyer: {
+      name: this.buyer.name,
+      companyName: this.buyer.companyName,
+      taxCode: this.buyer.taxCode,
+      address: this.buyer.address,
+      email: this.buyer.email,
+      ...buyer
+    },
+    paymentMethod: this.paymentMethod,
+    lines,
+    relatedInvoice: this._id,
+    reason,
+    issuedBy: userId
+  }, { session });
+
+  this.status = 'replaced';
+  this.replacedBy = replacement._id;
+  await this.save({ session });
+  return replacement;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Default last part of the series for cinemas without their own suffix
+const DEFAULT_SERIES_SUFFIX = process.env.INVOICE_SERIES_SUFFIX || 'AA';
+const MAX_INVOICE_NUMBER = 99999999;
+
+// Invoice numbering. Each cinema has its own series per calendar year,
+// e.g. 1C26THN: 1 = VAT invoice, C = coded by the tax authority, 26 = year,
+// T = registered by an enterprise, HN = the cinema's suffix. Numbers start
+// at 1 in every series.
+const invoiceSeriesSchema = new mongoose.Schema(
+  {
+    cinemaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cinema',
+      required: true
+    },
+    year: {
+      type: Number,
+      required: true
+    },
+    series: {
+      type: String,
+      required: true
+    },
+    lastNumber: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+invoiceSeriesSchema.index({ cinemaId: 1, year: 1 }, { unique: true });
+
+// Reserve the next number in the cinema's series for the given date
+invoiceSeriesSchema.statics.nextNumber = async function(cinema, date = new Date(), options = {}) {
+  const { session } = options;
+  const year = date.getFullYear();
+  const suffix = (cinema.invoiceSettings && cinema.invoiceSettings.seriesSuffix) || DEFAULT_SERIES_SUFFIX;
+
+  const counter = await this.findOneAndUpdate(
+    { cinemaId: cinema._id, year },
+    {
+      $inc: { lastNumber: 1 },
+      $setOnInsert: { series: `1C${String(year).slice(-2)}T${suffix}` }
+    },
+    { new: true, upsert: true, session }
+  );
+
+  // Invoice numbers have at most 8 digits
+  if (counter.lastNumber > MAX_INVOICE_NUMBER) {
+    const err = new Error(`Invoice series ${counter.series} is full`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  return { series: counter.series, number: counter.lastNumber };
+};
+
+module.exports = mongoose.model('InvoiceSeries', invoiceSeriesSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Model holding the balance for each kind of account
+const ACCOUNT_MODELS = {
+  wallet: 'Wallet',
+  gift_card: 'GiftCard'
+};
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    accountType: {
+      type: String,
+      enum: Object.keys(ACCOUNT_MODELS),
+      required: true
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['issue', 'topup', 'payment', 'refund', 'adjustment'],
+      required: true
+    },
+    // Positive for credits, negative for debits
+    amount: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: value => value !== 0,
+        message: 'Ledger amount cannot be zero'
+      }
+    },
+    // Account balance right after this entry
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      index: true
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+ledgerEntrySchema.index({ accountType: 1, accountId: 1, createdAt: 1 });
+
+// Entries are append-only: corrections are new 'adjustment' entries
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed'));
+  }
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  ledgerEntrySchema.pre(operation, function(next) {
+    next(new Error('Ledger entries are append-only'));
+  });
+});
+ledgerEntrySchema.pre('deleteOne', { document: true, query: true }, function(next) {
+  next(new Error('Ledger entries are append-only'));
+});
+
+// Move an account balance by `amount` and append the matching entry. Debits
+// only go through while the balance covers them; `accountFilter` adds
+// conditions the account must meet (e.g. an active gift card).
+ledgerEntrySchema.statics.post = async function(accountType, accountId, amount, fields = {}, options = {}) {
+  const { session, accountFilter = {} } = options;
+  const Account = mongoose.model(ACCOUNT_MODELS[accountType]);
+  const filter = { ...accountFilter, _id: accountId };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const account = await Account.findOneAndUpdate(filter, { $inc: { balance: amount } }, { new: true, session });
+  if (!account) {
+    const err = new Error(amount < 0 ? 'Insufficient balance' : 'Account not found');
+    err.statusCode = amount < 0 ? 400 : 404;
+    throw err;
+  }
+
+  const [entry] = await this.create([{
+    ...fields,
+    accountType,
+    accountId,
+    amount,
+    balanceAfter: account.balance
+  }], { session });
+
+  return { account, entry };
+};
+
+// Compare an account balance with the sum of its ledger
+ledgerEntrySchema.statics.reconcile = async function(accountType, account) {
+  const [result] = await this.aggregate([
+    { $match: { accountType, accountId: account._id } },
+    { $group: { _id: null, total: { $sum: '$amount' }, entries: { $sum: 1 } } }
+  ]);
+  const ledgerTotal = result ? result.total : 0;
+  return {
+    balance: account.balance,
+    ledgerTotal,
+    entries: result ? result.entries : 0,
+    balanced: ledgerTotal === account.balance
+  };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+
+// Message kept for a user so the app can show it even if they were offline
+// when it was sent
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // e.g. 'waitlist.offer'; the app picks the wording from the type
+    type: {
+      type: String,
+      required: true
+    },
+    data: mongoose.Schema.Types.Mixed,
+    readAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// Old notifications are dropped by MongoDB
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,13 +1,35 @@
 const mongoose = require('mongoose');
+const { PAYMENT_METHODS, getProviderByName } = require('../utils/paymentProviders');
+const { REFUND_REASONS, REFUND_REASON_CODES } = require('../utils/refundReasons');
+
+// Order in which a ticket's payment legs are refunded: our own balances
+// first (instant, no fees), then online providers, cash last as it has to be
+// handed back at the counter
+const REFUND_ORDER = ['wallet', 'gift_card', 'card', 'momo', 'zalopay', 'vnpay', 'bank_transfer', 'cash'];
+const refundRank = method => {
+  const rank = REFUND_ORDER.indexOf(method);
+  return rank === -1 ? REFUND_ORDER.length : rank;
+};
+
+// Provider refunds that keep failing to reach the provider are given up
+// for finance to settle by hand
+const REFUND_MAX_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 8;
+const REFUND_RETRY_DELAY_MS = parseInt(process.env.REFUND_RETRY_DELAY_MS, 10) || 60 * 1000;
 
 const paymentSchema = new mongoose.Schema(
   {
     ticketId: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'Ticket', 
-      required: true,
+      required: function() { return this.purpose === 'ticket'; },
       index: true 
     },
+    // What the money is for: a ticket, or credit loaded onto the user's wallet
+    purpose: {
+      type: String,
+      enum: ['ticket', 'wallet_topup'],
+      default: 'ticket'
+    },
     userId: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User', 
@@ -21,7 +43,7 @@ const paymentSchema = new mongoose.Schema(
     },
     method: { 
       type: String, 
-      enum: ['momo', 'zalopay', 'card', 'cash'], 
+      enum: PAYMENT_METHODS, 
       required: true 
     },
     transactionId: {
@@ -31,27 +53,128 @@ const paymentSchema = new mongoose.Schema(
     },
     status: { 
       type: String, 
-      enum: ['pending', 'success', 'failed', 'refunded'], 
+      enum: ['pending', 'success', 'failed', 'partially_refunded', 'refunded'], 
       default: 'pending',
       index: true 
     },
+    currency: {
+      type: String,
+      default: 'VND'
+    },
     paymentDetails: {
       // For storing additional payment provider details
       provider: String,
+      // Our order reference at the provider
+      providerRef: {
+        type: String,
+        index: true
+      },
+      // The provider's own transaction ID, needed for refunds
+      providerTransactionId: String,
+      payUrl: String,
+      deeplink: String,
       accountInfo: String,
+      // Card the money came from, for gift card payments
+      giftCardId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GiftCard'
+      },
       transactionTime: Date,
       responseCode: String,
       responseMessage: String
     },
-    refundDetails: {
-      amount: Number,
-      reason: String,
+    paidAt: Date,
+    // Captured but never applied to the ticket (paid after the reservation
+    // ended, or on a ticket other legs had covered); refunded in full
+    receivedForRefund: {
+      type: Boolean,
+      default: false
+    },
+    // Finance staff who recorded money received outside the app, such as a
+    // bank transfer for a group invoice
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // One record per refund; a payment can be refunded in several parts
+    refunds: [{
+      amount: {
+        type: Number,
+        required: true,
+        min: [1, 'Refund amount must be positive']
+      },
+      reason: {
+        type: String,
+        enum: REFUND_REASON_CODES,
+        required: true
+      },
+      note: {
+        type: String,
+        maxlength: [500, 'Refund note cannot be more than 500 characters']
+      },
+      // Ticket lines the refund is for; empty for refunds of the whole ticket
+      items: [{
+        itemType: {
+          type: String,
+          enum: ['seat', 'combo'],
+          required: true
+        },
+        code: String,
+        combo: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Combo'
+        },
+        amount: {
+          type: Number,
+          min: 0,
+          required: true
+        }
+      }],
       processedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      processedAt: Date,
-      referenceId: String
+      processedAt: {
+        type: Date,
+        default: Date.now
+      },
+      referenceId: String,
+      // Where the money went: back the way it came, or onto the wallet
+      destination: {
+        type: String,
+        enum: ['original', 'wallet'],
+        default: 'original'
+      },
+      // Provider settlement file the refund was found in
+      settlementId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Settlement'
+      },
+      // Provider refunds are recorded as pending and sent once the
+      // transaction has committed; ledger refunds succeed straight away
+      status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'succeeded'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      nextAttemptAt: Date,
+      lastError: String
+    }],
+    // Sum of all refunds, never more than amount
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Provider settlement file the payment was found in
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Settlement',
+      index: true
     },
     ipAddress: String,
     userAgent: String
@@ -66,6 +189,7 @@ const paymentSchema = new mongoose.Schema(
 // Index for querying payments by date range
 paymentSchema.index({ createdAt: 1 });
 paymentSchema.index({ 'paymentDetails.transactionTime': 1 });
+paymentSchema.index({ 'refunds.status': 1, 'refunds.nextAttemptAt': 1 });
 
 // Virtual for ticket
 paymentSchema.virtual('ticket', {
@@ -83,42 +207,6 @@ paymentSchema.virtual('user', {
   justOne: true
 });
 
-// Update ticket status when payment status changes
-paymentSchema.pre('save', async function(next) {
-  if (this.isModified('status')) {
-    const Ticket = mongoose.model('Ticket');
-    
-    try {
-      const ticket = await Ticket.findById(this.ticketId);
-      if (!ticket) {
-        throw new Error('Ticket not found');
-      }
-      
-      // Only update if status is different
-      if (ticket.paymentStatus !== this.status) {
-        ticket.paymentStatus = this.status;
-        
-        // If payment is successful, update ticket status to paid
-        if (this.status === 'success' && ticket.status === 'pending') {
-          ticket.status = 'paid';
-        }
-        
-        // If payment is refunded, update ticket status to refunded
-        if (this.status === 'refunded' && ticket.status === 'paid') {
-          ticket.status = 'refunded';
-        }
-        
-        await ticket.save();
-      }
-    } catch (error) {
-      console.error('Error updating ticket status:', error);
-      // Don't stop the save operation if ticket update fails
-    }
-  }
-  
-  next();
-});
-
 // Generate a unique transaction ID before saving
 paymentSchema.pre('save', function(next) {
   if (this.isNew && !this.transactionId) {
@@ -171,36 +259,357 @@ getPaymentSummary = async function(startDate, endDate) {
   return result;
 };
 
+// Mark the payment successful and add it to its ticket as a payment leg.
+// Once the legs cover the price the ticket is confirmed: the seats are
+// locked for good and, for an exchange, the replaced ticket is retired.
+// Returns that original ticket, if any.
+paymentSchema.methods.confirm = async function(ticket, options = {}) {
+  const { session, transactionId } = options;
+  // `overpaid` tells callers the ticket was already covered by other legs
+  if (ticket.status !== 'pending') {
+    const err = new Error(`Ticket is ${ticket.status} and cannot take further payments`);
+    err.statusCode = 400;
+    err.overpaid = ticket.status === 'confirmed';
+    throw err;
+  }
+  if (this.amount > ticket.getOutstandingAmount()) {
+    const err = new Error(`Payment of ${this.amount} is more than the ${ticket.getOutstandingAmount()} left to pay`);
+    err.statusCode = 400;
+    err.overpaid = true;
+    throw err;
+  }
+  
+  this.status = 'success';
+  this.paidAt = new Date();
+  if (transactionId) {
+    this.paymentDetails.providerTransactionId = transactionId;
+  }
+  
+  let original = null;
+  if (ticket.recordPaymentLeg(this) === 0) {
+    await mongoose.model('SeatHold').convertHolds(ticket._id, { session });
+    original = ticket.exchange && ticket.exchange.fromTicket ?
+      await mongoose.model('Ticket').completeExchange(ticket, this.userId, { session }) : null;
+    ticket.status = 'confirmed';
+    ticket.paymentStatus = 'completed';
+    ticket.confirmedAt = new Date();
+  }
+  
+  await this.save({ session });
+  await ticket.save({ session });
+  return original;
+};
+
+// Mark a wallet top-up paid and load the money onto the wallet
+paymentSchema.methods.confirmTopUp = async function(options = {}) {
+  const { session, transactionId } = options;
+  this.status = 'success';
+  this.paidAt = new Date();
+  if (transactionId) {
+    this.paymentDetails.providerTransactionId = transactionId;
+  }
+  await this.save({ session });
+  
+  return mongoose.model('Wallet').credit(this.userId, this.amount, {
+    type: 'topup',
+    paymentId: this._id
+  }, { session });
+};
+
 // Static method to process a refund
-paymentSchema.statics.processRefund = async function(paymentId, userId, reason = '') {
+// Pass options.amount to refund only part of the payment; a payment can be
+// refunded several times until the captured amount is used up
+paymentSchema.statics.processRefund = async function(paymentId, userId, reason = 'other', options = {}) {
+  const { amount, session, note, items = [], toWallet = false } = options;
   const Payment = this;
-  const payment = await Payment.findById(paymentId);
+  const payment = await Payment.findById(paymentId).session(session || null);
   
   if (!payment) {
     throw new Error('Payment not found');
   }
   
-  if (payment.status !== 'success') {
-    throw new Error('Only successful payments can be refunded');
+  if (!REFUND_REASON_CODES.includes(reason)) {
+    const err = new Error(`Unknown refund reason: ${reason}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  
+  if (!['success', 'partially_refunded'].includes(payment.status)) {
+    const err = new Error('Only successful payments can be refunded');
+    err.statusCode = 400;
+    throw err;
+  }
+  
+  const refundable = payment.amount - payment.refundedAmount;
+  const refundAmount = amount != null ? amount : refundable;
+  
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    const err = new Error(`Refund amount must be between 1 and the ${refundable} left on this payment`);
+    err.statusCode = 400;
+    throw err;
   }
   
-  // In a real app, you would integrate with the payment provider's API here
-  // to process the refund
+  // Money loaded onto a wallet has to come off it before it can go back
+  if (payment.purpose === 'wallet_topup') {
+    await mongoose.model('Wallet').debit(payment.userId, refundAmount, {
+      type: 'refund',
+      paymentId: payment._id,
+      createdBy: userId,
+      note: note || REFUND_REASONS[reason]
+    }, { session });
+  }
   
-  // For demo purposes, we'll just update the status
-  payment.status = 'refunded';
-  payment.refundDetails = {
-    amount: payment.amount,
+  // Wallet and gift card refunds are instant ledger credits; online payments
+  // are refunded through the provider that took them, after commit, by
+  // sendPendingRefunds
+  let referenceId;
+  let destination = 'original';
+  let status = 'succeeded';
+  const ledgerFields = {
+    type: 'refund',
+    paymentId: payment._id,
+    ticketId: payment.ticketId,
+    createdBy: userId,
+    note: note || REFUND_REASONS[reason]
+  };
+  const provider = getProviderByName(payment.paymentDetails && payment.paymentDetails.provider);
+  if (payment.method === 'wallet' || (toWallet && payment.purpose === 'ticket')) {
+    const { entry } = await mongoose.model('Wallet').credit(payment.userId, refundAmount, ledgerFields, { session });
+    referenceId = entry._id.toString();
+    destination = 'wallet';
+  } else if (payment.method === 'gift_card') {
+    const { entry } = await mongoose.model('GiftCard').credit(payment.paymentDetails.giftCardId, refundAmount, ledgerFields, { session });
+    referenceId = entry._id.toString();
+  } else if (provider) {
+    status = 'pending';
+  }
+  
+  payment.refunds.push({
+    amount: refundAmount,
     reason,
+    note,
+    items,
     processedBy: userId,
-    processedAt: new Date()
-  };
+    processedAt: new Date(),
+    referenceId,
+    destination,
+    status,
+    nextAttemptAt: status === 'pending' ? new Date() : undefined
+  });
+  payment.refundedAmount += refundAmount;
+  payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
   
-  await payment.save();
+  await payment.save({ session });
+
+  // A ticket that was invoiced gets an adjustment invoice for the refund
+  if (payment.ticketId && !payment.receivedForRefund) {
+    await mongoose.model('Invoice').adjustForRefund(payment, payment.refunds[payment.refunds.length - 1], { session });
+  }
+
+  return payment;
+};
+
+// Send one pending refund to its provider. The refund is claimed first so
+// only one process sends it at a time, and its id goes to the provider as
+// the request id, so a retry after a lost reply cannot refund twice.
+// Returns the refund as it now stands, or null if it was not due.
+paymentSchema.statics.sendRefund = async function(paymentId, refundId) {
+  const now = new Date();
+  const payment = await this.findOneAndUpdate(
+    {
+      _id: paymentId,
+      refunds: { $elemMatch: { _id: refundId, status: 'pending', nextAttemptAt: { $lte: now } } }
+    },
+    {
+      $inc: { 'refunds.$.attempts': 1 },
+      $set: { 'refunds.$.nextAttemptAt': new Date(now.getTime() + REFUND_RETRY_DELAY_MS) }
+    },
+    { new: true }
+  );
+  if (!payment) return null;
   
-  // The pre-save hook will update the associated ticket status
+  const refund = payment.refunds.id(refundId);
+  const provider = getProviderByName(payment.paymentDetails.provider);
+  const update = {};
+  try {
+    const result = await provider.refund(payment, {
+      id: refund._id.toString(),
+      amount: refund.amount,
+      reason: refund.note || REFUND_REASONS[refund.reason],
+      requestedAt: refund.processedAt
+    });
+    if (result.success) {
+      update['refunds.$.status'] = 'succeeded';
+      update['refunds.$.referenceId'] = result.referenceId;
+    } else {
+      update['refunds.$.status'] = 'failed';
+      update['refunds.$.lastError'] = `Rejected by the payment provider: ${result.message || 'unknown error'}`;
+    }
+  } catch (error) {
+    // No answer from the provider: try again later with the same request id
+    update['refunds.$.lastError'] = error.message;
+    if (refund.attempts >= REFUND_MAX_ATTEMPTS) {
+      update['refunds.$.status'] = 'failed';
+    }
+  }
   
-  return payment;
+  const updated = await this.findOneAndUpdate(
+    { _id: payment._id, 'refunds._id': refund._id },
+    { $set: update },
+    { new: true }
+  );
+  const sent = updated.refunds.id(refundId);
+  if (sent.status === 'failed') {
+    console.error(`Refund ${sent._id} of payment ${payment._id} failed: ${sent.lastError}`);
+  }
+  return sent;
+};
+
+// Send the pending refunds that are due, optionally only those of the given
+// payments. Never throws, so it is safe to call after a commit.
+paymentSchema.statics.sendPendingRefunds = async function(paymentIds) {
+  const sent = [];
+  try {
+    const now = new Date();
+    const query = { refunds: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } } };
+    if (paymentIds) {
+      query._id = { $in: paymentIds };
+    }
+    const payments = await this.find(query).select('refunds');
+    for (const payment of payments) {
+      const due = payment.refunds.filter(refund => refund.status === 'pending' && refund.nextAttemptAt <= now);
+      for (const refund of due) {
+        try {
+          const result = await this.sendRefund(payment._id, refund._id);
+          if (result) sent.push(result);
+        } catch (error) {
+          console.error(`Could not send refund ${refund._id} of payment ${payment._id}: ${error.message}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Could not send pending refunds: ${error.message}`);
+  }
+  return sent;
+};
+
+// Captured payments for a ticket, and for the tickets it was exchanged from,
+// in the order they are refunded
+paymentSchema.statics.findRefundable = async function(ticket, options = {}) {
+  const { session } = options;
+  const Ticket = mongoose.model('Ticket');
+  const ticketIds = [ticket._id];
+  let fromTicket = ticket.exchange && ticket.exchange.fromTicket;
+  while (fromTicket) {
+    ticketIds.push(fromTicket);
+    const previous = await Ticket.findById(fromTicket).select('exchange').session(session || null);
+    fromTicket = previous && previous.exchange && previous.exchange.fromTicket;
+  }
+  
+  return (await this.find({ ticketId: { $in: ticketIds }, status: { $in: ['success', 'partially_refunded'] } })
+    .sort('-createdAt')
+    .session(session || null))
+    .sort((a, b) => refundRank(a.method) - refundRank(b.method));
+};
+
+// What has been paid for a ticket and not refunded yet
+paymentSchema.statics.getRefundableAmount = async function(ticket, options = {}) {
+  const payments = await this.findRefundable(ticket, options);
+  return payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0);
+};
+
+// Set a ticket's payment status after a refund from all the payments made
+// for it, not from the leg just refunded. The caller saves the ticket.
+// Returns what is left to refund.
+paymentSchema.statics.applyRefundStatus = async function(ticket, options = {}) {
+  const refundable = await this.getRefundableAmount(ticket, options);
+  ticket.paymentStatus = refundable > 0 ? 'partially_refunded' : 'refunded';
+  return refundable;
+};
+
+// Refund an amount paid for a ticket, leg by leg in REFUND_ORDER and newest
+// first within a method. An exchanged ticket was partly paid on the ticket it
+// replaced, so those payments are refunded too.
+// Ticket lines in options.items are split over the payments they come from.
+// Sets the ticket's payment status; the caller saves the ticket.
+paymentSchema.statics.refundTicket = async function(ticket, amount, userId, reason = 'other', options = {}) {
+  const { session, note, items = [], toWallet } = options;
+  const payments = await this.findRefundable(ticket, { session });
+  
+  const refundable = payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0);
+  if (amount > refundable) {
+    const err = new Error(`Refund of ${amount} exceeds the ${refundable} left to refund on this ticket`);
+    err.statusCode = 400;
+    throw err;
+  }
+  
+  const refunded = [];
+  const pendingItems = items.map(item => ({ ...item }));
+  let remaining = amount;
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    const portion = Math.min(payment.amount - payment.refundedAmount, remaining);
+    if (portion <= 0) continue;
+    
+    // Take lines until the portion is covered, splitting the last one
+    const portionItems = [];
+    let uncovered = portion;
+    while (uncovered > 0 && pendingItems.length > 0) {
+      const item = pendingItems[0];
+      const share = Math.min(item.amount, uncovered);
+      portionItems.push({ ...item, amount: share });
+      item.amount -= share;
+      uncovered -= share;
+      if (item.amount <= 0) pendingItems.shift();
+    }
+    
+    refunded.push(await this.processRefund(payment._id, userId, reason, {
+      amount: portion,
+      session,
+      note,
+      items: portionItems,
+      toWallet
+    }));
+    remaining -= portion;
+  }
+  await this.applyRefundStatus(ticket, { session });
+  
+  return refunded;
+};
+
+// Give back the legs already paid on tickets whose reservation ran out
+// before the rest of the price was paid
+paymentSchema.statics.refundExpiredTickets = async function(ticketIds) {
+  const expired = await mongoose.model('Ticket')
+    .find({ _id: { $in: ticketIds }, status: 'expired' })
+    .select('_id');
+  const payments = await this.find({
+    ticketId: { $in: expired.map(ticket => ticket._id) },
+    status: 'success'
+  });
+  
+  const refunded = [];
+  const notRefunded = new Set();
+  for (const payment of payments) {
+    try {
+      refunded.push(await this.processRefund(payment._id, null, 'reservation_expired'));
+    } catch (error) {
+      // Left as paid; shows up for finance as a payment on an expired ticket
+      notRefunded.add(payment.ticketId.toString());
+      console.error(`Could not refund payment ${payment._id} on expired ticket: ${error.message}`);
+    }
+  }
+  // Tickets whose every paid leg has now been given back
+  const fullyRefunded = [...new Set(refunded.map(payment => payment.ticketId.toString()))]
+    .filter(ticketId => !notRefunded.has(ticketId));
+  if (fullyRefunded.length > 0) {
+    await mongoose.model('Ticket').updateMany(
+      { _id: { $in: fullyRefunded } },
+      { $set: { paymentStatus: 'refunded' } }
+    );
+  }
+  await this.sendPendingRefunds(refunded.map(payment => payment._id));
+  return refunded;
 };
 
 module.exports = mongoose.model('Payment', paymentSchema);
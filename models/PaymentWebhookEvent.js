@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Every inbound provider webhook, kept for dispute investigations
+const paymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Provider transaction (or order) plus outcome; one processed event per key
+    eventKey: {
+      type: String,
+      index: true
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      index: true
+    },
+    providerRef: String,
+    providerTransactionId: String,
+    signatureValid: {
+      type: Boolean,
+      default: false
+    },
+    // When the provider says it sent the event
+    sentAt: Date,
+    outcome: {
+      type: String,
+      enum: ['processed', 'duplicate', 'rejected', 'error'],
+      required: true
+    },
+    reason: String,
+    // Exactly what was received
+    payload: {
+      method: String,
+      query: mongoose.Schema.Types.Mixed,
+      body: String,
+      headers: mongoose.Schema.Types.Mixed
+    },
+    ipAddress: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+paymentWebhookEventSchema.index(
+  { provider: 1, eventKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { outcome: 'processed' }
+  }
+);
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
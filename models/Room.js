@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+const SEAT_TYPES = ['standard', 'vip', 'couple', 'wheelchair'];
+const LAYOUT_CELLS = {
+  S: null,
+  V: 'vip',
+  C: 'couple',
+  W: 'wheelchair',
+  _: 'gap'
+};
+
 const seatSchema = new mongoose.Schema({
   code: { 
     type: String, 
@@ -9,7 +18,7 @@ const seatSchema = new mongoose.Schema({
   },
   type: { 
     type: String, 
-    enum: ['standard', 'vip'], 
+    enum: SEAT_TYPES, 
     default: 'standard' 
   },
   status: { 
@@ -18,9 +27,42 @@ const seatSchema = new mongoose.Schema({
     default: 'available' 
   },
   row: { type: Number, required: true },
-  column: { type: Number, required: true }
+  column: { type: Number, required: true },
+  // Code of the other half of a couple seat
+  pairWith: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
 });
 
+// Layout row, e.g. { label: 'A', seatType: 'vip', cells: 'SSS_SSSS_SSS' }
+// Cells: S = seat of the row type, V = VIP, C = couple seat (always in pairs),
+// W = wheelchair space, _ = aisle or missing seat
+const layoutRowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  seatType: {
+    type: String,
+    enum: ['standard', 'vip'],
+    default: 'standard'
+  },
+  cells: {
+    type: String,
+    required: true
+  },
+  // Number given to the first seat of the row
+  startNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema(
   {
     theater: { 
@@ -55,6 +97,13 @@ const roomSchema = new mongoose.Schema(
       min: [1, 'Must have at least 1 seat per row']
     },
     seats: [seatSchema],
+    layout: {
+      version: {
+        type: Number,
+        default: 1
+      },
+      rows: [layoutRowSchema]
+    },
     screenType: {
       type: String,
       enum: ['standard', '3d', 'imax', '4dx', 'premium', 'vip'],
@@ -89,41 +138,196 @@ const roomSchema = new mongoose.Schema(
   }
 );
 
-// Create seat map before saving
-roomSchema.pre('save', function(next) {
-  if (this.isNew || this.isModified(['rows', 'seatsPerRow'])) {
+// Create seat map before validation so derived rows and capacity are checked
+roomSchema.pre('validate', function(next) {
+  if (this.hasLayout() && (this.isNew || this.isModified('layout'))) {
+    const errors = this.constructor.validateLayout(this.layout);
+    if (errors.length > 0) {
+      const err = new Error(`Invalid room layout: ${errors.join('; ')}`);
+      err.statusCode = 400;
+      return next(err);
+    }
+    this.seats = this.generateSeatMap();
+    this.rows = this.layout.rows.length;
+    this.seatsPerRow = Math.max(...this.layout.rows.map(row => row.cells.replace(/_/g, '').length));
+    this.capacity = this.seats.length;
+  } else if (!this.hasLayout() && (this.isNew || this.isModified(['rows', 'seatsPerRow']))) {
     this.seats = this.generateSeatMap();
     this.capacity = this.rows * this.seatsPerRow;
   }
   next();
 });
 
-// Generate seat map based on rows and seatsPerRow
-roomSchema.methods.generateSeatMap = function() {
-  const seats = [];
+// Row label for a zero-based row index: A..Z, then AA, AB, ...
+const rowLabel = (index) => {
   const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let label = '';
+  let n = index;
+  do {
+    label = alphabet[n % 26] + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+};
+
+roomSchema.methods.hasLayout = function() {
+  return Boolean(this.layout && this.layout.rows && this.layout.rows.length > 0);
+};
+
+// Check a layout definition, returns a list of error messages
+roomSchema.statics.validateLayout = function(layout) {
+  const errors = [];
   
-  // Determine VIP rows (first 2 rows by default)
-  const vipRows = 2;
+  if (!layout || !Array.isArray(layout.rows) || layout.rows.length === 0) {
+    return ['Layout must have at least one row'];
+  }
   
-  for (let row = 0; row < this.rows; row++) {
-    const rowLetter = alphabet[row % alphabet.length];
-    const isVip = row < vipRows;
+  const labels = new Set();
+  let seatCount = 0;
+  
+  layout.rows.forEach((row, index) => {
+    const name = row && row.label ? `Row ${row.label}` : `Row #${index + 1}`;
     
-    for (let col = 1; col <= this.seatsPerRow; col++) {
-      seats.push({
-        code: `${rowLetter}${col}`,
-        type: isVip ? 'vip' : 'standard',
-        status: 'available',
-        row: row,
-        column: col - 1
-      });
+    if (!row || !row.label || !/^[A-Za-z]{1,3}$/.test(row.label)) {
+      errors.push(`${name}: label must be 1-3 letters`);
+    } else if (labels.has(row.label.toUpperCase())) {
+      errors.push(`${name}: duplicate row label`);
+    } else {
+      labels.add(row.label.toUpperCase());
+    }
+    
+    if (row && row.seatType && !['standard', 'vip'].includes(row.seatType)) {
+      errors.push(`${name}: seatType must be standard or vip`);
     }
+    
+    if (!row || typeof row.cells !== 'string' || row.cells.length === 0) {
+      errors.push(`${name}: cells must be a non-empty string`);
+      return;
+    }
+    
+    const invalidCells = [...row.cells].filter(cell => !(cell in LAYOUT_CELLS));
+    if (invalidCells.length > 0) {
+      errors.push(`${name}: unknown cell(s) ${[...new Set(invalidCells)].join(', ')}`);
+    }
+    
+    // Couple seats must come in adjacent pairs
+    const coupleRuns = row.cells.match(/C+/g) || [];
+    if (coupleRuns.some(run => run.length % 2 !== 0)) {
+      errors.push(`${name}: couple seats must come in adjacent pairs`);
+    }
+    
+    seatCount += row.cells.replace(/_/g, '').length;
+  });
+  
+  if (seatCount === 0) {
+    errors.push('Layout must contain at least one seat');
+  } else if (seatCount > 500) {
+    errors.push('Layout cannot have more than 500 seats');
   }
   
+  return errors;
+};
+
+// Generate seat map from the layout, or a plain rows x seatsPerRow grid
+roomSchema.methods.generateSeatMap = function() {
+  // Keep maintenance flags of seats that still exist
+  const previousStatus = new Map((this.seats || []).map(seat => [seat.code, seat.status]));
+  
+  if (!this.hasLayout()) {
+    const seats = [];
+    
+    // Determine VIP rows (first 2 rows by default)
+    const vipRows = 2;
+    
+    for (let row = 0; row < this.rows; row++) {
+      const isVip = row < vipRows;
+      
+      for (let col = 1; col <= this.seatsPerRow; col++) {
+        const code = `${rowLabel(row)}${col}`;
+        seats.push({
+          code,
+          type: isVip ? 'vip' : 'standard',
+          status: previousStatus.get(code) || 'available',
+          row: row,
+          column: col - 1
+        });
+      }
+    }
+    
+    return seats;
+  }
+  
+  const seats = [];
+  
+  this.layout.rows.forEach((layoutRow, rowIndex) => {
+    const label = layoutRow.label.toUpperCase();
+    let number = layoutRow.startNumber || 1;
+    let pendingCouple = null;
+    
+    [...layoutRow.cells].forEach((cell, columnIndex) => {
+      if (cell === '_') return;
+      
+      const code = `${label}${number++}`;
+      const seat = {
+        code,
+        type: LAYOUT_CELLS[cell] || layoutRow.seatType || 'standard',
+        status: previousStatus.get(code) || 'available',
+        row: rowIndex,
+        column: columnIndex
+      };
+      
+      if (cell === 'C') {
+        if (pendingCouple) {
+          seat.pairWith = pendingCouple.code;
+          pendingCouple.pairWith = code;
+          pendingCouple = null;
+        } else {
+          pendingCouple = seat;
+        }
+      }
+      
+      seats.push(seat);
+    });
+  });
+  
   return seats;
 };
 
+// Export the layout, deriving one from the seat map for grid rooms
+roomSchema.methods.exportLayout = function() {
+  if (this.hasLayout()) {
+    return {
+      version: this.layout.version || 1,
+      rows: this.layout.rows.map(row => ({
+        label: row.label,
+        seatType: row.seatType,
+        cells: row.cells,
+        startNumber: row.startNumber
+      }))
+    };
+  }
+  
+  return {
+    version: 1,
+    rows: Array.from({ length: this.rows }, (_, row) => ({
+      label: rowLabel(row),
+      seatType: row < 2 ? 'vip' : 'standard',
+      cells: 'S'.repeat(this.seatsPerRow),
+      startNumber: 1
+    }))
+  };
+};
+
+// Couple seats among the given codes whose partner is not also selected
+roomSchema.methods.findUnpairedCoupleSeats = function(seatCodes) {
+  const selected = new Set(seatCodes.map(code => code.toUpperCase()));
+  
+  return this.seats
+    .filter(seat => seat.type === 'couple' && selected.has(seat.code))
+    .filter(seat => !seat.pairWith || !selected.has(seat.pairWith))
+    .map(seat => ({ code: seat.code, pairWith: seat.pairWith }));
+};
+
 // Get available seats for a specific showtime
 roomSchema.methods.getAvailableSeats = async function(showtimeId) {
   // Get all booked seats for this showtime
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { TICKET_CATEGORIES, DEFAULT_CATEGORY_RULES } = require('../utils/ticketCategories');
+
+// Price rule for one audience category: a fixed price overrides the discount
+const categoryPriceSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: TICKET_CATEGORIES,
+    required: true
+  },
+  fixedPrice: {
+    type: Number,
+    min: 0
+  },
+  discountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  eligibilityNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Eligibility note cannot be more than 200 characters']
+  }
+}, { _id: false });
 
 const scheduleSchema = new mongoose.Schema(
   {
@@ -40,6 +65,12 @@ const scheduleSchema = new mongoose.Schema(
         required: true,
         min: 0
       },
+      // Price of one couple seat; falls back to the VIP price
+      couple: {
+        type: Number,
+        min: 0
+      },
+      categories: [categoryPriceSchema],
       earlyBirdDiscount: {
         type: Number,
         min: 0,
@@ -156,6 +187,81 @@ scheduleSchema.methods.updateOccupancy = async function() {
   await this.save();
 };
 
+// Price of one seat for a seat type and audience category
+scheduleSchema.methods.getSeatPrice = function(seatType, category = 'adult') {
+  const priceTable = this.priceTable || {};
+  let basePrice;
+  switch (seatType) {
+    case 'vip':
+      basePrice = priceTable.vip;
+      break;
+    case 'couple':
+      basePrice = priceTable.couple != null ? priceTable.couple : priceTable.vip;
+      break;
+    default:
+      basePrice = priceTable.standard;
+  }
+  
+  const rule = (priceTable.categories || []).find(r => r.category === category) ||
+    DEFAULT_CATEGORY_RULES[category] || {};
+  
+  let price = basePrice || 0;
+  if (rule.fixedPrice != null) {
+    price = rule.fixedPrice;
+  } else if (rule.discountPercent) {
+    price = Math.round(price * (100 - rule.discountPercent) / 100);
+  }
+  
+  // Early bird discount applies on top of the category price
+  if (priceTable.earlyBirdDiscount && priceTable.earlyBirdEndTime &&
+      new Date() <= priceTable.earlyBirdEndTime) {
+    price = Math.round(price * (100 - priceTable.earlyBirdDiscount) / 100);
+  }
+  
+  return {
+    price,
+    eligibilityNote: rule.eligibilityNote
+  };
+};
+
+// Get the current state of every seat in the room for this schedule
+scheduleSchema.methods.getSeatMap = async function() {
+  const Room = mongoose.model('Room');
+  const SeatHold = mongoose.model('SeatHold');
+  
+  const room = await Room.findById(this.roomId);
+  if (!room) return null;
+  
+  const holds = await SeatHold.find({
+    scheduleId: this._id,
+    locked: true
+  }).select('seatCode status expiresAt');
+  
+  const holdsBySeat = new Map(holds.map(hold => [hold.seatCode, hold]));
+  
+  const seats = room.seats.map(seat => {
+    const hold = holdsBySeat.get(seat.code);
+    let state = 'available';
+    if (seat.status === 'maintenance') {
+      state = 'maintenance';
+    } else if (hold) {
+      state = hold.status === 'converted' ? 'booked' : 'held';
+    }
+    
+    return {
+      code: seat.code,
+      type: seat.type,
+      row: seat.row,
+      column: seat.column,
+      pairWith: seat.pairWith,
+      state,
+      heldUntil: hold && hold.status === 'active' ? hold.expiresAt : undefined
+    };
+  });
+  
+  return { room, seats };
+};
+
 // Static method to get available time slots for a room
 scheduleSchema.statics.getAvailableSlots = async function(roomId, date, duration) {
   const startOfDay = new Date(date);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+
+const HOLD_TTL_MINUTES = parseInt(process.env.SEAT_HOLD_TTL_MINUTES, 10) || 10;
+const HOLD_EXTENSION_MINUTES = parseInt(process.env.SEAT_HOLD_EXTENSION_MINUTES, 10) || 5;
+
+const seatHoldSchema = new mongoose.Schema(
+  {
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      required: true,
+      index: true
+    },
+    seatCode: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'released', 'expired'],
+      default: 'active',
+      index: true
+    },
+    // True while the hold occupies the seat (active or converted)
+    locked: {
+      type: Boolean,
+      default: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000)
+    },
+    extensionCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    convertedAt: Date,
+    releasedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Only one locking hold per seat and schedule, so concurrent bookings cannot
+// both succeed
+seatHoldSchema.index(
+  { scheduleId: 1, seatCode: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { locked: true }
+  }
+);
+
+// Used by the sweeper to find expired holds
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+
+// Place holds on the given seats; throws a 409 error listing taken seats.
+// options.expiresAt overrides the default hold time (e.g. a group deadline).
+seatHoldSchema.statics.placeHolds = async function(scheduleId, seatCodes, userId, options = {}) {
+  const { session, ticketId, status = 'active' } = options;
+  const codes = seatCodes.map(code => code.trim().toUpperCase());
+
+  const existing = await this.find({
+    scheduleId,
+    seatCode: { $in: codes },
+    locked: true
+  }).session(session || null);
+
+  // Active holds of the same user not yet tied to a ticket (e.g. from
+  // best-seat selection) are taken over instead of conflicting
+  const isOwnLooseHold = hold => ticketId && !hold.ticketId &&
+    hold.status === 'active' && hold.expiresAt > new Date() &&
+    hold.userId.toString() === userId.toString();
+  const taken = existing.filter(hold => !isOwnLooseHold(hold));
+
+  if (taken.length > 0) {
+    const err = new Error('Some seats are already taken');
+    err.statusCode = 409;
+    err.takenSeats = taken.map(hold => hold.seatCode);
+    throw err;
+  }
+
+  const adopted = existing.filter(isOwnLooseHold);
+  if (adopted.length > 0) {
+    await this.deleteMany({ _id: { $in: adopted.map(hold => hold._id) } }, { session });
+  }
+
+  const expiresAt = options.expiresAt || new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000);
+  const docs = codes.map(seatCode => ({
+    scheduleId,
+    seatCode,
+    userId,
+    ticketId,
+    status,
+    expiresAt,
+    convertedAt: status === 'converted' ? new Date() : undefined
+  }));
+
+  try {
+    return await this.insertMany(docs, { session, ordered: true });
+  } catch (error) {
+    // Another request locked the seat between our check and insert
+    if (error.code === 11000) {
+      const err = new Error('Some seats are already taken');
+      err.statusCode = 409;
+      err.takenSeats = error.keyValue ? [error.keyValue.seatCode] : [];
+      throw err;
+    }
+    throw error;
+  }
+};
+
+// Extend the active holds of a ticket; only one extension is allowed
+seatHoldSchema.statics.extendHolds = async function(ticketId, options = {}) {
+  const { session } = options;
+  const holds = await this.find({ ticketId, status: 'active' }).session(session || null);
+
+  if (holds.length === 0 || holds.some(hold => hold.expiresAt <= new Date())) {
+    const err = new Error('Seat hold has expired. Please select your seats again.');
+    err.statusCode = 410;
+    throw err;
+  }
+
+  if (holds.some(hold => hold.extensionCount >= 1)) {
+    const err = new Error('Seat hold can only be extended once');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const expiresAt = new Date(
+    Math.min(...holds.map(hold => hold.expiresAt.getTime())) + HOLD_EXTENSION_MINUTES * 60 * 1000
+  );
+
+  await this.updateMany(
+    { ticketId, status: 'active' },
+    { $set: { expiresAt }, $inc: { extensionCount: 1 } },
+    { session }
+  );
+
+  return expiresAt;
+};
+
+// Turn the active holds of a ticket into permanent seat locks
+seatHoldSchema.statics.convertHolds = async function(ticketId, options = {}) {
+  const { session } = options;
+  const now = new Date();
+
+  const total = await this.countDocuments({ ticketId, status: 'active' }).session(session || null);
+  const result = await this.updateMany(
+    { ticketId, status: 'active', expiresAt: { $gt: now } },
+    { $set: { status: 'converted', convertedAt: now } },
+    { session }
+  );
+
+  if (total === 0 || result.modifiedCount !== total) {
+    const err = new Error('Ticket reservation has expired. Please select your seats again.');
+    err.statusCode = 410;
+    throw err;
+  }
+
+  return result.modifiedCount;
+};
+
+// Free the seats held by a ticket (all of them, or only the given codes)
+seatHoldSchema.statics.releaseHolds = async function(ticketId, options = {}) {
+  const { session, seatCodes, status = 'released' } = options;
+  const query = { ticketId, locked: true };
+  if (seatCodes) {
+    query.seatCode = { $in: seatCodes };
+  }
+
+  const result = await this.updateMany(
+    query,
+    { $set: { status, locked: false, releasedAt: new Date() } },
+    { session }
+  );
+
+  return result.modifiedCount;
+};
+
+// Expire holds whose time ran out and mark their pending tickets as expired.
+// Each ticket's holds are released in one transaction with the ticket flip,
+// and only while the ticket is still pending, so a payment confirming it at
+// the same moment either wins outright or conflicts and is retried.
+// Returns the holds that were released.
+seatHoldSchema.statics.releaseExpired = async function() {
+  const now = new Date();
+  const expiredHolds = await this.find({
+    status: 'active',
+    expiresAt: { $lte: now }
+  }).select('_id scheduleId seatCode ticketId');
+
+  if (expiredHolds.length === 0) {
+    return [];
+  }
+
+  const holdsByTicket = new Map();
+  expiredHolds.forEach(hold => {
+    const key = hold.ticketId ? hold.ticketId.toString() : '';
+    if (!holdsByTicket.has(key)) holdsByTicket.set(key, []);
+    holdsByTicket.get(key).push(hold);
+  });
+
+  const Ticket = mongoose.model('Ticket');
+  const released = [];
+  for (const [ticketId, holds] of holdsByTicket) {
+    const session = await this.startSession();
+    session.startTransaction();
+    try {
+      if (ticketId) {
+        const flipped = await Ticket.updateOne(
+          { _id: ticketId, status: 'pending' },
+          { $set: { status: 'expired' } },
+          { session }
+        );
+        // Paid in the meantime: the payment converts these holds
+        if (flipped.modifiedCount === 0 && await Ticket.exists({ _id: ticketId, status: 'confirmed' }).session(session)) {
+          await session.abortTransaction();
+          continue;
+        }
+      }
+      await this.updateMany(
+        { _id: { $in: holds.map(hold => hold._id) }, status: 'active', expiresAt: { $lte: now } },
+        { $set: { status: 'expired', locked: false, releasedAt: now } },
+        { session }
+      );
+      await session.commitTransaction();
+      released.push(...holds);
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      // Usually a write conflict with a payment; the next sweep tries again
+      console.error(`Could not release expired holds of ticket ${ticketId || '(none)'}: ${error.message}`);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return released;
+};
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const { startOfDay, endOfDay, format } = require('date-fns');
+const { SETTLEMENT_PROVIDERS } = require('../utils/settlementFiles');
+
+// Provider time and our paidAt may differ by this much before it is a mismatch
+const DATE_TOLERANCE_HOURS = parseInt(process.env.SETTLEMENT_DATE_TOLERANCE_HOURS, 10) || 24;
+// Refunds should show up in a settlement file within this many days
+const LATE_REFUND_DAYS = parseInt(process.env.SETTLEMENT_LATE_REFUND_DAYS, 10) || 3;
+
+const CAPTURED_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const settlementSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: SETTLEMENT_PROVIDERS,
+      required: true
+    },
+    // Day the provider settled, stored as its start
+    settlementDate: {
+      type: Date,
+      required: true
+    },
+    fileName: String,
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rows: [{
+      line: Number,
+      providerTransactionId: String,
+      orderRef: String,
+      type: {
+        type: String,
+        enum: ['payment', 'refund']
+      },
+      amount: Number,
+      transactionTime: Date,
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      },
+      matched: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    // Lines of the file that could not be read
+    parseErrors: [{
+      line: Number,
+      message: String
+    }],
+    summary: {
+      rowCount: { type: Number, default: 0 },
+      matchedCount: { type: Number, default: 0 },
+      discrepancyCount: { type: Number, default: 0 },
+      paymentTotal: { type: Number, default: 0 },
+      refundTotal: { type: Number, default: 0 }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// A provider settles each day once
+settlementSchema.index({ provider: 1, settlementDate: 1 }, { unique: true });
+
+// Import parsed settlement rows and match them against our payments:
+// - a row matches a payment by provider transaction ID or our order reference
+//   (Payment.transactionId / paymentDetails.providerRef), then by amount and date;
+// - refund rows match an unsettled refund of the same payment and amount;
+// - payments captured that day and refunds older than LATE_REFUND_DAYS that no
+//   file has contained are reported as missing on the provider side.
+// Returns the settlement and the discrepancies it raised.
+settlementSchema.statics.importRows = async function(provider, date, rows, options = {}) {
+  const { fileName, importedBy, parseErrors = [] } = options;
+  const Payment = mongoose.model('Payment');
+  const SettlementDiscrepancy = mongoose.model('SettlementDiscrepancy');
+  const settlementDate = startOfDay(date);
+
+  // All or nothing: a failed import must not keep the day's settlement
+  // (which would block a re-import) or leave payments pointing at it
+  const session = await this.startSession();
+  session.startTransaction();
+  try {
+    const [settlement] = await this.create([{
+      provider,
+      settlementDate,
+      fileName,
+      importedBy,
+      rows,
+      parseErrors
+    }], { session });
+
+    const orderRefs = rows.map(row => row.orderRef).filter(Boolean);
+    const providerTransactionIds = rows.map(row => row.providerTransactionId).filter(Boolean);
+    const payments = await Payment.find({
+      'paymentDetails.provider': provider,
+      $or: [
+        { transactionId: { $in: orderRefs } },
+        { 'paymentDetails.providerRef': { $in: orderRefs } },
+        { 'paymentDetails.providerTransactionId': { $in: providerTransactionIds } }
+      ]
+    }).session(session);
+    const findPayment = row => payments.find(payment =>
+      (row.providerTransactionId && payment.paymentDetails.providerTransactionId === row.providerTransactionId) ||
+      (row.orderRef && (payment.transactionId === row.orderRef || payment.paymentDetails.providerRef === row.orderRef))
+    );
+
+    const discrepancies = [];
+    const raise = (type, message, fields = {}) => {
+      discrepancies.push({
+        settlementId: settlement._id,
+        provider,
+        settlementDate,
+        type,
+        message,
+        ...fields
+      });
+    };
+
+    const changed = new Set();
+    settlement.rows.forEach(row => {
+      const payment = findPayment(row);
+      const rowFields = {
+        line: row.line,
+        providerTransactionId: row.providerTransactionId,
+        transactionId: payment ? payment.transactionId : row.orderRef,
+        paymentId: payment && payment._id,
+        settledAmount: row.amount
+      };
+
+      if (!payment) {
+        raise('missing_internal', `${row.type === 'refund' ? 'Refund' : 'Payment'} ${row.orderRef || row.providerTransactionId} has no payment on our side`, rowFields);
+        return;
+      }
+      row.paymentId = payment._id;
+
+      if (row.type === 'payment') {
+        if (!CAPTURED_STATUSES.includes(payment.status)) {
+          raise('missing_internal', `Provider settled a payment we have as ${payment.status}`, {
+            ...rowFields,
+            expectedAmount: payment.amount
+          });
+          return;
+        }
+        payment.settlementId = settlement._id;
+        changed.add(payment);
+        if (payment.amount !== row.amount) {
+          raise('amount_mismatch', `Provider settled ${row.amount}, we captured ${payment.amount}`, {
+            ...rowFields,
+            expectedAmount: payment.amount
+          });
+          return;
+        }
+        const paidAt = payment.paidAt || payment.createdAt;
+        if (Math.abs(row.transactionTime - paidAt) > DATE_TOLERANCE_HOURS * 60 * 60 * 1000) {
+          raise('date_mismatch', `Provider time ${row.transactionTime.toISOString()} is far from our ${paidAt.toISOString()}`, {
+            ...rowFields,
+            expectedAmount: payment.amount
+          });
+          return;
+        }
+        row.matched = true;
+        return;
+      }
+
+      // Refund rows: only an unsettled refund of the same amount. Refunds the
+      // provider rejected never reached it.
+      const refund = payment.refunds.find(r => !r.settlementId && r.status !== 'failed' && r.amount === row.amount);
+      if (!refund) {
+        raise('missing_internal', `Provider refunded ${row.amount} with no unsettled refund of that amount on our side`, rowFields);
+        return;
+      }
+      refund.settlementId = settlement._id;
+      changed.add(payment);
+      const refundFields = { ...rowFields, refundId: refund._id, expectedAmount: refund.amount };
+      if (row.transactionTime - refund.processedAt > LATE_REFUND_DAYS * 24 * 60 * 60 * 1000) {
+        raise('late_refund', `Refund processed on ${format(refund.processedAt, 'yyyy-MM-dd')} only settled on ${format(row.transactionTime, 'yyyy-MM-dd')}`, refundFields);
+        return;
+      }
+      row.matched = true;
+    });
+
+    for (const payment of changed) {
+      await payment.save({ session });
+    }
+
+    // Captured that day but not in this (or an earlier) file
+    const unsettledPayments = await Payment.find({
+      'paymentDetails.provider': provider,
+      status: { $in: CAPTURED_STATUSES },
+      paidAt: { $gte: settlementDate, $lte: endOfDay(settlementDate) },
+      settlementId: { $exists: false }
+    }).session(session);
+    unsettledPayments.forEach(payment => {
+      raise('missing_provider', `Payment captured on ${format(payment.paidAt, 'yyyy-MM-dd HH:mm')} is not in the settlement file`, {
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        providerTransactionId: payment.paymentDetails.providerTransactionId,
+        expectedAmount: payment.amount
+      });
+    });
+
+    // Refunds no settlement file has shown yet, each reported once
+    const lateCutoff = new Date(endOfDay(settlementDate).getTime() - LATE_REFUND_DAYS * 24 * 60 * 60 * 1000);
+    const withLateRefunds = await Payment.find({
+      'paymentDetails.provider': provider,
+      refunds: { $elemMatch: { settlementId: { $exists: false }, status: { $ne: 'failed' }, processedAt: { $lt: lateCutoff } } }
+    }).session(session);
+    const lateRefunds = withLateRefunds.flatMap(payment => payment.refunds
+      .filter(refund => !refund.settlementId && refund.status !== 'failed' && refund.processedAt < lateCutoff)
+      .map(refund => ({ payment, refund })));
+    const reported = await SettlementDiscrepancy.find({
+      type: 'late_refund',
+      refundId: { $in: lateRefunds.map(({ refund }) => refund._id) }
+    }).select('refundId').session(session);
+    lateRefunds
+      .filter(({ refund }) => !reported.some(d => d.refundId.equals(refund._id)))
+      .forEach(({ payment, refund }) => {
+        raise('late_refund', `Refund processed on ${format(refund.processedAt, 'yyyy-MM-dd')} has not been settled after ${LATE_REFUND_DAYS} days`, {
+          paymentId: payment._id,
+          refundId: refund._id,
+          transactionId: payment.transactionId,
+          providerTransactionId: payment.paymentDetails.providerTransactionId,
+          expectedAmount: refund.amount
+        });
+      });
+
+    const created = await SettlementDiscrepancy.insertMany(discrepancies, { session });
+
+    settlement.summary = {
+      rowCount: settlement.rows.length,
+      matchedCount: settlement.rows.filter(row => row.matched).length,
+      discrepancyCount: created.length,
+      paymentTotal: settlement.rows.filter(row => row.type === 'payment').reduce((sum, row) => sum + row.amount, 0),
+      refundTotal: settlement.rows.filter(row => row.type === 'refund').reduce((sum, row) => sum + row.amount, 0)
+    };
+    await settlement.save({ session });
+
+    await session.commitTransaction();
+    return { settlement, discrepancies: created };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
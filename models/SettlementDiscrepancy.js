@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { DISCREPANCY_TYPES } = require('../utils/settlementFiles');
+
+const settlementDiscrepancySchema = new mongoose.Schema(
+  {
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Settlement',
+      required: true,
+      index: true
+    },
+    provider: {
+      type: String,
+      required: true
+    },
+    settlementDate: {
+      type: Date,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: DISCREPANCY_TYPES,
+      required: true,
+      index: true
+    },
+    // Line of the settlement file, when the discrepancy comes from one
+    line: Number,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      index: true
+    },
+    // Refund record on the payment, for refund discrepancies
+    refundId: mongoose.Schema.Types.ObjectId,
+    transactionId: String,
+    providerTransactionId: String,
+    expectedAmount: Number,
+    settledAmount: Number,
+    message: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+      index: true
+    },
+    resolution: {
+      type: String,
+      maxlength: [500, 'Resolution cannot be more than 500 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    // Finance staff comments while the discrepancy is worked on
+    notes: [{
+      text: {
+        type: String,
+        required: true,
+        maxlength: [1000, 'Note cannot be more than 1000 characters']
+      },
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+settlementDiscrepancySchema.index({ provider: 1, settlementDate: -1 });
+
+settlementDiscrepancySchema.methods.addNote = function(text, userId) {
+  this.notes.push({ text, author: userId, createdAt: new Date() });
+  return this.save();
+};
+
+settlementDiscrepancySchema.methods.resolve = function(resolution, userId) {
+  this.status = 'resolved';
+  this.resolution = resolution;
+  this.resolvedBy = userId;
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+settlementDiscrepancySchema.methods.reopen = function() {
+  this.status = 'open';
+  this.resolution = undefined;
+  this.resolvedBy = undefined;
+  this.resolvedAt = undefined;
+  return this.save();
+};
+
+module.exports = mongoose.model('SettlementDiscrepancy', settlementDiscrepancySchema);
@@ -1,70 +1,33 @@
 const mongoose = require('mongoose');
-
-const seatSchema = new mongoose.Schema({
-  code: { 
-    type: String, 
-    required: true,
-    trim: true,
-    uppercase: true
-  },
-  type: { 
-    type: String, 
-    enum: ['standard', 'vip'], 
-    required: true 
-  },
-  price: { 
-    type: Number, 
-    required: true,
-    min: 0
-  }
-});
-
-const comboItemSchema = new mongoose.Schema({
-  comboId: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: 'Combo' 
-  },
-  name: {
-    type: String,
-    required: true
-  },
-  qty: {
-    type: Number,
-    required: true,
-    min: 1
-  },
-  price: {
-    type: Number,
-    required: true,
-    min: 0
-  }
-});
+const { TICKET_CATEGORIES } = require('../utils/ticketCategories');
+const { signTicketToken } = require('../utils/ticketToken');
+const { PAYMENT_METHODS } = require('../utils/paymentProviders');
 
 const ticketSchema = new mongoose.Schema(
   {
-    user: { 
+    userId: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User', 
       required: [true, 'User is required'],
       index: true 
     },
-    showtime: { 
+    scheduleId: { 
       type: mongoose.Schema.Types.ObjectId, 
-      ref: 'Showtime', 
-      required: [true, 'Showtime is required'],
+      ref: 'Schedule', 
+      required: [true, 'Schedule is required'],
       index: true 
     },
-    movie: {
+    movieId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Movie',
       required: [true, 'Movie is required']
     },
-    theater: {
+    cinemaId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Theater',
-      required: [true, 'Theater is required']
+      ref: 'Cinema',
+      required: [true, 'Cinema is required']
     },
-    room: { 
+    roomId: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'Room', 
       required: [true, 'Room is required']
@@ -79,7 +42,7 @@ const ticketSchema = new mongoose.Schema(
       },
       type: { 
         type: String, 
-        enum: ['standard', 'vip'], 
+        enum: ['standard', 'vip', 'couple', 'wheelchair'], 
         required: [true, 'Seat type is required']
       },
       price: { 
@@ -87,8 +50,27 @@ const ticketSchema = new mongoose.Schema(
         required: [true, 'Seat price is required'],
         min: [0, 'Price cannot be negative']
       },
+      category: {
+        type: String,
+        enum: TICKET_CATEGORIES,
+        default: 'adult'
+      },
+      eligibilityNote: String,
       row: { type: Number, required: true },
-      column: { type: Number, required: true }
+      column: { type: Number, required: true },
+      checkedInAt: Date,
+      checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Door or scanner that admitted the seat
+      checkInDoor: String,
+      // Money given back on a seat that is still on the ticket
+      refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
     }],
     
     // Combo items
@@ -112,7 +94,12 @@ const ticketSchema = new mongoose.Schema(
         required: [true, 'Price is required'],
         min: [0, 'Price cannot be negative']
       },
-      image: String
+      image: String,
+      refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
     }],
     
     // Voucher information
@@ -137,6 +124,11 @@ const ticketSchema = new mongoose.Schema(
       minOrderValue: {
         type: Number,
         min: 0
+      },
+      // Subtotal before any partial cancellation, used to pro-rate the discount
+      originalSubtotal: {
+        type: Number,
+        min: 0
       }
     },
     
@@ -168,31 +160,55 @@ const ticketSchema = new mongoose.Schema(
     },
     
     // Payment information
+    // Set once paid; a ticket split over several methods has one per leg
     payment: {
       method: { 
         type: String, 
-        enum: ['momo', 'zalopay', 'vnpay', 'credit_card', 'cash'],
-        required: [true, 'Payment method is required']
+        enum: PAYMENT_METHODS
       },
       transactionId: String,
       status: {
         type: String,
-        enum: ['pending', 'completed', 'failed', 'refunded'],
+        enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
         default: 'pending'
       },
       paidAt: Date,
       paymentDetails: mongoose.Schema.Types.Mixed
     },
+    // Payments that went towards the price; a ticket can be split over
+    // several methods and is confirmed once they cover it
+    paymentLegs: [{
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+      },
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS
+      },
+      amount: {
+        type: Number,
+        min: 0,
+        required: true
+      },
+      paidAt: Date
+    }],
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     
     // Ticket status
     status: { 
       type: String, 
-      enum: ['pending', 'confirmed', 'cancelled', 'refunded', 'expired'], 
+      enum: ['pending', 'confirmed', 'cancelled', 'refunded', 'expired', 'exchanged'], 
       default: 'pending'
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     qrCode: {
@@ -200,7 +216,27 @@ const ticketSchema = new mongoose.Schema(
       unique: true,
       sparse: true
     },
+    // Bumped to invalidate previously issued QR codes
+    qrVersion: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    confirmedAt: Date,
     checkInTime: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Age-restricted movie: staff must check ID at the door
+    ageRestriction: {
+      rating: String,
+      minAge: Number,
+      idCheckRequired: {
+        type: Boolean,
+        default: false
+      }
+    },
     notes: {
       type: String,
       maxlength: [500, 'Notes cannot be more than 500 characters']
@@ -214,10 +250,107 @@ const ticketSchema = new mongoose.Schema(
       ref: 'User'
     },
     cancelledAt: Date,
+    // Seats and combo lines cancelled while the rest of the ticket stays valid
+    cancelledItems: [{
+      itemType: {
+        type: String,
+        enum: ['seat', 'combo'],
+        required: true
+      },
+      code: String,
+      combo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Combo'
+      },
+      quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      amount: {
+        type: Number,
+        min: 0,
+        required: true
+      },
+      refundAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      cancelledAt: {
+        type: Date,
+        default: Date.now
+      },
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    // Set when the seat was reserved as part of a group booking
+    groupBookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupBooking',
+      index: true
+    },
+    // Exchange to another showtime; both tickets point at each other
+    exchange: {
+      fromTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        index: true
+      },
+      toTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+      },
+      // Amount paid on the original ticket that counts towards this one
+      credit: {
+        type: Number,
+        min: 0
+      },
+      // Positive when the customer paid more, negative when refunded
+      fareDifference: Number,
+      exchangedAt: Date,
+      exchangedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    // Transfers and gifts to other accounts; at most one is pending at a time
+    transfers: [{
+      kind: {
+        type: String,
+        enum: ['transfer', 'gift'],
+        default: 'transfer'
+      },
+      fromUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+      },
+      toUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'cancelled'],
+        default: 'pending'
+      },
+      message: {
+        type: String,
+        maxlength: [200, 'Message cannot be more than 200 characters']
+      },
+      respondedAt: Date
+    }],
+    // Mirrors the seat hold expiry; expired tickets are marked by the hold sweeper
     pendingExpiresAt: { 
       type: Date, 
       default: () => new Date(Date.now() + 10*60*1000), // 10 minutes
-      index: { expireAfterSeconds: 0 } 
+      index: true
     }
   },
   { 
@@ -227,62 +360,57 @@ const ticketSchema = new mongoose.Schema(
   }
 );
 
-// Index to prevent double booking of seats for the same schedule
-ticketSchema.index(
-  { scheduleId: 1, 'seats.code': 1 },
-  { 
-    unique: true, 
-    partialFilterExpression: { 
-      status: { $ne: 'cancelled' } 
-    },
-    message: 'One or more seats are already booked for this show.'
-  }
-);
+// A seat belongs to at most one ticket per schedule through the unique
+// index on locked seat holds (see SeatHold)
 
 // All virtual fields have been removed to prevent conflicts with existing schema fields
 // Use populate() in controllers instead, for example:
-// Ticket.find().populate('user').populate('movie').populate('theater').populate('room')
+// Ticket.find().populate('userId').populate('movieId').populate('cinemaId').populate('roomId')
 
-// Calculate ticket totals before saving
-ticketSchema.pre('save', async function(next) {
+// Calculate ticket totals before validation, since subtotal and total are required
+ticketSchema.pre('validate', function(next) {
   if (this.isNew || this.isModified('seats') || this.isModified('combos') || this.isModified('voucher')) {
-    // Calculate subtotal from seats and combos
-    const seatTotal = this.seats.reduce((sum, seat) => sum + seat.price, 0);
-    const comboTotal = this.combos.reduce((sum, combo) => sum + (combo.price * combo.qty), 0);
-    this.subtotal = seatTotal + comboTotal;
-    
-    // Apply voucher discount if applicable
-    let discount = 0;
-    if (this.voucher && this.voucher.discountValue) {
-      if (this.voucher.discountType === 'percent') {
-        discount = (this.subtotal * this.voucher.discountValue) / 100;
-        if (this.voucher.maxDiscount && discount > this.voucher.maxDiscount) {
-          discount = this.voucher.maxDiscount;
-        }
-      } else {
-        discount = Math.min(this.voucher.discountValue, this.subtotal);
-      }
-    }
-    
-    this.discount = discount;
-    this.totalAmount = this.subtotal - this.discount;
+    this.calculateTotals();
   }
-  
   next();
 });
 
-// Generate QR code before saving a new ticket
+// Sign the QR code for a new ticket, or re-sign it when its version changes
 ticketSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // In a real app, you would generate a unique QR code here
-    // For example: this.qrCode = `TICKET-${this._id}-${Date.now()}`;
-    // For now, we'll use a simple string
-    this.qrCode = `TICKET-${this._id}`;
+  if (this.isNew || this.isModified('qrVersion')) {
+    this.qrCode = signTicketToken(this);
   }
   next();
 });
 
-// Update schedule occupancy after saving
+// Remember changes that alter what a wallet pass shows or whether it is valid
+ticketSchema.pre('save', function(next) {
+  this.$locals.walletPassChanged = !this.isNew
+    && ['seats', 'combos', 'status', 'userId', 'qrVersion', 'scheduleId'].some(path => this.isModified(path));
+  next();
+});
+
+// Regenerate or void the wallet passes issued for the ticket. Devices are
+// pushed only once the change is committed: inside a transaction that is
+// when the session ends, and after a rollback nothing is left pending.
+ticketSchema.post('save', async function(doc) {
+  if (!doc.$locals.walletPassChanged) return;
+  try {
+    const WalletPass = mongoose.model('WalletPass');
+    const session = doc.$session();
+    const passes = await WalletPass.syncWithTicket(doc, { session });
+    const passIds = passes.filter(pass => pass.pushPending).map(pass => pass._id);
+    if (passIds.length === 0) return;
+    if (session && session.inTransaction()) {
+      session.once('ended', () => WalletPass.sendPendingPushes(passIds));
+    } else {
+      await WalletPass.sendPendingPushes(passIds);
+    }
+  } catch (err) {
+    console.error('Error updating wallet passes:', err);
+  }
+});
+
 // Update schedule occupancy after saving
 ticketSchema.post('save', async function(doc) {
   try {
@@ -311,14 +439,28 @@ ticketSchema.post('remove', async function(doc) {
   }
 });
 
-// Pre-save hook to set default values
-ticketSchema.pre('save', function(next) {
-  // Calculate total amount if not set
-  if (this.isNew || this.isModified('seats') || this.isModified('combos')) {
-    this.calculateTotals();
+// Voucher discount for a subtotal. After a partial cancellation the discount
+// is pro-rated against the subtotal the voucher was originally applied to.
+ticketSchema.methods.getVoucherDiscount = function(subtotal) {
+  if (!this.voucher || !this.voucher.discountValue) return 0;
+  
+  const baseSubtotal = this.voucher.originalSubtotal || subtotal;
+  let discount;
+  if (this.voucher.discountType === 'percent') {
+    discount = (baseSubtotal * this.voucher.discountValue) / 100;
+    if (this.voucher.maxDiscount && discount > this.voucher.maxDiscount) {
+      discount = this.voucher.maxDiscount;
+    }
+  } else {
+    discount = Math.min(this.voucher.discountValue, baseSubtotal);
   }
-  next();
-});
+  
+  if (this.voucher.originalSubtotal) {
+    discount = discount * (subtotal / this.voucher.originalSubtotal);
+  }
+  
+  return Math.round(discount);
+};
 
 // Calculate ticket totals
 ticketSchema.methods.calculateTotals = function() {
@@ -332,19 +474,7 @@ ticketSchema.methods.calculateTotals = function() {
   this.subtotal = seatsSubtotal + combosSubtotal;
   
   // Calculate discount if voucher is applied
-  let discount = 0;
-  if (this.voucher && this.voucher.discountValue) {
-    if (this.voucher.discountType === 'percent') {
-      discount = (this.subtotal * this.voucher.discountValue) / 100;
-      if (this.voucher.maxDiscount && discount > this.voucher.maxDiscount) {
-        discount = this.voucher.maxDiscount;
-      }
-    } else {
-      discount = Math.min(this.voucher.discountValue, this.subtotal);
-    }
-  }
-  
-  this.discount = discount;
+  this.discount = this.getVoucherDiscount(this.subtotal);
   
   // Calculate total (subtotal - discount + tax + service fee)
   this.totalAmount = this.subtotal - this.discount + (this.tax || 0) + (this.serviceFee || 0);
@@ -353,6 +483,111 @@ ticketSchema.methods.calculateTotals = function() {
   this.totalAmount = Math.max(0, this.totalAmount);
 };
 
+// What is left to pay. An exchange is only charged the fare difference over
+// the ticket it replaces.
+ticketSchema.methods.getOutstandingAmount = function() {
+  const due = Math.max(0, this.totalAmount - ((this.exchange && this.exchange.credit) || 0));
+  return Math.max(0, due - this.amountPaid);
+};
+
+// Add a captured payment to the ticket's legs
+ticketSchema.methods.recordPaymentLeg = function(payment) {
+  this.paymentLegs.push({
+    paymentId: payment._id,
+    method: payment.method,
+    amount: payment.amount,
+    paidAt: payment.paidAt || new Date()
+  });
+  this.amountPaid += payment.amount;
+  return this.getOutstandingAmount();
+};
+
+// Remove some seats and/or combo quantities, recalculate the totals and
+// return what was removed together with the amount to refund. Refunds come
+// from `quotedItems` (a cancellation policy quote) when given.
+ticketSchema.methods.cancelItems = function({ seatCodes = [], combos = [] }, userId, quotedItems) {
+  const previousTotal = this.totalAmount;
+  const previousSubtotal = this.subtotal;
+  const removed = [];
+  
+  seatCodes.forEach(code => {
+    const index = this.seats.findIndex(seat => seat.code === code);
+    if (index === -1) {
+      throw new Error(`Seat ${code} is not on this ticket`);
+    }
+    const seat = this.seats[index];
+    removed.push({ itemType: 'seat', code: seat.code, quantity: 1, amount: seat.price });
+    this.seats.splice(index, 1);
+  });
+  
+  combos.forEach(item => {
+    const line = this.combos.find(combo => combo.combo.toString() === item.comboId.toString());
+    const quantity = item.quantity || (line && line.quantity);
+    if (!line || quantity > line.quantity) {
+      throw new Error(`Combo ${item.comboId} quantity exceeds what was bought`);
+    }
+    removed.push({ itemType: 'combo', combo: line.combo, code: line.name, quantity, amount: line.price * quantity });
+    if (quantity === line.quantity) {
+      this.combos.pull(line._id);
+    } else {
+      line.quantity -= quantity;
+    }
+  });
+  
+  if (this.voucher && this.voucher.discountValue && !this.voucher.originalSubtotal) {
+    this.voucher.originalSubtotal = previousSubtotal;
+  }
+  this.calculateTotals();
+  
+  // Otherwise spread the price difference over the removed lines
+  const priceDifference = Math.max(0, previousTotal - this.totalAmount);
+  const removedTotal = removed.reduce((sum, item) => sum + item.amount, 0);
+  removed.forEach(item => {
+    if (quotedItems) {
+      const quoted = quotedItems.find(q => q.itemType === item.itemType && q.code === item.code);
+      item.refundAmount = quoted ? quoted.refundAmount : 0;
+    } else {
+      item.refundAmount = removedTotal > 0 ? Math.round(priceDifference * item.amount / removedTotal) : 0;
+    }
+    item.cancelledBy = userId;
+    item.cancelledAt = new Date();
+    this.cancelledItems.push(item);
+  });
+  
+  const refundAmount = removed.reduce((sum, item) => sum + item.refundAmount, 0);
+  return { removed, refundAmount };
+};
+
+// Record refunds against seats and combo lines that stay on the ticket, such
+// as goodwill credits. Each item is { itemType, code | comboId, amount } and
+// cannot refund more than its line is worth. Returns the items in the shape
+// stored on the payment's refund record.
+ticketSchema.methods.applyLineRefunds = function(items) {
+  return items.map(item => {
+    const line = item.itemType === 'seat'
+      ? this.seats.find(seat => seat.code === String(item.code).toUpperCase())
+      : this.combos.find(combo => combo.combo.toString() === String(item.comboId));
+    const label = item.itemType === 'seat' ? `Seat ${item.code}` : `Combo ${item.comboId}`;
+    if (!line) {
+      const err = new Error(`${label} is not on this ticket`);
+      err.statusCode = 400;
+      throw err;
+    }
+    
+    const lineTotal = item.itemType === 'seat' ? line.price : line.price * line.quantity;
+    if (item.amount <= 0 || line.refundedAmount + item.amount > lineTotal) {
+      const err = new Error(`${label} has only ${lineTotal - line.refundedAmount} left to refund`);
+      err.statusCode = 400;
+      throw err;
+    }
+    line.refundedAmount += item.amount;
+    
+    return item.itemType === 'seat'
+      ? { itemType: 'seat', code: line.code, amount: item.amount }
+      : { itemType: 'combo', combo: line.combo, code: line.name, amount: item.amount };
+  });
+};
+
 // Method to cancel a ticket
 ticketSchema.methods.cancel = async function(userId, reason = '') {
   if (this.status === 'cancelled') {
@@ -374,6 +609,79 @@ ticketSchema.methods.cancel = async function(userId, reason = '') {
   return this;
 };
 
+// Atomically mark seats as checked in; seats already scanned are reported back
+ticketSchema.statics.checkInSeats = async function(ticketId, seatCodes, staffId, at = new Date(), door) {
+  const checkedIn = [];
+  const alreadyCheckedIn = [];
+  
+  for (const code of seatCodes) {
+    const result = await this.updateOne(
+      { _id: ticketId, seats: { $elemMatch: { code, checkedInAt: null } } },
+      { $set: { 'seats.$.checkedInAt': at, 'seats.$.checkedInBy': staffId, 'seats.$.checkInDoor': door } }
+    );
+    if (result.modifiedCount === 1) {
+      checkedIn.push(code);
+    } else {
+      alreadyCheckedIn.push(code);
+    }
+  }
+  
+  if (checkedIn.length > 0) {
+    await this.updateOne(
+      { _id: ticketId, checkInTime: null },
+      { $set: { checkInTime: at, checkedInBy: staffId } }
+    );
+  }
+  
+  return { checkedIn, alreadyCheckedIn };
+};
+
+// The transfer waiting for the recipient to answer, if any
+ticketSchema.methods.getPendingTransfer = function() {
+  return (this.transfers || []).find(transfer => transfer.status === 'pending');
+};
+
+// Hand the ticket over to the recipient of its pending transfer. The QR
+// version is bumped so the code the sender may still hold stops working.
+ticketSchema.methods.acceptTransfer = function() {
+  const transfer = this.getPendingTransfer();
+  if (!transfer) {
+    throw new Error('No pending transfer on this ticket');
+  }
+  
+  transfer.status = 'accepted';
+  transfer.respondedAt = new Date();
+  this.userId = transfer.toUser;
+  this.qrVersion = (this.qrVersion || 1) + 1;
+  return transfer;
+};
+
+// Retire the original ticket of an exchange once the new one is confirmed.
+// Frees its seats and returns it so the caller can announce the release.
+ticketSchema.statics.completeExchange = async function(newTicket, userId, options = {}) {
+  const { session } = options;
+  const original = await this.findById(newTicket.exchange.fromTicket).session(session || null);
+  
+  if (!original || original.status !== 'confirmed') {
+    const err = new Error('The original ticket is no longer valid for exchange');
+    err.statusCode = 400;
+    throw err;
+  }
+  
+  await mongoose.model('SeatHold').releaseHolds(original._id, { session });
+  
+  const now = new Date();
+  original.status = 'exchanged';
+  original.exchange.toTicket = newTicket._id;
+  original.exchange.exchangedAt = now;
+  original.exchange.exchangedBy = userId;
+  newTicket.exchange.exchangedAt = now;
+  newTicket.exchange.exchangedBy = userId;
+  
+  await original.save({ session });
+  return original;
+};
+
 // Static method to get user's booking history
 ticketSchema.statics.getUserBookings = async function(userId, options = {}) {
   const { 
@@ -385,7 +693,7 @@ ticketSchema.statics.getUserBookings = async function(userId, options = {}) {
     sortBy = '-createdAt'
   } = options;
   
-  const query = { user: userId };
+  const query = { userId };
   
   // Filter by status if provided
   if (status) {
@@ -407,9 +715,9 @@ ticketSchema.statics.getUserBookings = async function(userId, options = {}) {
   
   const [tickets, total] = await Promise.all([
     this.find(query)
-      .populate('movie', 'title posterUrl')
-      .populate('theater', 'name address')
-      .populate('room', 'name')
+      .populate('movieId', 'title posterUrl')
+      .populate('cinemaId', 'name address')
+      .populate('roomId', 'name')
       .sort(sortBy)
       .skip(skip)
       .limit(limit)
@@ -478,8 +786,8 @@ ticketSchema.statics.getUserBookingSummary = async function(userId) {
 };
 
 // Indexes for better query performance
-ticketSchema.index({ user: 1, status: 1 });
-ticketSchema.index({ showtime: 1, status: 1 });
+ticketSchema.index({ userId: 1, status: 1 });
+ticketSchema.index({ scheduleId: 1, status: 1 });
 ticketSchema.index({ 'payment.transactionId': 1 }, { unique: true, sparse: true });
 ticketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Auto-delete after 30 days
 
@@ -19,7 +19,7 @@ const userSchema = new mongoose.Schema(
     },
     role: { 
       type: String, 
-      enum: ['user', 'staff', 'admin'], 
+      enum: ['user', 'staff', 'finance', 'admin'], 
       default: 'user',
       index: true 
     },
@@ -30,6 +30,14 @@ const userSchema = new mongoose.Schema(
     phone: {
       type: String,
       match: [/^[0-9]{10,15}$/, 'Please add a valid phone number']
+    },
+    // Used to enforce movie age ratings when booking
+    dateOfBirth: {
+      type: Date,
+      validate: {
+        validator: value => !value || value < new Date(),
+        message: 'Date of birth must be in the past'
+      }
     }
   },
   { timestamps: true }
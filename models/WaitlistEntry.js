@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { findBestBlock, findBestSeats } = require('../utils/seatSelector');
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 15;
+const MAX_WAITLIST_SEATS = parseInt(process.env.WAITLIST_MAX_SEATS, 10) || 10;
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    seatCount: {
+      type: Number,
+      required: [true, 'Please add how many seats you need'],
+      min: [1, 'Seat count must be at least 1'],
+      max: [MAX_WAITLIST_SEATS, `Seat count cannot be more than ${MAX_WAITLIST_SEATS}`]
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+      index: true
+    },
+    // Seats held for the user while the offer lasts
+    offer: {
+      seatCodes: [String],
+      offeredAt: Date,
+      expiresAt: Date
+    },
+    // Times the entry was passed over because its party did not fit
+    skippedCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// One live entry per user and schedule
+waitlistEntrySchema.index(
+  { scheduleId: 1, userId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['waiting', 'offered'] } }
+  }
+);
+
+// FIFO order within a schedule
+waitlistEntrySchema.index({ scheduleId: 1, status: 1, createdAt: 1 });
+
+// Place in the queue, 1 being next in line
+waitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+  const ahead = await this.constructor.countDocuments({
+    scheduleId: this.scheduleId,
+    status: 'waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+// End offers that were not taken up in time. Their holds are released by
+// the seat hold sweeper, which in turn offers the seats to the next in line.
+waitlistEntrySchema.statics.expireOffers = async function(scheduleId) {
+  const query = { status: 'offered', 'offer.expiresAt': { $lte: new Date() } };
+  if (scheduleId) {
+    query.scheduleId = scheduleId;
+  }
+  const result = await this.updateMany(query, { $set: { status: 'expired' } });
+  return result.modifiedCount;
+};
+
+// Offer free seats of a schedule to waiting users. Rules:
+// - entries are served in the order they joined;
+// - a party larger than what is free is skipped but keeps its place;
+// - an offer holds the seats for OFFER_MINUTES and ends the entry if unused.
+// Returns the entries that received an offer.
+waitlistEntrySchema.statics.offerReleasedSeats = async function(scheduleId) {
+  await this.expireOffers(scheduleId);
+
+  const waiting = await this.find({ scheduleId, status: 'waiting' }).sort('createdAt');
+  if (waiting.length === 0) return [];
+
+  const schedule = await mongoose.model('Schedule').findById(scheduleId);
+  if (!schedule || schedule.status !== 'scheduled' || schedule.startTime <= new Date()) {
+    await this.updateMany({ scheduleId, status: 'waiting' }, { $set: { status: 'expired' } });
+    return [];
+  }
+
+  const seatMap = await schedule.getSeatMap();
+  if (!seatMap) return [];
+  let seats = seatMap.seats;
+
+  const SeatHold = mongoose.model('SeatHold');
+  const offered = [];
+  for (const entry of waiting) {
+    const [block] = findBestBlock(seats, entry.seatCount);
+    const picked = block ? block.seats : findBestSeats(seats, entry.seatCount);
+    if (picked.length < entry.seatCount) {
+      entry.skippedCount += 1;
+      await entry.save();
+      continue;
+    }
+
+    const seatCodes = picked.map(seat => seat.code);
+    const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+    // Claimed first so another instance dispatching the same schedule cannot
+    // make the entry a second offer
+    const claimed = await this.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', offer: { seatCodes, offeredAt: new Date(), expiresAt } } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    try {
+      await SeatHold.placeHolds(scheduleId, seatCodes, entry.userId, { expiresAt });
+    } catch (error) {
+      await this.updateOne({ _id: entry._id }, { $set: { status: 'waiting' }, $unset: { offer: 1 } });
+      // Someone booked the seats first; try again on the next release
+      if (error.statusCode === 409) break;
+      throw error;
+    }
+    offered.push(claimed);
+
+    seats = seats.map(seat => (seatCodes.includes(seat.code) ? { ...seat, state: 'held' } : seat));
+  }
+
+  return offered;
+};
+
+// Close the user's offer once they book on the schedule
+waitlistEntrySchema.statics.markBooked = async function(scheduleId, userId) {
+  const result = await this.updateMany(
+    { scheduleId, userId, status: 'offered' },
+    { $set: { status: 'booked' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
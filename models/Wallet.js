@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    // Only ever changed through LedgerEntry.post
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'VND'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+walletSchema.statics.getOrCreate = function(userId, options = {}) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, balance: 0 } },
+    { new: true, upsert: true, session: options.session }
+  );
+};
+
+walletSchema.statics.credit = async function(userId, amount, fields = {}, options = {}) {
+  const wallet = await this.getOrCreate(userId, options);
+  return mongoose.model('LedgerEntry').post('wallet', wallet._id, amount, { userId, ...fields }, options);
+};
+
+walletSchema.statics.debit = async function(userId, amount, fields = {}, options = {}) {
+  const wallet = await this.getOrCreate(userId, options);
+  return mongoose.model('LedgerEntry').post('wallet', wallet._id, -amount, { userId, ...fields }, options);
+};
+
+walletSchema.methods.reconcile = function() {
+  return mongoose.model('LedgerEntry').reconcile('wallet', this);
+};
+
+module.exports = mongoose.model('Wallet', walletSchema);
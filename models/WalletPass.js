@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { sendPassPushes } = require('../utils/walletPass/push');
+
+// A phone wallet pass issued for a ticket. The pass is rebuilt from the
+// ticket whenever a device asks for it, so this only tracks identity,
+// the devices to tell about changes, and whether the pass is still valid.
+const walletPassSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true,
+      index: true
+    },
+    // Holder the pass was issued to; a transferred ticket gets a new pass
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    serialNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Shared secret devices send back when registering or fetching updates
+    authenticationToken: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // Voided passes stay on the device but show as no longer valid
+    voided: {
+      type: Boolean,
+      default: false
+    },
+    // Bumped whenever the pass content changes, so devices refetch it
+    lastModified: {
+      type: Date,
+      default: Date.now,
+      index: true
+    },
+    // Registered devices still to be told about the last change. Set in the
+    // same transaction as the change, so nothing is pushed for a rollback.
+    pushPending: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    registrations: [{
+      deviceLibraryId: {
+        type: String,
+        required: true
+      },
+      pushToken: {
+        type: String,
+        required: true
+      },
+      registeredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// The current holder's pass for a ticket, created on first download
+walletPassSchema.statics.issueFor = async function(ticket) {
+  const existing = await this.findOne({ ticketId: ticket._id, userId: ticket.userId, voided: false })
+    .select('+authenticationToken');
+  if (existing) return existing;
+
+  return this.create({
+    ticketId: ticket._id,
+    userId: ticket.userId,
+    serialNumber: crypto.randomUUID(),
+    authenticationToken: crypto.randomBytes(24).toString('hex')
+  });
+};
+
+// Bring a ticket's passes in line after the ticket changed. Passes of a
+// ticket that can no longer be used, or of a previous holder, are voided;
+// the rest are marked modified so devices download the new seats. Passes
+// with registered devices are left pushPending for sendPendingPushes.
+walletPassSchema.statics.syncWithTicket = async function(ticket, options = {}) {
+  const { session } = options;
+  const passes = await this.find({ ticketId: ticket._id, voided: false }).session(session || null);
+  const now = new Date();
+
+  for (const pass of passes) {
+    if (ticket.status !== 'confirmed' || pass.userId.toString() !== ticket.userId.toString()) {
+      pass.voided = true;
+    }
+    pass.lastModified = now;
+    pass.pushPending = pass.registrations.length > 0;
+    await pass.save({ session });
+  }
+
+  return passes;
+};
+
+// Push the pending updates over APNs, optionally only for the given passes.
+// Each pass is claimed before its push and put back on failure so the next
+// run retries it; devices Apple no longer knows are unregistered. Never
+// throws, so it is safe to call once a transaction has ended.
+walletPassSchema.statics.sendPendingPushes = async function(passIds) {
+  let sent = 0;
+  try {
+    const query = { pushPending: true };
+    if (passIds) {
+      query._id = { $in: passIds };
+    }
+    const pending = await this.find(query).select('_id');
+    for (const { _id } of pending) {
+      const pass = await this.findOneAndUpdate({ _id, pushPending: true }, { $set: { pushPending: false } }, { new: true });
+      if (!pass) continue;
+      try {
+        const result = await sendPassPushes(pass.registrations.map(registration => registration.pushToken));
+        sent += result.sent;
+        if (result.deadTokens.length > 0) {
+          await this.updateOne({ _id }, { $pull: { registrations: { pushToken: { $in: result.deadTokens } } } });
+        }
+      } catch (error) {
+        console.error(`Could not push wallet pass ${pass.serialNumber}: ${error.message}`);
+        await this.updateOne({ _id }, { $set: { pushPending: true } });
+      }
+    }
+  } catch (error) {
+    console.error(`Could not send wallet pass pushes: ${error.message}`);
+  }
+  return sent;
+};
+
+module.exports = mongoose.model('WalletPass', walletPassSchema);
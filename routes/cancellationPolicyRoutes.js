@@ -0,0 +1,47 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, admin } = require('../middleware/authMiddleware');
+const {
+getPolicies,
+getPolicyById,
+createPolicy,
+updatePolicy,
+deletePolicy
+} = require('../controllers/cancellationPolicyController');
+const { TICKET_CATEGORIES } = require('../utils/ticketCategories');
+const router = express.Router();
+router.use(protect, admin);
+router.get('/', getPolicies);
+router.get('/:id', getPolicyById);
+router.post(
+'/',
+[
+check('name', 'Policy name is required').not().isEmpty(),
+check('cinemaId', 'Please provide a valid cinema ID').optional().isMongoId(),
+check('movieId', 'Please provide a valid movie ID').optional().isMongoId(),
+check('ticketCategory', 'Invalid ticket category').optional().isIn(TICKET_CATEGORIES),
+check('cutoffHours', 'Cutoff hours must be a positive number').optional().isFloat({ min: 0 }),
+check('tiers', 'At least one refund tier is required').isArray({ min: 1 }),
+check('tiers.*.minHoursBeforeShow', 'Tier hours must be a positive number').isFloat({ min: 0 }),
+check('tiers.*.refundPercent', 'Refund percent must be between 0 and 100').isFloat({ min: 0, max: 100 }),
+check('cancellationFee', 'Cancellation fee must be a positive number').optional().isFloat({ min: 0 }),
+check('nonRefundableWithPromotion', 'nonRefundableWithPromotion must be a boolean').optional().isBoolean()
+],
+createPolicy
+);
+router.put(
+'/:id',
+[
+check('name', 'Policy name is required').optional().not().isEmpty(),
+check('ticketCategory', 'Invalid ticket category').optional().isIn(TICKET_CATEGORIES),
+check('cutoffHours', 'Cutoff hours must be a positive number').optional().isFloat({ min: 0 }),
+check('tiers', 'At least one refund tier is required').optional().isArray({ min: 1 }),
+check('tiers.*.minHoursBeforeShow', 'Tier hours must be a positive number').optional().isFloat({ min: 0 }),
+check('tiers.*.refundPercent', 'Refund percent must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+check('cancellationFee', 'Cancellation fee must be a positive number').optional().isFloat({ min: 0 }),
+check('isActive', 'Active status must be a boolean').optional().isBoolean()
+],
+updatePolicy
+);
+router.delete('/:id', deletePolicy);
+module.exports = router;
@@ -32,7 +32,8 @@ protect,
 admin,
 [
 check('name', 'Please add a name').optional().not().isEmpty(),
-check('address', 'Please add an address').optional().not().isEmpty()
+check('address', 'Please add an address').optional().not().isEmpty(),
+check('bookingRules.orphanSeatPolicy', 'Orphan seat policy must be off, warn or reject').optional().isIn(['off', 'warn', 'reject'])
 ]
 ],
 updateCinema
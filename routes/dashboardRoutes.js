@@ -5,7 +5,8 @@ const {
 getRevenueStats,
 getTopMovies,
 getCinemaPerformance,
-getUserActivity
+getUserActivity,
+getRevenueByCategory
 } = require('../controllers/dashboardController');
 const router = express.Router();
 router.use(protect, admin);
@@ -13,4 +14,13 @@ router.get('/revenue', getRevenueStats);
 router.get('/top-movies', getTopMovies);
 router.get('/cinema-performance', getCinemaPerformance);
 router.get('/user-activity', getUserActivity);
+router.get(
+'/revenue-by-category',
+[
+check('cinemaId', 'Please provide a valid cinema ID').optional().isMongoId(),
+check('from', 'From must be a valid date').optional().isISO8601(),
+check('to', 'To must be a valid date').optional().isISO8601()
+],
+getRevenueByCategory
+);
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, admin } = require('../middleware/authMiddleware');
+const {
+issueGiftCards,
+checkGiftCardBalance,
+getGiftCards,
+getGiftCardById,
+disableGiftCard
+} = require('../controllers/giftCardController');
+const router = express.Router();
+router.use(protect);
+router.post(
+'/balance',
+[
+check('code', 'Gift card code is required').not().isEmpty(),
+check('pin', 'Gift card PIN is required').not().isEmpty()
+],
+checkGiftCardBalance
+);
+router.get('/', admin, getGiftCards);
+router.post(
+'/',
+[
+admin,
+[
+check('amount', 'Amount must be a whole number of VND').isInt({ min: 1 }).toInt(),
+check('count', 'Count must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt(),
+check('expiresAt', 'Expiry must be a valid date').optional().isISO8601().toDate(),
+check('note', 'Note cannot be more than 500 characters').optional().isLength({ max: 500 })
+]
+],
+issueGiftCards
+);
+router.get('/:id', admin, getGiftCardById);
+router.put('/:id/disable', admin, disableGiftCard);
+module.exports = router;
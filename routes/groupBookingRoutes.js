@@ -0,0 +1,57 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, finance } = require('../middleware/authMiddleware');
+const {
+createGroupBooking,
+getGroupBooking,
+joinGroupBooking,
+payGroupInvoice,
+getGroupInvoice,
+cancelGroupBooking
+} = require('../controllers/groupBookingController');
+const { TICKET_CATEGORIES } = require('../utils/ticketCategories');
+const router = express.Router();
+router.use(protect);
+router.post(
+'/',
+[
+check('name', 'Group name is required').not().isEmpty(),
+check('paymentMode', 'Payment mode must be attendee or invoice').optional().isIn(['attendee', 'invoice']),
+check('deadline', 'Please provide a valid payment deadline').isISO8601(),
+check('organization.email', 'Please include a valid email').optional().isEmail(),
+check('blocks', 'At least one schedule block is required').isArray({ min: 1 }),
+check('blocks.*.scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('blocks.*.seats', 'Seats must be a list of seat codes').optional().isArray({ min: 1 }),
+check('blocks.*.quantity', 'Quantity must be at least 1').optional().isInt({ min: 1 }),
+check('blocks.*', 'Each block needs either seats or a quantity')
+.custom(block => Boolean(block.seats || block.quantity)),
+check('blocks.*.category', 'Invalid ticket category').optional().isIn(TICKET_CATEGORIES)
+],
+createGroupBooking
+);
+router.post(
+'/join',
+[
+check('inviteCode', 'Invite code is required').not().isEmpty(),
+check('scheduleId', 'Please provide a valid schedule ID').optional().isMongoId()
+],
+joinGroupBooking
+);
+router.get('/:id', getGroupBooking);
+router.get('/:id/invoice', getGroupInvoice);
+// Finance staff record a transfer or cash payment they have received
+router.post(
+'/:id/invoice/pay',
+[
+finance,
+[
+check('paymentMethod', 'Payment method must be bank_transfer or cash').optional().isIn(['bank_transfer', 'cash']),
+check('referenceId', 'The bank or receipt reference is required').not().isEmpty(),
+check('referenceId', 'Reference cannot be more than 100 characters').isLength({ max: 100 }),
+check('amount', 'Please provide the amount received').isInt({ min: 0 }).toInt()
+]
+],
+payGroupInvoice
+);
+router.put('/:id/cancel', cancelGroupBooking);
+module.exports = router;
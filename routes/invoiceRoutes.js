@@ -0,0 +1,44 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, finance } = require('../middleware/authMiddleware');
+const {
+requestInvoice,
+getInvoices,
+getInvoiceById,
+printInvoice,
+replaceInvoice
+} = require('../controllers/invoiceController');
+const router = express.Router();
+const TAX_CODE = /^\d{10}(-\d{3})?$/;
+router.use(protect);
+router.post(
+'/',
+[
+check('ticketId', 'Please provide a valid ticket ID').isMongoId(),
+check('companyName', 'Company name is required').trim().not().isEmpty().isLength({ max: 200 }),
+check('taxCode', 'Please provide a valid tax code').trim().matches(TAX_CODE),
+check('address', 'Company address is required').trim().not().isEmpty().isLength({ max: 500 }),
+check('name', 'Buyer name cannot be more than 100 characters').optional().trim().isLength({ max: 100 }),
+check('email', 'Please include a valid email').optional().isEmail()
+],
+requestInvoice
+);
+router.get('/', getInvoices);
+router.get('/:id', getInvoiceById);
+router.get('/:id/print', printInvoice);
+router.post(
+'/:id/replace',
+[
+finance,
+[
+check('reason', 'Reason is required').trim().not().isEmpty().isLength({ max: 500 }),
+check('companyName', 'Company name cannot be more than 200 characters').optional().trim().not().isEmpty().isLength({ max: 200 }),
+check('taxCode', 'Please provide a valid tax code').optional().trim().matches(TAX_CODE),
+check('address', 'Address cannot be more than 500 characters').optional().trim().not().isEmpty().isLength({ max: 500 }),
+check('name', 'Buyer name cannot be more than 100 characters').optional().trim().isLength({ max: 100 }),
+check('email', 'Please include a valid email').optional().isEmail()
+]
+],
+replaceInvoice
+);
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect } = require('../middleware/authMiddleware');
+const {
+getMyNotifications,
+markNotificationRead,
+markAllNotificationsRead,
+streamNotifications
+} = require('../controllers/notificationController');
+const router = express.Router();
+router.use(protect);
+router.get(
+'/',
+[
+check('unread', 'Unread must be true or false').optional().isIn(['true', 'false']),
+check('page', 'Page must be at least 1').optional().isInt({ min: 1 }),
+check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+],
+getMyNotifications
+);
+router.get('/stream', streamNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', markNotificationRead);
+module.exports = router;
@@ -1,27 +1,39 @@
 const express = require('express');
 const { check } = require('express-validator');
 const { protect, admin } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 const {
 processPayment,
+getPaymentStatus,
 getPaymentHistory,
 getPaymentById,
+getTicketPayments,
 processRefund
 } = require('../controllers/paymentController');
+const { PAYMENT_METHODS, METHOD_ALIASES, STORED_VALUE_METHODS } = require('../utils/paymentProviders');
+const { REFUND_REASON_CODES } = require('../utils/refundReasons');
 const router = express.Router();
 router.post(
 '/process',
 [
 protect,
+idempotent,
 [
 check('ticketId', 'Ticket ID is required').not().isEmpty(),
-check('paymentMethod', 'Payment method is required').isIn(['momo', 'vnpay', 'zalopay', 'credit_card', 'cash']),
-check('paymentDetails', 'Payment details are required').isObject(),
+check('paymentMethod', 'Payment method is required').isIn([...PAYMENT_METHODS, ...Object.keys(METHOD_ALIASES)]),
+check('amount', 'Amount must be a whole number of VND').optional().isInt({ min: 1 }).toInt(),
+check('paymentDetails', 'Payment details must be an object').optional().isObject(),
+check('remainderMethod', 'Remainder method must be an online or counter payment method')
+.optional()
+.isIn([...PAYMENT_METHODS, ...Object.keys(METHOD_ALIASES)].filter(m => !STORED_VALUE_METHODS.includes(m))),
 check('loyaltyPointsAmount', 'Loyalty points amount must be a positive number').optional().isFloat({ min: 0 })
 ]
 ],
 processPayment
 );
 router.get('/users/:userId/payments', protect, getPaymentHistory);
+router.get('/tickets/:ticketId', protect, getTicketPayments);
+router.get('/:id/status', protect, getPaymentStatus);
 router.get('/:id', protect, getPaymentById);
 router.post(
 '/:id/refund',
@@ -29,8 +41,13 @@ router.post(
 protect,
 admin,
 [
-check('refundAmount', 'Refund amount must be a positive number').optional().isFloat({ min: 0 }),
-check('reason', 'Refund reason is required').optional().isString()
+check('amount', 'Refund amount must be a positive number').optional().isFloat({ min: 1 }).toFloat(),
+check('reason', `Refund reason must be one of: ${REFUND_REASON_CODES.join(', ')}`).optional().isIn(REFUND_REASON_CODES),
+check('note', 'Refund note cannot be more than 500 characters').optional().isString().isLength({ max: 500 }),
+check('toWallet', 'toWallet must be a boolean').optional().isBoolean().toBoolean(),
+check('items', 'Items must be an array').optional().isArray(),
+check('items.*.itemType', 'Item type must be seat or combo').isIn(['seat', 'combo']),
+check('items.*.amount', 'Item refund amount must be a positive number').isFloat({ min: 1 }).toFloat()
 ]
 ],
 processRefund
@@ -0,0 +1,14 @@
+const express = require('express');
+const { handleProviderWebhook } = require('../controllers/paymentWebhookController');
+const router = express.Router();
+// Server-to-server notifications; authenticated by the provider's signature
+router.post('/momo', handleProviderWebhook('momo'));
+router.post('/zalopay', handleProviderWebhook('zalopay'));
+router.get('/vnpay', handleProviderWebhook('vnpay'));
+router.post('/card', handleProviderWebhook('card'));
+// The fake provider signs with a well-known secret, so it is never exposed
+// unless the app is running against it
+if (process.env.PAYMENT_PROVIDER === 'fake') {
+router.post('/fake', handleProviderWebhook('fake'));
+}
+module.exports = router;
@@ -4,14 +4,40 @@ const { protect, admin } = require('../middleware/authMiddleware');
 const {
 getRooms,
 getRoomWithSeats,
+getBestSeats,
+holdBestSeats,
 createRoom,
 updateRoom,
+updateSeatStatus,
+exportRoomLayout,
+importRoomLayout,
 deleteRoom
 } = require('../controllers/roomController');
 const Cinema = require('../models/Cinema');
 const router = express.Router();
 router.get('/', getRooms);
 router.get('/:roomId/seats', getRoomWithSeats);
+router.get(
+'/:roomId/best-seats',
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('partySize', 'Party size must be between 1 and 10').isInt({ min: 1, max: 10 }),
+check('seatType', 'Please provide a valid seat type').optional().isIn(['standard', 'vip', 'couple', 'wheelchair'])
+],
+getBestSeats
+);
+router.post(
+'/:roomId/best-seats/hold',
+[
+protect,
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('partySize', 'Party size must be between 1 and 10').isInt({ min: 1, max: 10 }),
+check('seatType', 'Please provide a valid seat type').optional().isIn(['standard', 'vip', 'couple', 'wheelchair'])
+]
+],
+holdBestSeats
+);
 router.post(
 '/',
 [
@@ -20,8 +46,9 @@ admin,
 [
 check('name', 'Please add a name').not().isEmpty(),
 check('cinemaId', 'Please provide a valid cinema ID').isMongoId(),
-check('capacity', 'Please add a valid capacity').isInt({ min: 1 }),
-check('screenType', 'Please provide a valid screen type').isIn(['standard', '3d', 'imax', '4dx'])
+check('capacity', 'Please add a valid capacity').if(check('layout').not().exists()).isInt({ min: 1 }),
+check('screenType', 'Please provide a valid screen type').isIn(['standard', '3d', 'imax', '4dx']),
+check('layout.rows', 'Layout must have at least one row').optional().isArray({ min: 1 })
 ]
 ],
 createRoom
@@ -40,5 +67,30 @@ check('screenType', 'Please provide a valid screen type').optional().isIn(['stan
 ],
 updateRoom
 );
+router.get('/:id/layout', exportRoomLayout);
+router.put(
+'/:id/layout',
+[
+protect,
+admin,
+[
+check('layout', 'Please provide a layout').isObject(),
+check('layout.rows', 'Layout must have at least one row').isArray({ min: 1 })
+]
+],
+importRoomLayout
+);
+router.put(
+'/:id/seats/status',
+[
+protect,
+admin,
+[
+check('seatCodes', 'At least one seat is required').isArray({ min: 1 }),
+check('status', 'Please provide a valid seat status').isIn(['available', 'maintenance'])
+]
+],
+updateSeatStatus
+);
 router.delete('/:id', [protect, admin], deleteRoom);
 module.exports = router;
\ No newline at end of file
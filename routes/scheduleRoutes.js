@@ -9,7 +9,8 @@ const {
   deleteSchedule,
   getSchedulesByMovie,
   getSchedulesByTheater,
-  getAvailableTimeSlots
+  getAvailableTimeSlots,
+  streamSeatMap
 } = require('../controllers/scheduleController');
 
 const router = express.Router();
@@ -81,6 +82,16 @@ router.get('/available-times', [
   check('duration', 'Vui lòng nhập thời lượng chiếu (phút)').isInt({ min: 1 })
 ], getAvailableTimeSlots);
 
+// @route   GET /api/schedules/:id/seats/stream
+// @desc    Theo dõi trạng thái ghế theo thời gian thực (Server-Sent Events)
+// @access  Công khai
+// Tham số đường dẫn:
+// - id: ID của lịch chiếu (định dạng MongoDB ID)
+// Sự kiện gửi về:
+// - snapshot: trạng thái toàn bộ ghế khi vừa kết nối
+// - seat-update: ghế thay đổi trạng thái (held, released, booked, cancelled, maintenance)
+router.get('/:id/seats/stream', streamSeatMap);
+
 // @route   GET /api/schedules/:id
 // @desc    Lấy thông tin chi tiết một lịch chiếu theo ID
 // @access  Công khai
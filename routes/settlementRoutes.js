@@ -0,0 +1,52 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, finance } = require('../middleware/authMiddleware');
+const {
+importSettlement,
+getSettlements,
+getSettlementById,
+getDiscrepancies,
+addDiscrepancyNote,
+resolveDiscrepancy,
+reopenDiscrepancy
+} = require('../controllers/settlementController');
+const { SETTLEMENT_PROVIDERS, DISCREPANCY_TYPES } = require('../utils/settlementFiles');
+const router = express.Router();
+router.use(protect, finance);
+router.get('/', getSettlements);
+router.get(
+'/discrepancies',
+[
+check('provider', 'Invalid provider').optional().isIn(SETTLEMENT_PROVIDERS),
+check('type', 'Invalid discrepancy type').optional().isIn(DISCREPANCY_TYPES),
+check('status', 'Status must be open, resolved or all').optional().isIn(['open', 'resolved', 'all'])
+],
+getDiscrepancies
+);
+router.post(
+'/discrepancies/:id/notes',
+[
+check('text', 'Note text is required').not().isEmpty(),
+check('text', 'Note cannot be more than 1000 characters').isLength({ max: 1000 })
+],
+addDiscrepancyNote
+);
+router.put(
+'/discrepancies/:id/resolve',
+[
+check('resolution', 'Please describe how the discrepancy was resolved').not().isEmpty(),
+check('resolution', 'Resolution cannot be more than 500 characters').isLength({ max: 500 })
+],
+resolveDiscrepancy
+);
+router.put('/discrepancies/:id/reopen', reopenDiscrepancy);
+router.get('/:id', getSettlementById);
+router.post(
+'/:provider/import',
+[
+check('provider', `Provider must be one of: ${SETTLEMENT_PROVIDERS.join(', ')}`).isIn(SETTLEMENT_PROVIDERS),
+check('date', 'Settlement date is required (YYYY-MM-DD)').isISO8601()
+],
+importSettlement
+);
+module.exports = router;
@@ -1,38 +1,185 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 const {
 bookTickets,
+extendHold,
 getUserTickets,
 cancelTicket,
+cancelTicketItems,
+getRefundQuote,
 changeSeats,
+exchangeTicket,
+transferTicket,
+acceptTransfer,
+declineTransfer,
+cancelTransfer,
 applyVoucher,
-addCombo
+addCombo,
+getTicketQr,
+getTicketReceipt,
+checkInTicket,
+getCheckInManifest,
+getCheckInPublicKey,
+syncOfflineCheckIns
 } = require('../controllers/ticketController');
+const { TICKET_CATEGORIES } = require('../utils/ticketCategories');
+const { RECEIPT_LANGUAGES } = require('../utils/receipt');
 const router = express.Router();
 router.post(
 '/book',
 [
 protect,
+idempotent,
 [
 check('scheduleId', 'Schedule ID is required').not().isEmpty(),
-check('seatNumbers', 'At least one seat is required').isArray({ min: 1 })
+check('seatNumbers', 'At least one seat is required').isArray({ min: 1 }),
+check('seatCategories', 'Seat categories must be an object of seat code to category').optional().isObject(),
+check('seatCategories.*', 'Invalid ticket category').isIn(TICKET_CATEGORIES),
+check('giftTo.email', 'Please include a valid email').optional().isEmail(),
+check('giftTo.phone', 'Please include a valid phone number').optional().matches(/^[0-9]{10,15}$/),
+check('giftTo', 'Gift recipient needs an email or phone').optional()
+.custom(giftTo => Boolean(giftTo.email || giftTo.phone)),
+check('giftTo.message', 'Message cannot be more than 200 characters').optional().isLength({ max: 200 })
 ]
 ],
 bookTickets
 );
+router.post(
+'/check-in',
+[
+protect,
+staff,
+[
+check('token', 'Ticket code is required').not().isEmpty(),
+check('seats', 'Seats must be a list of seat codes').optional().isArray(),
+check('cinemaId', 'Please provide a valid cinema ID').optional().isMongoId(),
+check('scheduleId', 'Please provide a valid schedule ID').optional().isMongoId(),
+check('door', 'Door must be text').optional().isString(),
+check('deviceId', 'Device ID must be text').optional().isString()
+]
+],
+checkInTicket
+);
+router.get('/check-in/public-key', protect, staff, getCheckInPublicKey);
+router.get(
+'/check-in/manifest',
+[
+protect,
+staff,
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId()
+]
+],
+getCheckInManifest
+);
+router.post(
+'/check-in/sync',
+[
+protect,
+staff,
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('deviceId', 'Device ID is required').not().isEmpty(),
+check('scans', 'Scans must be a non-empty list').isArray({ min: 1, max: 1000 }),
+check('scans.*.token', 'Each scan needs a ticket code').not().isEmpty(),
+check('scans.*.scannedAt', 'Each scan needs a valid scan time').isISO8601()
+]
+],
+syncOfflineCheckIns
+);
+router.get(
+'/:id/qr',
+[
+protect,
+[
+check('format', 'Format must be png or svg').optional().isIn(['png', 'svg'])
+]
+],
+getTicketQr
+);
+router.get(
+'/:id/receipt',
+[
+protect,
+[
+check('format', 'Format must be pdf or html').optional().isIn(['pdf', 'html']),
+check('lang', `Language must be one of ${RECEIPT_LANGUAGES.join(', ')}`).optional().isIn(RECEIPT_LANGUAGES)
+]
+],
+getTicketReceipt
+);
+router.put('/:id/extend-hold', protect, extendHold);
 router.get('/users/:userId/tickets', protect, getUserTickets);
-router.put('/:id/cancel', protect, cancelTicket);
+router.get('/:id/refund-quote', protect, getRefundQuote);
+router.put(
+'/:id/cancel',
+[
+protect,
+[
+check('refundToWallet', 'refundToWallet must be a boolean').optional().isBoolean().toBoolean()
+]
+],
+cancelTicket
+);
+router.put(
+'/:id/cancel-items',
+[
+protect,
+[
+check('seats', 'Seats must be a list of seat codes').optional().isArray(),
+check('combos', 'Combos must be a list').optional().isArray(),
+check('combos.*.comboId', 'Please provide a valid combo ID').isMongoId(),
+check('combos.*.quantity', 'Quantity must be at least 1').optional().isInt({ min: 1 }),
+check('reason', 'Reason cannot be more than 500 characters').optional().isLength({ max: 500 }),
+check('refundToWallet', 'refundToWallet must be a boolean').optional().isBoolean().toBoolean()
+]
+],
+cancelTicketItems
+);
 router.put(
 '/:id/change-seats',
 [
 protect,
 [
-check('newSeats', 'At least one seat is required').isArray({ min: 1 })
+check('newSeats', 'At least one seat is required').isArray({ min: 1 }),
+check('seatCategories', 'Seat categories must be an object of seat code to category').optional().isObject(),
+check('seatCategories.*', 'Invalid ticket category').isIn(TICKET_CATEGORIES)
 ]
 ],
 changeSeats
 );
+router.post(
+'/:id/exchange',
+[
+protect,
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('seats', 'At least one seat is required').isArray({ min: 1 }),
+check('seatCategories', 'Seat categories must be an object of seat code to category').optional().isObject(),
+check('seatCategories.*', 'Invalid ticket category').isIn(TICKET_CATEGORIES)
+]
+],
+exchangeTicket
+);
+router.post(
+'/:id/transfer',
+[
+protect,
+[
+check('email', 'Please include a valid email').optional().isEmail(),
+check('phone', 'Please include a valid phone number').optional().matches(/^[0-9]{10,15}$/),
+check('email', 'Recipient email or phone is required')
+.custom((email, { req }) => Boolean(email || req.body.phone)),
+check('message', 'Message cannot be more than 200 characters').optional().isLength({ max: 200 })
+]
+],
+transferTicket
+);
+router.put('/:id/transfer/accept', protect, acceptTransfer);
+router.put('/:id/transfer/decline', protect, declineTransfer);
+router.put('/:id/transfer/cancel', protect, cancelTransfer);
 router.put(
 '/:id/apply-voucher',
 [
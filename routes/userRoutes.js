@@ -58,6 +58,10 @@ const router = express.Router();
  *         phone:
  *           type: string
  *           description: The user's phone number
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *           description: The user's date of birth, used for movie age ratings
  *         avatar:
  *           type: string
  *           description: URL to the user's avatar image
@@ -213,7 +217,8 @@ router.put(
   protect,
   [
     check('name', 'Name is required').not().isEmpty(),
-    check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone(),
+    check('dateOfBirth', 'Please enter a valid date of birth (YYYY-MM-DD)').optional().isISO8601()
   ],
   updateProfile
 );
@@ -251,7 +256,7 @@ router.put(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
-    check('role', 'Please include a valid role').isIn(['user', 'staff', 'admin']),
+    check('role', 'Please include a valid role').isIn(['user', 'staff', 'finance', 'admin']),
     check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
   ],
   updateUser
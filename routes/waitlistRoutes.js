@@ -0,0 +1,23 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, admin } = require('../middleware/authMiddleware');
+const {
+joinWaitlist,
+getMyWaitlist,
+getScheduleWaitlist,
+leaveWaitlist
+} = require('../controllers/waitlistController');
+const router = express.Router();
+router.use(protect);
+router.post(
+'/',
+[
+check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+check('seatCount', 'Seat count must be at least 1').isInt({ min: 1 }).toInt()
+],
+joinWaitlist
+);
+router.get('/me', getMyWaitlist);
+router.get('/schedules/:scheduleId', admin, getScheduleWaitlist);
+router.delete('/:id', leaveWaitlist);
+module.exports = router;
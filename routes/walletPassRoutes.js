@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const {
+getTicketPass,
+registerDevice,
+unregisterDevice,
+getUpdatedPasses,
+getLatestPass,
+logDeviceMessages
+} = require('../controllers/walletPassController');
+const router = express.Router();
+router.get('/tickets/:ticketId', protect, getTicketPass);
+// Web service called by wallet apps; devices authenticate with the pass's
+// own token rather than a user login
+router.post('/v1/devices/:deviceLibraryId/registrations/:passTypeIdentifier/:serialNumber', registerDevice);
+router.delete('/v1/devices/:deviceLibraryId/registrations/:passTypeIdentifier/:serialNumber', unregisterDevice);
+router.get('/v1/devices/:deviceLibraryId/registrations/:passTypeIdentifier', getUpdatedPasses);
+router.get('/v1/passes/:passTypeIdentifier/:serialNumber', getLatestPass);
+router.post('/v1/log', logDeviceMessages);
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
+const {
+getMyWallet,
+getMyTransactions,
+topUpWallet,
+topUpAtCounter,
+getUserWallet
+} = require('../controllers/walletController');
+const router = express.Router();
+router.use(protect);
+router.get('/', getMyWallet);
+router.get('/transactions', getMyTransactions);
+router.post(
+'/topup',
+[
+idempotent,
+[
+check('amount', 'Amount must be a whole number of VND').isInt({ min: 1 }).toInt(),
+check('paymentMethod', 'Payment method is required').not().isEmpty()
+]
+],
+topUpWallet
+);
+router.post(
+'/users/:userId/topup',
+[
+staff,
+idempotent,
+[
+check('userId', 'Please provide a valid user ID').isMongoId(),
+check('amount', 'Amount must be a whole number of VND').isInt({ min: 1 }).toInt()
+]
+],
+topUpAtCounter
+);
+router.get('/users/:userId', admin, getUserWallet);
+module.exports = router;
@@ -12,15 +12,39 @@ const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const connectDB = require('./config/db');
+const { startHoldSweeper } = require('./utils/holdSweeper');
+const { startWaitlistDispatcher } = require('./utils/waitlistDispatcher');
+const { startRefundDispatcher } = require('./utils/refundDispatcher');
+const { startWalletPassPusher } = require('./utils/walletPassPusher');
+const { checkTicketSigningKey } = require('./utils/ticketToken');
+const { checkProviderConfig } = require('./utils/paymentProviders');
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
 
 // Load environment variables
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Ticket QR codes cannot be issued or checked without their signing key
+checkTicketSigningKey();
+
+// Payments and provider webhooks cannot be signed or verified without these
+checkProviderConfig();
+
 // Connect to MongoDB
 connectDB();
 
+// Release expired seat holds in the background
+startHoldSweeper();
+
+// Offer released seats to users on the waitlist
+startWaitlistDispatcher();
+
+// Send provider refunds recorded by committed transactions
+startRefundDispatcher();
+
+// Retry wallet pass update pushes that did not get through
+startWalletPassPusher();
+
 // Initialize Express app
 const app = express();
 
@@ -47,6 +71,17 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // Body parser, reading data from body into req.body
+// Offline scanners upload whole batches of check-ins at once
+app.use('/api/v1/tickets/check-in/sync', express.json({ limit: '1mb' }));
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use('/api/v1/webhooks/payments', express.json({
+  limit: '100kb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+// Provider settlement files are uploaded as CSV text
+app.use('/api/v1/settlements', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -92,6 +127,16 @@ app.use('/api/v1/promotions', require('./routes/promotionRoutes'));
 app.use('/api/v1/combos', require('./routes/comboRoutes'));
 app.use('/api/v1/reviews', require('./routes/reviewRoutes'));
 app.use('/api/v1/dashboard', require('./routes/dashboardRoutes'));
+app.use('/api/v1/cancellation-policies', require('./routes/cancellationPolicyRoutes'));
+app.use('/api/v1/group-bookings', require('./routes/groupBookingRoutes'));
+app.use('/api/v1/waitlist', require('./routes/waitlistRoutes'));
+app.use('/api/v1/webhooks/payments', require('./routes/paymentWebhookRoutes'));
+app.use('/api/v1/settlements', require('./routes/settlementRoutes'));
+app.use('/api/v1/wallet', require('./routes/walletRoutes'));
+app.use('/api/v1/gift-cards', require('./routes/giftCardRoutes'));
+app.use('/api/v1/invoices', require('./routes/invoiceRoutes'));
+app.use('/api/v1/wallet-passes', require('./routes/walletPassRoutes'));
+app.use('/api/v1/notifications', require('./routes/notificationRoutes'));
 
 // Health check endpoint
 app.get('/api/v1/health', (req, res) => {
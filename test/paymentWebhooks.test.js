@@ -0,0 +1,252 @@
+// Integration tests for the card protocol, run against the local fake
+// provider. The webhook handler is mounted as in server.js; the database
+// calls it makes are replaced per test so no MongoDB is needed.
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_API_KEY = 'test-api-key';
+process.env.FAKE_PROVIDER_SECRET = 'test-webhook-secret';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { hmac } = require('../utils/paymentProviders/helpers');
+const { createFakeProviderServer } = require('../utils/paymentProviders/fakeProviderServer');
+const { getProvider, getProviderByName } = require('../utils/paymentProviders');
+const Payment = require('../models/Payment');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+
+const listen = app => new Promise(resolve => {
+  const server = app.listen(0, () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+
+let api;
+let provider;
+let events;
+let payment;
+
+before(async () => {
+  const app = express();
+  app.use('/api/v1/webhooks/payments', express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+  app.use('/api/v1/webhooks/payments', require('../routes/paymentWebhookRoutes'));
+  app.use((err, req, res, next) => res.status(500).json({ message: err.message }));
+  api = await listen(app);
+  process.env.PAYMENT_CALLBACK_BASE_URL = `${urlOf(api)}/api/v1/webhooks/payments`;
+
+  // The fake server needs its own address before it starts
+  provider = await listen(express());
+  const port = provider.address().port;
+  provider.close();
+  process.env.FAKE_PROVIDER_URL = `http://127.0.0.1:${port}`;
+  provider = createFakeProviderServer().listen(port);
+});
+
+after(() => {
+  api.close();
+  provider.close();
+});
+
+beforeEach(() => {
+  events = [];
+  payment = null;
+  PaymentWebhookEvent.create = async docs => {
+    events.push(...docs);
+    return docs;
+  };
+  PaymentWebhookEvent.exists = async () => null;
+  Payment.startSession = async () => {
+    let active = false;
+    return {
+      startTransaction: () => { active = true; },
+      commitTransaction: async () => { active = false; },
+      abortTransaction: async () => { active = false; },
+      inTransaction: () => active,
+      endSession: () => {}
+    };
+  };
+  Payment.findOne = query => ({
+    session: async () => (payment && query['paymentDetails.providerRef'] === payment.paymentDetails.providerRef ?
+      payment : null)
+  });
+});
+
+const pendingPayment = (reference, amount) => ({
+  _id: 'payment-1',
+  amount,
+  status: 'pending',
+  purpose: 'ticket',
+  transactionId: reference,
+  paymentDetails: { provider: 'fake', providerRef: reference },
+  saved: 0,
+  async save() {
+    this.saved += 1;
+  }
+});
+
+const postWebhook = (body, headers) => fetch(`${urlOf(api)}/api/v1/webhooks/payments/fake`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+});
+
+const signed = (body, timestamp = Math.floor(Date.now() / 1000).toString()) => ({
+  'X-Timestamp': timestamp,
+  'X-Signature': hmac('sha256', process.env.FAKE_PROVIDER_SECRET, `${timestamp}.${body}`)
+});
+
+test('every online method goes through the fake provider', () => {
+  assert.strictEqual(getProvider('momo').name, 'fake');
+  assert.strictEqual(getProvider('credit_card').name, 'fake');
+  assert.strictEqual(getProvider('cash'), null);
+  assert.strictEqual(getProvider('wallet'), null);
+});
+
+test('a failed checkout is signed by the fake server and settles the payment as failed', async () => {
+  const fake = getProviderByName('fake');
+  payment = pendingPayment('PAY-FAIL-1', 90000);
+  const checkout = await fake.createPayment({ payment, orderInfo: 'Test' });
+  assert.strictEqual(checkout.providerRef, 'PAY-FAIL-1');
+
+  const pay = await (await fetch(`${checkout.payUrl}?outcome=fail`)).json();
+  assert.strictEqual(pay.status, 'failed');
+  assert.strictEqual(pay.callbackStatus, 200);
+  assert.strictEqual(payment.status, 'failed');
+  assert.strictEqual(payment.saved, 1);
+  assert.deepStrictEqual(events.map(e => [e.outcome, e.signatureValid]), [['processed', true]]);
+});
+
+test('a tampered signature is rejected and recorded', async () => {
+  payment = pendingPayment('PAY-SIG-1', 90000);
+  const body = JSON.stringify({ reference: 'PAY-SIG-1', status: 'succeeded', amount: 90000, transactionId: 'txn_1' });
+  const headers = signed(body);
+  headers['X-Signature'] = headers['X-Signature'].replace(/^./, c => (c === 'a' ? 'b' : 'a'));
+
+  const response = await postWebhook(body, headers);
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(payment.status, 'pending');
+  assert.deepStrictEqual(events.map(e => [e.outcome, e.reason]), [['rejected', 'invalid_signature']]);
+});
+
+test('a body changed after signing is rejected', async () => {
+  payment = pendingPayment('PAY-SIG-2', 90000);
+  const body = JSON.stringify({ reference: 'PAY-SIG-2', status: 'failed', amount: 90000, transactionId: 'txn_2' });
+  const response = await postWebhook(body.replace('failed', 'succeeded'), signed(body));
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(events[0].reason, 'invalid_signature');
+});
+
+test('a correctly signed but stale webhook is rejected', async () => {
+  payment = pendingPayment('PAY-OLD-1', 90000);
+  const body = JSON.stringify({ reference: 'PAY-OLD-1', status: 'succeeded', amount: 90000, transactionId: 'txn_3' });
+  const hourAgo = Math.floor(Date.now() / 1000 - 3600).toString();
+  const response = await postWebhook(body, signed(body, hourAgo));
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(events[0].reason, 'stale_timestamp');
+});
+
+test('a retry of a processed event is acknowledged as a duplicate', async () => {
+  PaymentWebhookEvent.exists = async () => ({ _id: 'event-1' });
+  payment = pendingPayment('PAY-DUP-1', 90000);
+  const body = JSON.stringify({ reference: 'PAY-DUP-1', status: 'failed', amount: 90000, transactionId: 'txn_4' });
+  const response = await postWebhook(body, signed(body));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(payment.saved, 0);
+  assert.deepStrictEqual(events.map(e => [e.outcome, e.reason]), [['duplicate', 'retry']]);
+});
+
+test('a webhook for an unknown order or the wrong amount is rejected', async () => {
+  payment = pendingPayment('PAY-AMT-1', 90000);
+  const unknown = JSON.stringify({ reference: 'PAY-NONE', status: 'succeeded', amount: 90000, transactionId: 'txn_5' });
+  assert.strictEqual((await postWebhook(unknown, signed(unknown))).status, 400);
+
+  const wrongAmount = JSON.stringify({ reference: 'PAY-AMT-1', status: 'succeeded', amount: 1000, transactionId: 'txn_6' });
+  assert.strictEqual((await postWebhook(wrongAmount, signed(wrongAmount))).status, 400);
+
+  assert.deepStrictEqual(events.map(e => e.reason), ['payment_not_found', 'amount_mismatch']);
+  assert.strictEqual(payment.status, 'pending');
+});
+
+test('the fake server reports checkout status and refunds once per refund id', async () => {
+  const fake = getProviderByName('fake');
+  // Successful checkouts land on a receiver that keeps the transaction id
+  let callback;
+  const receiver = await listen(express().post('/fake', express.json(), (req, res) => {
+    callback = req.body;
+    res.sendStatus(200);
+  }));
+  const callbackBase = process.env.PAYMENT_CALLBACK_BASE_URL;
+  process.env.PAYMENT_CALLBACK_BASE_URL = urlOf(receiver);
+  try {
+    const order = pendingPayment('PAY-REF-1', 120000);
+    const checkout = await fake.createPayment({ payment: order, orderInfo: 'Test' });
+    assert.strictEqual((await fake.queryStatus(order)).status, 'pending');
+
+    const pay = await (await fetch(checkout.payUrl)).json();
+    assert.strictEqual(pay.status, 'succeeded');
+    assert.strictEqual((await fake.queryStatus(order)).status, 'success');
+
+    order.paymentDetails.providerTransactionId = callback.transactionId;
+    const first = await fake.refund(order, { id: 'refund-1', amount: 50000, reason: 'Test' });
+    const retried = await fake.refund(order, { id: 'refund-1', amount: 50000, reason: 'Test' });
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(retried.referenceId, first.referenceId);
+
+    const second = await fake.refund(order, { id: 'refund-2', amount: 50000, reason: 'Test' });
+    assert.strictEqual(second.success, true);
+    assert.notStrictEqual(second.referenceId, first.referenceId);
+
+    const tooMuch = await fake.refund(order, { id: 'refund-3', amount: 50000, reason: 'Test' });
+    assert.strictEqual(tooMuch.success, false);
+  } finally {
+    process.env.PAYMENT_CALLBACK_BASE_URL = callbackBase;
+    receiver.close();
+  }
+});
+
+test('a payment for an expired reservation is recorded with its refund and refunded after commit', async t => {
+  const Ticket = require('../models/Ticket');
+  const steps = [];
+  payment = pendingPayment('PAY-LATE-1', 90000);
+  payment.ticketId = 'ticket-1';
+  payment.confirm = async () => {
+    const err = new Error('Reservation has expired');
+    err.statusCode = 410;
+    throw err;
+  };
+  const received = { ...pendingPayment('PAY-LATE-1', 90000), _id: 'payment-1' };
+  received.save = async options => steps.push(['save', received.status, received.receivedForRefund, Boolean(options.session)]);
+  Payment.startSession = async () => {
+    let active = false;
+    return {
+      startTransaction: () => { active = true; steps.push(['start']); },
+      commitTransaction: async () => { active = false; steps.push(['commit']); },
+      abortTransaction: async () => { active = false; steps.push(['abort']); },
+      inTransaction: () => active,
+      endSession: () => {}
+    };
+  };
+  t.mock.method(Ticket, 'findById', () => ({ session: async () => ({ _id: 'ticket-1', status: 'expired' }) }));
+  t.mock.method(Payment, 'findById', () => ({ session: async () => received }));
+  t.mock.method(Payment, 'processRefund', async (id, userId, reason, options) => {
+    steps.push(['refund', reason, Boolean(options.session)]);
+  });
+  t.mock.method(Payment, 'sendPendingRefunds', async ids => steps.push(['send', ids]));
+
+  const body = JSON.stringify({ reference: 'PAY-LATE-1', status: 'succeeded', amount: 90000, transactionId: 'txn_7' });
+  const response = await postWebhook(body, signed(body));
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(steps, [
+    ['start'],
+    ['abort'],
+    ['start'],
+    ['save', 'success', true, true],
+    ['refund', 'reservation_expired', true],
+    ['commit'],
+    ['send', ['payment-1']]
+  ]);
+  // The first event was written in the rolled-back transaction
+  assert.strictEqual(events[events.length - 1].reason, 'refunded_expired_reservation');
+});
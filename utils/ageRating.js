@@ -0,0 +1,70 @@
+// Vietnamese film classification: minimum age per rating
+const AGE_RATING_RULES = {
+  P: { minAge: 0 },
+  K: { minAge: 0, requiresGuardian: true },
+  C13: { minAge: 13 },
+  C16: { minAge: 16 },
+  'T16+': { minAge: 16 },
+  C18: { minAge: 18 }
+};
+
+// Categories that count as an accompanying adult for K-rated movies
+const GUARDIAN_CATEGORIES = ['adult', 'senior', 'member'];
+
+const getAge = (dateOfBirth, at = new Date()) => {
+  const dob = new Date(dateOfBirth);
+  let age = at.getFullYear() - dob.getFullYear();
+  const beforeBirthday = at.getMonth() < dob.getMonth() ||
+    (at.getMonth() === dob.getMonth() && at.getDate() < dob.getDate());
+  if (beforeBirthday) age--;
+  return age;
+};
+
+// Check a booking against a movie's age rating.
+// Returns { allowed, message, idCheckRequired, minAge }.
+const checkAgeRating = (ageRating, { dateOfBirth, categories = [], showTime } = {}) => {
+  const rule = AGE_RATING_RULES[ageRating] || AGE_RATING_RULES.P;
+  const result = { allowed: true, idCheckRequired: false, minAge: rule.minAge };
+
+  if (rule.requiresGuardian && categories.includes('child') &&
+      !categories.some(category => GUARDIAN_CATEGORIES.includes(category))) {
+    return {
+      ...result,
+      allowed: false,
+      message: `Children must be accompanied by an adult for ${ageRating} movies`
+    };
+  }
+
+  if (rule.minAge === 0) {
+    return result;
+  }
+
+  if (categories.includes('child')) {
+    return {
+      ...result,
+      allowed: false,
+      message: `Child tickets cannot be bought for ${ageRating} movies (${rule.minAge}+)`
+    };
+  }
+
+  if (!dateOfBirth) {
+    return {
+      ...result,
+      allowed: false,
+      message: `Please add your date of birth to your profile to book ${ageRating} movies`
+    };
+  }
+
+  if (getAge(dateOfBirth, showTime) < rule.minAge) {
+    return {
+      ...result,
+      allowed: false,
+      message: `You must be at least ${rule.minAge} to watch ${ageRating} movies`
+    };
+  }
+
+  // Other guests in the booking still have to prove their age at the door
+  return { ...result, idCheckRequired: true };
+};
+
+module.exports = { AGE_RATING_RULES, checkAgeRating, getAge };
@@ -0,0 +1,52 @@
+const SeatHold = require('../models/SeatHold');
+const GroupBooking = require('../models/GroupBooking');
+const Payment = require('../models/Payment');
+const { emitSeatChange } = require('./seatEvents');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SEAT_HOLD_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// Release expired seat holds on a fixed interval
+const sweepExpiredHolds = async () => {
+  try {
+    const expired = await SeatHold.releaseExpired();
+    const seatsBySchedule = new Map();
+    expired.forEach(hold => {
+      const key = hold.scheduleId.toString();
+      if (!seatsBySchedule.has(key)) seatsBySchedule.set(key, []);
+      seatsBySchedule.get(key).push(hold.seatCode);
+    });
+    seatsBySchedule.forEach((seatCodes, scheduleId) => emitSeatChange(scheduleId, seatCodes, 'released'));
+
+    if (expired.length > 0) {
+      console.log(`Released ${expired.length} expired seat hold(s)`.gray);
+    }
+
+    // Part payments already taken for a ticket that expired
+    const ticketIds = [...new Set(expired.filter(hold => hold.ticketId).map(hold => hold.ticketId.toString()))];
+    if (ticketIds.length > 0) {
+      const refunded = await Payment.refundExpiredTickets(ticketIds);
+      if (refunded.length > 0) {
+        console.log(`Refunded ${refunded.length} part payment(s) on expired tickets`.gray);
+      }
+    }
+
+    // Group holds expire at the group deadline; close those groups too
+    const closedGroups = await GroupBooking.closeOverdue();
+    if (closedGroups.length > 0) {
+      console.log(`Closed ${closedGroups.length} overdue group booking(s)`.gray);
+    }
+    return expired;
+  } catch (error) {
+    console.error(`Error releasing expired seat holds: ${error.message}`.red);
+    return [];
+  }
+};
+
+const startHoldSweeper = () => {
+  const timer = setInterval(sweepExpiredHolds, SWEEP_INTERVAL_MS);
+  // Do not keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startHoldSweeper, sweepExpiredHolds };
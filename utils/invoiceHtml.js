@@ -0,0 +1,106 @@
+const { format } = require('date-fns');
+
+const TITLES = {
+  original: 'HÓA ĐƠN GIÁ TRỊ GIA TĂNG',
+  adjustment: 'HÓA ĐƠN ĐIỀU CHỈNH',
+  replacement: 'HÓA ĐƠN THAY THẾ'
+};
+
+const escapeHtml = value => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatVnd = amount => new Intl.NumberFormat('vi-VN').format(amount || 0);
+
+const row = cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+
+// Printable page for an invoice. `related` is the invoice it adjusts or
+// replaces, quoted in the header as the law requires.
+const renderInvoiceHtml = (invoice, related) => {
+  const lines = invoice.lines.map((line, index) => row([
+    index + 1,
+    escapeHtml(line.description),
+    escapeHtml(line.unit),
+    line.quantity != null ? line.quantity : '',
+    line.unitPrice != null ? formatVnd(line.unitPrice) : '',
+    formatVnd(line.discount),
+    formatVnd(line.amountBeforeTax),
+    `${line.vatRate}%`,
+    formatVnd(line.vatAmount),
+    formatVnd(line.totalAmount)
+  ])).join('\n');
+
+  const rates = invoice.totals.byRate.map(rate => row([
+    `Thuế suất ${rate.vatRate}%`,
+    formatVnd(rate.amountBeforeTax),
+    formatVnd(rate.vatAmount),
+    formatVnd(rate.totalAmount)
+  ])).join('\n');
+
+  const relatedNote = related
+    ? `<p class="related">${invoice.invoiceType === 'replacement' ? 'Thay thế' : 'Điều chỉnh'} cho hóa đơn ký hiệu ${escapeHtml(related.series)} số ${related.number} ngày ${format(related.issuedAt, 'dd/MM/yyyy')}${invoice.reason ? ` - ${escapeHtml(invoice.reason)}` : ''}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<title>${TITLES[invoice.invoiceType]} ${escapeHtml(invoice.series)} ${invoice.number}</title>
+<style>
+body { font-family: "Times New Roman", serif; font-size: 14px; margin: 24px; }
+h1 { text-align: center; font-size: 20px; margin-bottom: 4px; }
+.meta { text-align: center; }
+table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+td, th { border: 1px solid #000; padding: 4px; }
+td:nth-child(n+4) { text-align: right; }
+.party p { margin: 2px 0; }
+.related { font-style: italic; text-align: center; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${TITLES[invoice.invoiceType]}</h1>
+<p class="meta">Ký hiệu: ${escapeHtml(invoice.series)} &nbsp; Số: ${invoice.number} &nbsp; Ngày ${format(invoice.issuedAt, 'dd')} tháng ${format(invoice.issuedAt, 'MM')} năm ${format(invoice.issuedAt, 'yyyy')}</p>
+${relatedNote}
+<div class="party">
+<p>Đơn vị bán hàng: ${escapeHtml(invoice.seller.name)}</p>
+<p>Mã số thuế: ${escapeHtml(invoice.seller.taxCode)}</p>
+<p>Địa chỉ: ${escapeHtml(invoice.seller.address)}</p>
+</div>
+<div class="party">
+<p>Họ tên người mua hàng: ${escapeHtml(invoice.buyer.name)}</p>
+<p>Tên đơn vị: ${escapeHtml(invoice.buyer.companyName)}</p>
+<p>Mã số thuế: ${escapeHtml(invoice.buyer.taxCode)}</p>
+<p>Địa chỉ: ${escapeHtml(invoice.buyer.address)}</p>
+<p>Hình thức thanh toán: ${escapeHtml(invoice.paymentMethod)} &nbsp; Đồng tiền thanh toán: ${escapeHtml(invoice.currency)}</p>
+</div>
+<table>
+<thead>
+<tr><th>STT</th><th>Tên hàng hóa, dịch vụ</th><th>ĐVT</th><th>Số lượng</th><th>Đơn giá</th><th>Chiết khấu</th><th>Thành tiền chưa thuế</th><th>Thuế suất</th><th>Tiền thuế GTGT</th><th>Thành tiền</th></tr>
+</thead>
+<tbody>
+${lines}
+</tbody>
+</table>
+<table>
+<thead>
+<tr><th>Tổng hợp</th><th>Thành tiền chưa thuế</th><th>Tiền thuế GTGT</th><th>Tổng tiền thanh toán</th></tr>
+</thead>
+<tbody>
+${rates}
+${row(['<strong>Tổng cộng</strong>', formatVnd(invoice.totals.amountBeforeTax), formatVnd(invoice.totals.vatAmount), `<strong>${formatVnd(invoice.totals.totalAmount)}</strong>`])}
+</tbody>
+</table>
+<p>Số tiền viết bằng chữ: ${escapeHtml(invoice.amountInWords)}</p>
+</body>
+</html>`;
+};
+
+module.exports = {
+  escapeHtml,
+  formatVnd,
+  renderInvoiceHtml
+};
@@ -0,0 +1,28 @@
+const EventEmitter = require('events');
+const Notification = require('../models/Notification');
+
+// Notifications are stored so the app can list them, then published on an
+// in-process bus for live channels (the notification stream, push senders)
+const notifications = new EventEmitter();
+// One listener per open notification stream
+notifications.setMaxListeners(0);
+
+const notifyUser = async (userId, type, data = {}) => {
+  const stored = await Notification.create({ userId, type, data });
+  const notification = {
+    id: stored._id.toString(),
+    userId: userId.toString(),
+    type,
+    data,
+    at: stored.createdAt.toISOString()
+  };
+  notifications.emit('notification', notification);
+  return notification;
+};
+
+const onNotification = (listener) => {
+  notifications.on('notification', listener);
+  return () => notifications.removeListener('notification', listener);
+};
+
+module.exports = { notifyUser, onNotification };
@@ -0,0 +1,84 @@
+const { hmac, safeEqual, postJson, callbackUrl, returnUrl } = require('./helpers');
+
+// Hosted card checkout. The gateway signs webhooks with HMAC-SHA256 over
+// "<X-Timestamp>.<raw body>" and sends the hex digest in X-Signature, so a
+// captured webhook cannot be replayed with a fresh timestamp.
+// The same protocol is spoken by the local fake provider used in tests.
+const createCardProvider = (name, config) => {
+  const authHeaders = () => ({ Authorization: `Bearer ${config().apiKey}` });
+
+  const createPayment = async ({ payment, orderInfo }) => {
+    const { url } = config();
+    const result = await postJson(`${url}/checkout/sessions`, {
+      reference: payment.transactionId,
+      amount: payment.amount,
+      currency: 'VND',
+      description: orderInfo,
+      returnUrl: returnUrl(),
+      callbackUrl: callbackUrl(name)
+    }, authHeaders());
+    if (!result.id) {
+      throw new Error(`${name}: ${result.message || 'could not create payment'}`);
+    }
+    return {
+      providerRef: payment.transactionId,
+      payUrl: result.url
+    };
+  };
+
+  const verifyCallback = ({ body, rawBody, headers }) => {
+    const timestamp = headers['x-timestamp'];
+    const signature = hmac('sha256', config().webhookSecret, `${timestamp}.${rawBody || ''}`);
+    return {
+      valid: Boolean(rawBody && timestamp) && safeEqual(signature, headers['x-signature']),
+      providerRef: body.reference,
+      success: body.status === 'succeeded',
+      amount: Number(body.amount),
+      transactionId: body.transactionId,
+      responseCode: body.status,
+      message: body.message,
+      sentAt: timestamp ? new Date(Number(timestamp) * 1000) : null
+    };
+  };
+
+  const callbackResponse = (result) => (result.handled ?
+    { statusCode: 200, body: { received: true } } :
+    { statusCode: 400, body: { received: false, message: result.message } });
+
+  const queryStatus = async (payment) => {
+    const { url } = config();
+    const response = await fetch(
+      `${url}/checkout/sessions/by-reference/${encodeURIComponent(payment.paymentDetails.providerRef)}`,
+      { headers: authHeaders() }
+    );
+    const result = await response.json();
+    const status = result.status === 'succeeded' ? 'success' :
+      result.status === 'open' ? 'pending' : 'failed';
+    return { status, message: result.message };
+  };
+
+  // The gateway replays the first result for a repeated Idempotency-Key
+  const refund = async (payment, { id, amount, reason }) => {
+    const { url } = config();
+    const result = await postJson(`${url}/refunds`, {
+      transactionId: payment.paymentDetails.providerTransactionId,
+      amount,
+      reason
+    }, { ...authHeaders(), 'Idempotency-Key': id });
+    return {
+      success: result.status === 'succeeded',
+      referenceId: result.id,
+      message: result.message
+    };
+  };
+
+  return { name, createPayment, verifyCallback, callbackResponse, queryStatus, refund };
+};
+
+const card = createCardProvider('card', () => ({
+  url: process.env.CARD_GATEWAY_URL,
+  apiKey: process.env.CARD_GATEWAY_API_KEY,
+  webhookSecret: process.env.CARD_GATEWAY_WEBHOOK_SECRET
+}));
+
+module.exports = { card, createCardProvider };
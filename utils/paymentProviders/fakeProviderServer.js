@@ -0,0 +1,112 @@
+const express = require('express');
+const crypto = require('crypto');
+const { hmac } = require('./helpers');
+
+// Local stand-in for a card gateway, speaking the protocol of card.js.
+// Opening a checkout URL pays it (or fails it with ?outcome=fail) and sends
+// a signed webhook back to the API, so the whole flow can run without a
+// real provider. Run with `npm run fake-provider`.
+const createFakeProviderServer = (options = {}) => {
+  const apiKey = options.apiKey || process.env.FAKE_PROVIDER_API_KEY || 'fake-api-key';
+  const webhookSecret = options.webhookSecret || process.env.FAKE_PROVIDER_SECRET || 'fake-webhook-secret';
+  const baseUrl = options.baseUrl || process.env.FAKE_PROVIDER_URL || 'http://localhost:5055';
+
+  const sessions = new Map();
+  const refunds = [];
+  const app = express();
+  app.use(express.json());
+
+  const requireApiKey = (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ message: 'Invalid API key' });
+    }
+    next();
+  };
+
+  const sendWebhook = async (session) => {
+    const body = JSON.stringify({
+      reference: session.reference,
+      sessionId: session.id,
+      status: session.status,
+      amount: session.amount,
+      transactionId: session.transactionId
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const response = await fetch(session.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Timestamp': timestamp,
+        'X-Signature': hmac('sha256', webhookSecret, `${timestamp}.${body}`)
+      },
+      body
+    });
+    return response.status;
+  };
+
+  app.post('/checkout/sessions', requireApiKey, (req, res) => {
+    const { reference, amount, callbackUrl, returnUrl } = req.body;
+    if (!reference || !amount || !callbackUrl) {
+      return res.status(400).json({ message: 'reference, amount and callbackUrl are required' });
+    }
+    const id = `cs_${crypto.randomBytes(8).toString('hex')}`;
+    sessions.set(id, { id, reference, amount, callbackUrl, returnUrl, status: 'open' });
+    res.status(201).json({ id, url: `${baseUrl}/pay/${id}` });
+  });
+
+  app.get('/pay/:id', async (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Checkout session not found' });
+    }
+    if (session.status === 'open') {
+      session.status = req.query.outcome === 'fail' ? 'failed' : 'succeeded';
+      session.transactionId = `txn_${crypto.randomBytes(8).toString('hex')}`;
+    }
+    try {
+      const callbackStatus = await sendWebhook(session);
+      res.status(200).json({ status: session.status, callbackStatus, returnUrl: session.returnUrl });
+    } catch (error) {
+      res.status(502).json({ status: session.status, message: `Webhook failed: ${error.message}` });
+    }
+  });
+
+  app.get('/checkout/sessions/by-reference/:reference', requireApiKey, (req, res) => {
+    const session = [...sessions.values()].find(s => s.reference === req.params.reference);
+    if (!session) {
+      return res.status(404).json({ status: 'not_found', message: 'Checkout session not found' });
+    }
+    res.status(200).json({ id: session.id, status: session.status, amount: session.amount });
+  });
+
+  app.post('/refunds', requireApiKey, (req, res) => {
+    const { transactionId, amount } = req.body;
+    const key = req.get('Idempotency-Key');
+    const repeated = key && refunds.find(refund => refund.key === key);
+    if (repeated) {
+      return res.status(200).json(repeated);
+    }
+    const session = [...sessions.values()].find(s => s.transactionId === transactionId);
+    const refunded = refunds
+      .filter(refund => refund.transactionId === transactionId)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    if (!session || session.status !== 'succeeded' || refunded + amount > session.amount) {
+      return res.status(400).json({ status: 'failed', message: 'Refund not possible' });
+    }
+    const refund = { id: `re_${crypto.randomBytes(8).toString('hex')}`, key, transactionId, amount, status: 'succeeded' };
+    refunds.push(refund);
+    res.status(201).json(refund);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.FAKE_PROVIDER_PORT, 10) || 5055;
+  createFakeProviderServer().listen(port, () => {
+    console.log(`Fake payment provider listening on port ${port}`);
+  });
+}
+
+module.exports = { createFakeProviderServer };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const hmac = (algorithm, key, data) => {
+  return crypto.createHmac(algorithm, key).update(data).digest('hex');
+};
+
+// Constant-time comparison of two hex signatures
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// POST a JSON body and return the parsed JSON reply
+const postJson = async (url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Payment provider returned an invalid response (HTTP ${response.status})`);
+  }
+};
+
+// Where providers send their server-to-server notifications
+const callbackUrl = (provider) => {
+  const base = process.env.PAYMENT_CALLBACK_BASE_URL || 'http://localhost:5000/api/v1/webhooks/payments';
+  return `${base.replace(/\/$/, '')}/${provider}`;
+};
+
+// Where the customer's browser or app goes after paying
+const returnUrl = () => process.env.PAYMENT_RETURN_URL || 'http://localhost:3000/payment/result';
+
+module.exports = { hmac, safeEqual, postJson, callbackUrl, returnUrl };
@@ -0,0 +1,88 @@
+const momo = require('./momo');
+const zalopay = require('./zalopay');
+const vnpay = require('./vnpay');
+const { card, createCardProvider } = require('./card');
+
+// Payment methods shared by Payment, Ticket and the payment routes
+const PAYMENT_METHODS = ['momo', 'zalopay', 'vnpay', 'card', 'cash', 'bank_transfer', 'wallet', 'gift_card'];
+
+// Older clients still send these names
+const METHOD_ALIASES = { credit_card: 'card' };
+
+// Methods settled outside any online provider (counter sales, invoices)
+const OFFLINE_METHODS = ['cash', 'bank_transfer'];
+
+// Balances we hold ourselves; paid from the ledger, never through a provider
+const STORED_VALUE_METHODS = ['wallet', 'gift_card'];
+
+const fake = createCardProvider('fake', () => ({
+  url: process.env.FAKE_PROVIDER_URL || 'http://localhost:5055',
+  apiKey: process.env.FAKE_PROVIDER_API_KEY || 'fake-api-key',
+  webhookSecret: process.env.FAKE_PROVIDER_SECRET || 'fake-webhook-secret'
+}));
+
+const providers = { momo, zalopay, vnpay, card, fake };
+
+// Credentials each live provider cannot sign or verify without
+const REQUIRED_SETTINGS = {
+  momo: ['MOMO_PARTNER_CODE', 'MOMO_ACCESS_KEY', 'MOMO_SECRET_KEY'],
+  zalopay: ['ZALOPAY_APP_ID', 'ZALOPAY_KEY1', 'ZALOPAY_KEY2'],
+  vnpay: ['VNPAY_TMN_CODE', 'VNPAY_HASH_SECRET'],
+  card: ['CARD_GATEWAY_URL', 'CARD_GATEWAY_API_KEY', 'CARD_GATEWAY_WEBHOOK_SECRET']
+};
+
+// Live providers this deployment takes payments with: the comma-separated
+// PAYMENT_PROVIDERS, or else every provider with any of its settings present
+const enabledProviders = () => {
+  if (process.env.PAYMENT_PROVIDERS) {
+    return process.env.PAYMENT_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return Object.keys(REQUIRED_SETTINGS)
+    .filter(name => REQUIRED_SETTINGS[name].some(setting => process.env[setting]));
+};
+
+// Fail at startup rather than on the first payment or webhook. Only enabled
+// providers need settings; the fake provider has local defaults.
+const checkProviderConfig = () => {
+  if (process.env.PAYMENT_PROVIDER === 'fake') return;
+  const enabled = enabledProviders();
+  const unknown = enabled.filter(name => !REQUIRED_SETTINGS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown payment provider(s) in PAYMENT_PROVIDERS: ${unknown.join(', ')}`);
+  }
+  const missing = enabled
+    .reduce((names, name) => names.concat(REQUIRED_SETTINGS[name]), [])
+    .filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Payment provider settings are missing: ${missing.join(', ')}. Set them, or PAYMENT_PROVIDER=fake for local development.`);
+  }
+  if (enabled.length === 0) {
+    console.warn('No online payment provider is configured; only counter and stored-value payments will work');
+  }
+};
+
+const normalizeMethod = (method) => METHOD_ALIASES[method] || method;
+
+// Adapter for an online payment method, or null when it is not enabled.
+// With PAYMENT_PROVIDER=fake every online method goes through the local
+// fake provider.
+const getProvider = (method) => {
+  const name = normalizeMethod(method);
+  if (OFFLINE_METHODS.includes(name) || STORED_VALUE_METHODS.includes(name)) return null;
+  if (process.env.PAYMENT_PROVIDER === 'fake') return fake;
+  return enabledProviders().includes(name) ? providers[name] : null;
+};
+
+// Adapter by name, as stored on a payment or used in a callback URL
+const getProviderByName = (name) => providers[name] || null;
+
+module.exports = {
+  PAYMENT_METHODS,
+  METHOD_ALIASES,
+  OFFLINE_METHODS,
+  STORED_VALUE_METHODS,
+  normalizeMethod,
+  checkProviderConfig,
+  getProvider,
+  getProviderByName
+};
@@ -0,0 +1,127 @@
+const { hmac, safeEqual, postJson, callbackUrl, returnUrl } = require('./helpers');
+
+// MoMo All-In-One gateway (API v2), captureWallet flow
+const config = () => ({
+  endpoint: process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn',
+  partnerCode: process.env.MOMO_PARTNER_CODE,
+  accessKey: process.env.MOMO_ACCESS_KEY,
+  secretKey: process.env.MOMO_SECRET_KEY
+});
+
+// MoMo signs "key=value&..." in the documented (alphabetical) field order
+const sign = (fields, secretKey) => {
+  const raw = Object.keys(fields)
+    .sort()
+    .map(key => `${key}=${fields[key] == null ? '' : fields[key]}`)
+    .join('&');
+  return hmac('sha256', secretKey, raw);
+};
+
+const createPayment = async ({ payment, orderInfo }) => {
+  const { endpoint, partnerCode, accessKey, secretKey } = config();
+  const orderId = payment.transactionId;
+  const fields = {
+    accessKey,
+    amount: payment.amount,
+    extraData: '',
+    ipnUrl: callbackUrl('momo'),
+    orderId,
+    orderInfo,
+    partnerCode,
+    redirectUrl: returnUrl(),
+    requestId: orderId,
+    requestType: 'captureWallet'
+  };
+  const result = await postJson(`${endpoint}/v2/gateway/api/create`, {
+    ...fields,
+    accessKey: undefined,
+    lang: 'vi',
+    signature: sign(fields, secretKey)
+  });
+  if (result.resultCode !== 0) {
+    throw new Error(`MoMo: ${result.message || 'could not create payment'}`);
+  }
+  return {
+    providerRef: orderId,
+    payUrl: result.payUrl,
+    deeplink: result.deeplink
+  };
+};
+
+const verifyCallback = ({ body }) => {
+  const { accessKey, secretKey } = config();
+  const fields = {
+    accessKey,
+    amount: body.amount,
+    extraData: body.extraData,
+    message: body.message,
+    orderId: body.orderId,
+    orderInfo: body.orderInfo,
+    orderType: body.orderType,
+    partnerCode: body.partnerCode,
+    payType: body.payType,
+    requestId: body.requestId,
+    responseTime: body.responseTime,
+    resultCode: body.resultCode,
+    transId: body.transId
+  };
+  return {
+    valid: safeEqual(sign(fields, secretKey), body.signature),
+    providerRef: body.orderId,
+    success: Number(body.resultCode) === 0,
+    amount: Number(body.amount),
+    transactionId: body.transId && body.transId.toString(),
+    responseCode: body.resultCode != null ? body.resultCode.toString() : undefined,
+    message: body.message,
+    sentAt: body.responseTime ? new Date(Number(body.responseTime)) : null
+  };
+};
+
+// MoMo only needs a 204 once the IPN is handled
+const callbackResponse = (result) => (result.handled ?
+  { statusCode: 204 } :
+  { statusCode: 400, body: { message: result.message || 'Invalid IPN' } });
+
+const queryStatus = async (payment) => {
+  const { endpoint, partnerCode, accessKey, secretKey } = config();
+  const orderId = payment.paymentDetails.providerRef;
+  const fields = { accessKey, orderId, partnerCode, requestId: `${orderId}-Q${Date.now()}` };
+  const result = await postJson(`${endpoint}/v2/gateway/api/query`, {
+    ...fields,
+    accessKey: undefined,
+    lang: 'vi',
+    signature: sign(fields, secretKey)
+  });
+  const status = result.resultCode === 0 ? 'success' :
+    [1000, 7000, 7002].includes(result.resultCode) ? 'pending' : 'failed';
+  return { status, message: result.message };
+};
+
+// Our refund id makes the order id, so MoMo turns away a second attempt
+const refund = async (payment, { id, amount, reason }) => {
+  const { endpoint, partnerCode, accessKey, secretKey } = config();
+  const orderId = `${payment.paymentDetails.providerRef}-R${id}`;
+  const fields = {
+    accessKey,
+    amount,
+    description: reason || '',
+    orderId,
+    partnerCode,
+    requestId: orderId,
+    transId: payment.paymentDetails.providerTransactionId
+  };
+  const result = await postJson(`${endpoint}/v2/gateway/api/refund`, {
+    ...fields,
+    accessKey: undefined,
+    lang: 'vi',
+    signature: sign(fields, secretKey)
+  });
+  return {
+    // 41 (duplicate orderId) means an earlier attempt already reached MoMo
+    success: result.resultCode === 0 || result.resultCode === 41,
+    referenceId: result.transId && result.transId.toString(),
+    message: result.message
+  };
+};
+
+module.exports = { name: 'momo', createPayment, verifyCallback, callbackResponse, queryStatus, refund };
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { hmac, safeEqual, postJson, returnUrl } = require('./helpers');
+
+// VNPay payment gateway (version 2.1.0). The customer is redirected to a
+// signed URL and VNPay reports the result to our IPN URL (configured in the
+// VNPay merchant portal) as signed query parameters.
+const config = () => ({
+  payUrl: process.env.VNPAY_PAY_URL || 'https://sandbox.vnpayment.vn/paymentv2/vpcpay.html',
+  apiUrl: process.env.VNPAY_API_URL || 'https://sandbox.vnpayment.vn/merchant_webapi/api/transaction',
+  tmnCode: process.env.VNPAY_TMN_CODE,
+  hashSecret: process.env.VNPAY_HASH_SECRET
+});
+
+// yyyyMMddHHmmss in Vietnam time
+const vnTimestamp = (date = new Date()) => {
+  const vn = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+  return vn.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+};
+
+// VNPay signs the sorted, form-encoded query string
+const encodeParams = (params) => {
+  return Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%20/g, '+')}`)
+    .join('&');
+};
+
+const createPayment = async ({ payment, orderInfo, ipAddress }) => {
+  const { payUrl, tmnCode, hashSecret } = config();
+  const params = {
+    vnp_Version: '2.1.0',
+    vnp_Command: 'pay',
+    vnp_TmnCode: tmnCode,
+    // VNPay amounts are in 1/100 VND
+    vnp_Amount: payment.amount * 100,
+    vnp_CurrCode: 'VND',
+    vnp_TxnRef: payment.transactionId,
+    vnp_OrderInfo: orderInfo,
+    vnp_OrderType: 'other',
+    vnp_Locale: 'vn',
+    vnp_ReturnUrl: returnUrl(),
+    vnp_IpAddr: ipAddress || '127.0.0.1',
+    vnp_CreateDate: vnTimestamp()
+  };
+  const query = encodeParams(params);
+  const secureHash = hmac('sha512', hashSecret, query);
+  return {
+    providerRef: payment.transactionId,
+    payUrl: `${payUrl}?${query}&vnp_SecureHash=${secureHash}`
+  };
+};
+
+const verifyCallback = ({ query }) => {
+  const { hashSecret } = config();
+  const params = { ...query };
+  const secureHash = params.vnp_SecureHash;
+  delete params.vnp_SecureHash;
+  delete params.vnp_SecureHashType;
+  return {
+    valid: safeEqual(hmac('sha512', hashSecret, encodeParams(params)), secureHash),
+    providerRef: params.vnp_TxnRef,
+    success: params.vnp_ResponseCode === '00' && params.vnp_TransactionStatus === '00',
+    amount: Number(params.vnp_Amount) / 100,
+    transactionId: params.vnp_TransactionNo,
+    responseCode: params.vnp_ResponseCode,
+    message: params.vnp_ResponseCode === '00' ? 'success' : `VNPay response ${params.vnp_ResponseCode}`,
+    // vnp_PayDate is the payment time and repeats on retries, so it cannot date the IPN
+    sentAt: null
+  };
+};
+
+// VNPay expects { RspCode, Message } and retries until it gets '00'
+const callbackResponse = (result) => {
+  if (result.duplicate) return { statusCode: 200, body: { RspCode: '02', Message: 'Order already confirmed' } };
+  if (result.handled) return { statusCode: 200, body: { RspCode: '00', Message: 'Confirm Success' } };
+  const codes = { invalid: '97', not_found: '01', already_confirmed: '02', amount_mismatch: '04' };
+  return {
+    statusCode: 200,
+    body: { RspCode: codes[result.reason] || '99', Message: result.message || 'Unknown error' }
+  };
+};
+
+// The merchant API signs the pipe-joined request fields with SHA-512
+const apiRequest = async (command, fields, signedKeys) => {
+  const { apiUrl, tmnCode, hashSecret } = config();
+  const request = {
+    vnp_RequestId: crypto.randomBytes(8).toString('hex'),
+    vnp_Version: '2.1.0',
+    vnp_Command: command,
+    vnp_TmnCode: tmnCode,
+    vnp_CreateDate: vnTimestamp(),
+    vnp_IpAddr: '127.0.0.1',
+    ...fields
+  };
+  request.vnp_SecureHash = hmac('sha512', hashSecret, signedKeys.map(key => request[key] || '').join('|'));
+  return postJson(apiUrl, request);
+};
+
+const queryStatus = async (payment) => {
+  const fields = {
+    vnp_TxnRef: payment.paymentDetails.providerRef,
+    vnp_OrderInfo: `Query ${payment.paymentDetails.providerRef}`,
+    vnp_TransactionDate: vnTimestamp(payment.createdAt)
+  };
+  const result = await apiRequest('querydr', fields, [
+    'vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TxnRef',
+    'vnp_TransactionDate', 'vnp_CreateDate', 'vnp_IpAddr', 'vnp_OrderInfo'
+  ]);
+  const status = result.vnp_TransactionStatus === '00' ? 'success' :
+    result.vnp_TransactionStatus === '01' ? 'pending' : 'failed';
+  return { status, message: result.vnp_Message };
+};
+
+// Our refund id is the request id, which VNPay will not accept twice
+const refund = async (payment, { id, amount, reason }) => {
+  const fullRefund = amount >= payment.amount;
+  const fields = {
+    vnp_RequestId: id,
+    // 02 = full refund, 03 = partial refund
+    vnp_TransactionType: fullRefund ? '02' : '03',
+    vnp_TxnRef: payment.paymentDetails.providerRef,
+    vnp_Amount: amount * 100,
+    vnp_OrderInfo: reason || 'Refund',
+    vnp_TransactionNo: payment.paymentDetails.providerTransactionId,
+    vnp_TransactionDate: vnTimestamp(payment.createdAt),
+    vnp_CreateBy: 'system'
+  };
+  const result = await apiRequest('refund', fields, [
+    'vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TransactionType',
+    'vnp_TxnRef', 'vnp_Amount', 'vnp_TransactionNo', 'vnp_TransactionDate', 'vnp_CreateBy',
+    'vnp_CreateDate', 'vnp_IpAddr', 'vnp_OrderInfo'
+  ]);
+  return {
+    // 94 (duplicate request) means an earlier attempt already reached VNPay
+    success: result.vnp_ResponseCode === '00' || result.vnp_ResponseCode === '94',
+    referenceId: result.vnp_TransactionNo,
+    message: result.vnp_Message
+  };
+};
+
+module.exports = { name: 'vnpay', createPayment, verifyCallback, callbackResponse, queryStatus, refund };
@@ -0,0 +1,115 @@
+const { hmac, safeEqual, postJson, callbackUrl, returnUrl } = require('./helpers');
+
+// ZaloPay gateway (API v2). key1 signs our requests, key2 signs callbacks.
+const config = () => ({
+  endpoint: process.env.ZALOPAY_ENDPOINT || 'https://sb-openapi.zalopay.vn',
+  appId: process.env.ZALOPAY_APP_ID,
+  key1: process.env.ZALOPAY_KEY1,
+  key2: process.env.ZALOPAY_KEY2
+});
+
+// app_trans_id must start with the Vietnam-time date as yymmdd
+const vnDatePrefix = (date = new Date()) => {
+  const vn = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+  return vn.toISOString().slice(2, 10).replace(/-/g, '');
+};
+
+const createPayment = async ({ payment, orderInfo }) => {
+  const { endpoint, appId, key1 } = config();
+  const appTransId = `${vnDatePrefix()}_${payment.transactionId}`;
+  const order = {
+    app_id: Number(appId),
+    app_trans_id: appTransId,
+    app_user: payment.userId.toString(),
+    app_time: Date.now(),
+    amount: payment.amount,
+    item: JSON.stringify([]),
+    embed_data: JSON.stringify({ redirecturl: returnUrl() }),
+    description: orderInfo,
+    callback_url: callbackUrl('zalopay')
+  };
+  order.mac = hmac('sha256', key1, [
+    order.app_id, order.app_trans_id, order.app_user, order.amount,
+    order.app_time, order.embed_data, order.item
+  ].join('|'));
+
+  const result = await postJson(`${endpoint}/v2/create`, order);
+  if (result.return_code !== 1) {
+    throw new Error(`ZaloPay: ${result.return_message || 'could not create payment'}`);
+  }
+  return {
+    providerRef: appTransId,
+    payUrl: result.order_url,
+    deeplink: result.order_url
+  };
+};
+
+// Callback body is { data, mac, type } where mac = HMAC(key2, data)
+const verifyCallback = ({ body }) => {
+  const { key2 } = config();
+  const valid = safeEqual(hmac('sha256', key2, body.data || ''), body.mac);
+  let data = {};
+  try {
+    data = JSON.parse(body.data);
+  } catch (error) {
+    return { valid: false };
+  }
+  return {
+    valid,
+    providerRef: data.app_trans_id,
+    // ZaloPay only calls back for successful payments
+    success: true,
+    amount: Number(data.amount),
+    transactionId: data.zp_trans_id && data.zp_trans_id.toString(),
+    responseCode: '1',
+    message: 'success',
+    sentAt: data.server_time ? new Date(Number(data.server_time)) : null
+  };
+};
+
+const callbackResponse = (result) => ({
+  statusCode: 200,
+  body: result.handled ?
+    { return_code: 1, return_message: 'success' } :
+    { return_code: -1, return_message: result.message || 'invalid callback' }
+});
+
+const queryStatus = async (payment) => {
+  const { endpoint, appId, key1 } = config();
+  const appTransId = payment.paymentDetails.providerRef;
+  const result = await postJson(`${endpoint}/v2/query`, {
+    app_id: Number(appId),
+    app_trans_id: appTransId,
+    mac: hmac('sha256', key1, `${appId}|${appTransId}|${key1}`)
+  });
+  const status = result.return_code === 1 ? 'success' :
+    result.return_code === 3 ? 'pending' : 'failed';
+  return { status, message: result.return_message };
+};
+
+// m_refund_id is built from our refund id and date, so a retry reuses it
+const refund = async (payment, { id, amount, reason, requestedAt }) => {
+  const { endpoint, appId, key1 } = config();
+  const timestamp = Date.now();
+  const request = {
+    app_id: Number(appId),
+    m_refund_id: `${vnDatePrefix(requestedAt)}_${appId}_${id}`,
+    zp_trans_id: payment.paymentDetails.providerTransactionId,
+    amount,
+    timestamp,
+    description: reason || 'Refund'
+  };
+  request.mac = hmac('sha256', key1, [
+    request.app_id, request.zp_trans_id, request.amount, request.description, request.timestamp
+  ].join('|'));
+
+  const result = await postJson(`${endpoint}/v2/refund`, request);
+  return {
+    // 3 means the refund is being processed, which ZaloPay treats as accepted
+    success: result.return_code === 1 || result.return_code === 3,
+    referenceId: request.m_refund_id,
+    message: result.return_message
+  };
+};
+
+module.exports = { name: 'zalopay', createPayment, verifyCallback, callbackResponse, queryStatus, refund };
@@ -0,0 +1,231 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { helvetica, helveticaBold } = require('./standardFonts');
+
+// Page sizes in points
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  A6: [297.64, 419.53]
+};
+
+const num = value => String(Math.round(value * 100) / 100);
+
+const rgb = (hex = '#000000') => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(part => num(part / 255)).join(' ');
+};
+
+// UTF-16BE hex string, for text outside a content stream such as the title
+const utf16Hex = (text, bom = true) => {
+  const bytes = Buffer.from(`${bom ? '\uFEFF' : ''}${text}`, 'utf16le').swap16();
+  return `<${bytes.toString('hex')}>`;
+};
+
+// Font backed by a parsed TrueType file. Text is written as glyph ids
+// (Identity-H), and the glyphs drawn are remembered for the subset.
+const createEmbeddedFont = (trueType) => {
+  const used = new Map();
+  const glyphsOf = text => Array.from(String(text).normalize('NFC')).map(char => {
+    const glyph = trueType.glyphFor(char.codePointAt(0));
+    if (!used.has(glyph)) used.set(glyph, char);
+    return glyph;
+  });
+  return {
+    name: trueType.name,
+    standard: false,
+    trueType,
+    used,
+    encode: text => `<${glyphsOf(text).map(glyph => glyph.toString(16).padStart(4, '0')).join('')}>`,
+    widthOf: text => glyphsOf(text).reduce((sum, glyph) => sum + trueType.widthOf(glyph), 0)
+  };
+};
+
+const toUnicodeCMap = (used) => {
+  const entries = [...used.entries()]
+    .filter(([glyph]) => glyph !== 0)
+    .map(([glyph, char]) => `<${glyph.toString(16).padStart(4, '0')}> ${utf16Hex(char, false)}`);
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+};
+
+// Minimal PDF writer: pages of text, lines and filled rectangles. Positions
+// are in points from the top-left corner of the page. Fonts are parsed
+// TrueType fonts ({ regular, bold }); without them the built-in Helvetica is
+// used and text loses its diacritics.
+const createPdfDocument = ({ size = 'A4', fonts = {}, title } = {}) => {
+  const [width, height] = PAGE_SIZES[size] || size;
+  const regular = fonts.regular ? createEmbeddedFont(fonts.regular) : helvetica();
+  const bold = fonts.bold ? createEmbeddedFont(fonts.bold) : (fonts.regular ? regular : helveticaBold());
+  const fontList = regular === bold ? [regular] : [regular, bold];
+  const resourceName = font => `F${fontList.indexOf(font) + 1}`;
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  const fontOf = options => (options.bold ? bold : regular);
+
+  const textWidth = (text, options = {}) => fontOf(options).widthOf(text) * (options.size || 10) / 1000;
+
+  // `y` is the baseline. align: left | right | center within `width`
+  const text = (value, x, y, options = {}) => {
+    const { size: fontSize = 10, color, align = 'left', width: boxWidth = 0 } = options;
+    const font = fontOf(options);
+    let left = x;
+    if (align !== 'left') {
+      const free = boxWidth - textWidth(value, options);
+      left = align === 'right' ? x + free : x + free / 2;
+    }
+    current.push(`BT /${resourceName(font)} ${num(fontSize)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td ${font.encode(value)} Tj ET`);
+  };
+
+  // Break text into lines no wider than maxWidth, on spaces where possible
+  const wrapText = (value, maxWidth, options = {}) => {
+    const lines = [];
+    let line = '';
+    String(value).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, options) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  };
+
+  const line = (x1, y1, x2, y2, options = {}) => {
+    const { lineWidth = 0.5, color, dash } = options;
+    current.push(`q ${num(lineWidth)} w ${rgb(color)} RG ${dash ? `[${dash.join(' ')}] 0 d ` : ''}${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S Q`);
+  };
+
+  const rect = (x, y, w, h, options = {}) => {
+    current.push(`q ${rgb(options.color)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f Q`);
+  };
+
+  const toBuffer = () => {
+    const objects = [];
+    const reserve = () => {
+      objects.push(null);
+      return objects.length;
+    };
+    const set = (id, body) => {
+      objects[id - 1] = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+    };
+    const stream = (id, data, extra = '') => {
+      const compressed = zlib.deflateSync(data);
+      set(id, Buffer.concat([
+        Buffer.from(`<< /Length ${compressed.length} /Filter /FlateDecode${extra} >>\nstream\n`, 'latin1'),
+        compressed,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+    };
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const fontIds = fontList.map(() => reserve());
+    const pageIds = pages.map(() => reserve());
+    const fontResources = fontList.map((font, i) => `/${resourceName(font)} ${fontIds[i]} 0 R`).join(' ');
+
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    pages.forEach((operations, i) => {
+      const contentId = reserve();
+      stream(contentId, Buffer.from(operations.join('\n'), 'latin1'));
+      set(pageIds[i], `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    fontList.forEach((font, i) => {
+      if (font.standard) {
+        set(fontIds[i], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+        return;
+      }
+      const { trueType, used } = font;
+      const glyphs = [...used.keys()].sort((a, b) => a - b);
+      // Subset fonts are named with a tag derived from their glyphs
+      const tag = crypto.createHash('md5').update(glyphs.join(',')).digest()
+        .subarray(0, 6)
+        .reduce((name, byte) => name + String.fromCharCode(65 + (byte % 26)), '');
+      const baseFont = `${tag}+${trueType.name.replace(/[^A-Za-z0-9-]/g, '')}`;
+      const descendantId = reserve();
+      const descriptorId = reserve();
+      const fileId = reserve();
+      const toUnicodeId = reserve();
+      const fontFile = trueType.subset(glyphs);
+
+      set(fontIds[i], `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H /DescendantFonts [${descendantId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`);
+      set(descendantId, `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity /W [${glyphs.map(glyph => `${glyph} [${trueType.widthOf(glyph)}]`).join(' ')}] >>`);
+      set(descriptorId, `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 32 /FontBBox [${trueType.bbox.join(' ')}] /ItalicAngle 0 /Ascent ${trueType.ascent} /Descent ${trueType.descent} /CapHeight ${trueType.capHeight} /StemV 80 /FontFile2 ${fileId} 0 R >>`);
+      stream(fileId, fontFile, ` /Length1 ${fontFile.length}`);
+      stream(toUnicodeId, Buffer.from(toUnicodeCMap(used), 'latin1'));
+    });
+
+    const infoId = reserve();
+    const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    set(infoId, `<< /Producer (quanly-ve-api) /CreationDate (D:${created}Z)${title ? ` /Title ${utf16Hex(title)}` : ''} >>`);
+
+    const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  };
+
+  addPage();
+
+  return {
+    width,
+    height,
+    addPage,
+    text,
+    textWidth,
+    wrapText,
+    line,
+    rect,
+    toBuffer
+  };
+};
+
+module.exports = { createPdfDocument, PAGE_SIZES };
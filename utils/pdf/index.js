@@ -0,0 +1,28 @@
+const path = require('path');
+const { createPdfDocument, PAGE_SIZES } = require('./document');
+const { loadTrueType } = require('./trueType');
+
+let configuredFonts;
+
+// TrueType fonts from PDF_FONT_PATH / PDF_FONT_BOLD_PATH, loaded once. A
+// Unicode font such as DejaVu Sans or Noto Sans is needed to print
+// Vietnamese; without one, documents fall back to Helvetica without accents.
+const getConfiguredFonts = () => {
+  if (configuredFonts) return configuredFonts;
+  configuredFonts = {};
+  [['regular', process.env.PDF_FONT_PATH], ['bold', process.env.PDF_FONT_BOLD_PATH]].forEach(([style, file]) => {
+    if (!file) return;
+    try {
+      configuredFonts[style] = loadTrueType(file, path.basename(file, path.extname(file)));
+    } catch (error) {
+      console.error(`Could not load PDF font ${file}: ${error.message}`);
+    }
+  });
+  return configuredFonts;
+};
+
+module.exports = {
+  createPdfDocument,
+  getConfiguredFonts,
+  PAGE_SIZES
+};
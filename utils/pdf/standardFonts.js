@@ -0,0 +1,43 @@
+// Built-in PDF fonts, used when no TrueType font is configured. They only
+// cover WinAnsi, so text is reduced to ASCII before it is drawn.
+
+// Advance widths of characters 32-126, from the Adobe font metrics
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// "Vé xem phim Đà Nẵng" -> "Ve xem phim Da Nang"
+const toAscii = text => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/Đ/g, 'D')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+const createStandardFont = (baseFont, widths) => ({
+  name: baseFont,
+  standard: true,
+  // PDF string operand for the text
+  encode: text => `(${toAscii(text).replace(/[\\()]/g, char => `\\${char}`)})`,
+  widthOf: text => toAscii(text)
+    .split('')
+    .reduce((sum, char) => sum + widths[char.charCodeAt(0) - 32], 0)
+});
+
+const helvetica = () => createStandardFont('Helvetica', HELVETICA);
+const helveticaBold = () => createStandardFont('Helvetica-Bold', HELVETICA_BOLD);
+
+module.exports = { helvetica, helveticaBold, toAscii };
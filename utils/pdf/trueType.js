@@ -0,0 +1,227 @@
+const fs = require('fs');
+
+// Just enough TrueType support to embed a Unicode font in a PDF: character
+// to glyph lookup, advance widths, and a subset that keeps glyph ids but
+// drops the outlines of glyphs the document does not use.
+
+// Tables a PDF viewer needs from an embedded TrueType font
+const EMBEDDED_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+const REQUIRED_TABLES = ['cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp'];
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+const padTo4 = (buffer) => {
+  const padded = Buffer.alloc(Math.ceil(buffer.length / 4) * 4);
+  buffer.copy(padded);
+  return padded;
+};
+
+const checksum = (buffer) => {
+  const padded = padTo4(buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+};
+
+const readTables = (data, name) => {
+  const tables = {};
+  for (let i = 0; i < data.readUInt16BE(4); i++) {
+    const entry = 12 + i * 16;
+    tables[data.toString('latin1', entry, entry + 4)] = {
+      offset: data.readUInt32BE(entry + 8),
+      length: data.readUInt32BE(entry + 12)
+    };
+  }
+  REQUIRED_TABLES.forEach(tag => {
+    if (!tables[tag]) {
+      throw new Error(`Font ${name} has no ${tag} table; only TrueType outlines are supported`);
+    }
+  });
+  return tables;
+};
+
+// Unicode code point -> glyph id, from a format 12 or format 4 subtable
+const readCmap = (data, cmap, name) => {
+  const subtables = [];
+  for (let i = 0; i < data.readUInt16BE(cmap + 2); i++) {
+    const record = cmap + 4 + i * 8;
+    subtables.push({
+      platform: data.readUInt16BE(record),
+      encoding: data.readUInt16BE(record + 2),
+      offset: cmap + data.readUInt32BE(record + 4)
+    });
+  }
+  const map = new Map();
+
+  const full = subtables.find(table => table.platform === 3 && table.encoding === 10 && data.readUInt16BE(table.offset) === 12);
+  if (full) {
+    for (let i = 0; i < data.readUInt32BE(full.offset + 12); i++) {
+      const group = full.offset + 16 + i * 12;
+      const start = data.readUInt32BE(group);
+      const end = data.readUInt32BE(group + 4);
+      const glyph = data.readUInt32BE(group + 8);
+      for (let code = start; code <= end; code++) map.set(code, glyph + code - start);
+    }
+    return map;
+  }
+
+  const bmp = subtables.find(table => (table.platform === 3 && table.encoding === 1) || table.platform === 0);
+  if (!bmp || data.readUInt16BE(bmp.offset) !== 4) {
+    throw new Error(`Font ${name} has no Unicode character map`);
+  }
+  const segments = data.readUInt16BE(bmp.offset + 6) / 2;
+  const ends = bmp.offset + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+  for (let i = 0; i < segments; i++) {
+    const start = data.readUInt16BE(starts + i * 2);
+    const end = data.readUInt16BE(ends + i * 2);
+    const delta = data.readInt16BE(deltas + i * 2);
+    const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+    for (let code = start; code <= end && code !== 0xffff; code++) {
+      let glyph;
+      if (rangeOffset === 0) {
+        glyph = (code + delta) & 0xffff;
+      } else {
+        glyph = data.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+        if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+      }
+      if (glyph !== 0) map.set(code, glyph);
+    }
+  }
+  return map;
+};
+
+// Font file with the given tables and a valid directory and checksums
+const writeFont = (tables) => {
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  const power = 2 ** Math.floor(Math.log2(tags.length));
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(tags.length, 4);
+  header.writeUInt16BE(power * 16, 6);
+  header.writeUInt16BE(Math.log2(power), 8);
+  header.writeUInt16BE(tags.length * 16 - power * 16, 10);
+
+  const bodies = [];
+  let offset = header.length;
+  let headOffset;
+  tags.forEach((tag, i) => {
+    const entry = 12 + i * 16;
+    header.write(tag, entry, 'latin1');
+    header.writeUInt32BE(checksum(tables[tag]), entry + 4);
+    header.writeUInt32BE(offset, entry + 8);
+    header.writeUInt32BE(tables[tag].length, entry + 12);
+    if (tag === 'head') headOffset = offset;
+    bodies.push(padTo4(tables[tag]));
+    offset += bodies[bodies.length - 1].length;
+  });
+
+  const font = Buffer.concat([header, ...bodies]);
+  font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, headOffset + 8);
+  return font;
+};
+
+const parseTrueType = (data, name) => {
+  const tables = readTables(data, name);
+  const head = tables.head.offset;
+  const hhea = tables.hhea.offset;
+  const unitsPerEm = data.readUInt16BE(head + 18);
+  const longLoca = data.readInt16BE(head + 50) === 1;
+  const numberOfHMetrics = data.readUInt16BE(hhea + 34);
+  const numGlyphs = data.readUInt16BE(tables.maxp.offset + 4);
+  const cmap = readCmap(data, tables.cmap.offset, name);
+
+  // Font units to PDF text space (1000 per em)
+  const scale = value => Math.round(value * 1000 / unitsPerEm);
+  const ascent = scale(data.readInt16BE(hhea + 4));
+  const os2 = tables['OS/2'];
+
+  const glyphRange = (glyph) => {
+    const loca = tables.loca.offset;
+    if (longLoca) {
+      return [data.readUInt32BE(loca + glyph * 4), data.readUInt32BE(loca + glyph * 4 + 4)];
+    }
+    return [data.readUInt16BE(loca + glyph * 2) * 2, data.readUInt16BE(loca + glyph * 2 + 2) * 2];
+  };
+
+  // Components of a composite glyph, which must be kept with it
+  const componentsOf = (glyph) => {
+    const [start, end] = glyphRange(glyph);
+    let offset = tables.glyf.offset + start;
+    if (end <= start || data.readInt16BE(offset) >= 0) return [];
+
+    const components = [];
+    let flags;
+    offset += 10;
+    do {
+      flags = data.readUInt16BE(offset);
+      components.push(data.readUInt16BE(offset + 2));
+      offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+      if (flags & WE_HAVE_A_SCALE) offset += 2;
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4;
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8;
+    } while (flags & MORE_COMPONENTS);
+    return components;
+  };
+
+  // Font file keeping every glyph id but only the outlines of `glyphs`
+  const subset = (glyphs) => {
+    const keep = new Set([0]);
+    const pending = [...glyphs];
+    while (pending.length > 0) {
+      const glyph = pending.pop();
+      if (keep.has(glyph)) continue;
+      keep.add(glyph);
+      pending.push(...componentsOf(glyph));
+    }
+
+    const outlines = [];
+    const loca = Buffer.alloc((numGlyphs + 1) * 4);
+    let size = 0;
+    for (let glyph = 0; glyph < numGlyphs; glyph++) {
+      loca.writeUInt32BE(size, glyph * 4);
+      if (!keep.has(glyph)) continue;
+      const [start, end] = glyphRange(glyph);
+      const outline = padTo4(data.subarray(tables.glyf.offset + start, tables.glyf.offset + end));
+      outlines.push(outline);
+      size += outline.length;
+    }
+    loca.writeUInt32BE(size, numGlyphs * 4);
+
+    const embedded = {};
+    EMBEDDED_TABLES.filter(tag => tables[tag]).forEach(tag => {
+      embedded[tag] = Buffer.from(data.subarray(tables[tag].offset, tables[tag].offset + tables[tag].length));
+    });
+    embedded.glyf = Buffer.concat(outlines);
+    embedded.loca = loca;
+    // The rebuilt loca uses long offsets; the checksum is redone on write
+    embedded.head.writeInt16BE(1, 50);
+    embedded.head.writeUInt32BE(0, 8);
+    return writeFont(embedded);
+  };
+
+  return {
+    name,
+    ascent,
+    descent: scale(data.readInt16BE(hhea + 6)),
+    capHeight: os2 && data.readUInt16BE(os2.offset) >= 2 ? scale(data.readInt16BE(os2.offset + 88)) : ascent,
+    bbox: [36, 38, 40, 42].map(offset => scale(data.readInt16BE(head + offset))),
+    glyphFor: codePoint => cmap.get(codePoint) || 0,
+    // Advance width in PDF text space
+    widthOf: glyph => scale(data.readUInt16BE(tables.hmtx.offset + Math.min(glyph, numberOfHMetrics - 1) * 4)),
+    subset
+  };
+};
+
+const loadTrueType = (path, name) => parseTrueType(fs.readFileSync(path), name);
+
+module.exports = { parseTrueType, loadTrueType };
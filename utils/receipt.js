@@ -0,0 +1,318 @@
+const QRCode = require('qrcode');
+const { format } = require('date-fns');
+const { createPdfDocument, getConfiguredFonts } = require('./pdf');
+const { escapeHtml } = require('./invoiceHtml');
+
+const RECEIPT_LANGUAGES = ['vi', 'en'];
+
+const LABELS = {
+  vi: {
+    title: 'BIÊN NHẬN ĐẶT VÉ',
+    bookingCode: 'Mã đặt vé',
+    status: 'Trạng thái',
+    movie: 'Phim',
+    cinema: 'Rạp',
+    room: 'Phòng chiếu',
+    showtime: 'Suất chiếu',
+    seat: 'Ghế',
+    item: 'Mục',
+    quantity: 'SL',
+    amount: 'Thành tiền',
+    subtotal: 'Tạm tính',
+    discount: 'Giảm giá',
+    tax: 'Thuế',
+    serviceFee: 'Phí dịch vụ',
+    exchangeCredit: 'Trừ vé đã đổi',
+    total: 'Tổng cộng',
+    payments: 'Thanh toán',
+    refunded: 'Đã hoàn tiền',
+    scanAtDoor: 'Xuất trình mã QR tại cửa soát vé',
+    notInvoice: 'Biên nhận này không phải hóa đơn GTGT.',
+    issuedAt: 'Ngày in'
+  },
+  en: {
+    title: 'BOOKING RECEIPT',
+    bookingCode: 'Booking code',
+    status: 'Status',
+    movie: 'Movie',
+    cinema: 'Cinema',
+    room: 'Screen',
+    showtime: 'Showtime',
+    seat: 'Seat',
+    item: 'Item',
+    quantity: 'Qty',
+    amount: 'Amount',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    tax: 'Tax',
+    serviceFee: 'Service fee',
+    exchangeCredit: 'Exchanged ticket credit',
+    total: 'Total',
+    payments: 'Payments',
+    refunded: 'Refunded',
+    scanAtDoor: 'Show this QR code at the entrance',
+    notInvoice: 'This receipt is not a VAT invoice.',
+    issuedAt: 'Printed'
+  }
+};
+
+const VALUE_LABELS = {
+  vi: {
+    standard: 'Thường',
+    vip: 'VIP',
+    couple: 'Đôi',
+    wheelchair: 'Xe lăn',
+    adult: 'Người lớn',
+    student: 'HSSV',
+    child: 'Trẻ em',
+    senior: 'Người cao tuổi',
+    member: 'Thành viên',
+    cash: 'Tiền mặt',
+    card: 'Thẻ',
+    bank_transfer: 'Chuyển khoản',
+    wallet: 'Ví',
+    gift_card: 'Thẻ quà tặng',
+    pending: 'Chờ thanh toán',
+    confirmed: 'Đã xác nhận',
+    cancelled: 'Đã hủy',
+    refunded: 'Đã hoàn tiền',
+    expired: 'Hết hạn',
+    exchanged: 'Đã đổi'
+  },
+  en: {
+    standard: 'Standard',
+    vip: 'VIP',
+    couple: 'Couple',
+    wheelchair: 'Wheelchair',
+    adult: 'Adult',
+    student: 'Student',
+    child: 'Child',
+    senior: 'Senior',
+    member: 'Member',
+    cash: 'Cash',
+    card: 'Card',
+    bank_transfer: 'Bank transfer',
+    wallet: 'Wallet',
+    gift_card: 'Gift card',
+    pending: 'Awaiting payment',
+    confirmed: 'Confirmed',
+    cancelled: 'Cancelled',
+    refunded: 'Refunded',
+    expired: 'Expired',
+    exchanged: 'Exchanged'
+  }
+};
+
+// Provider names are the same in both languages
+const BRAND_NAMES = { momo: 'MoMo', zalopay: 'ZaloPay', vnpay: 'VNPay' };
+
+const valueLabel = (lang, value) => VALUE_LABELS[lang][value] || BRAND_NAMES[value] || value;
+
+const formatAmount = (lang, amount) => (lang === 'vi'
+  ? `${new Intl.NumberFormat('vi-VN').format(amount)} đ`
+  : `${new Intl.NumberFormat('en-US').format(amount)} VND`);
+
+// Everything printed on a receipt, from a ticket with movieId, cinemaId,
+// roomId and scheduleId populated and its successful payments
+const buildReceipt = (ticket, payments, lang = 'vi') => {
+  const exchangeCredit = (ticket.exchange && ticket.exchange.credit) || 0;
+  const amount = value => formatAmount(lang, value);
+  const totals = [[LABELS[lang].subtotal, amount(ticket.subtotal)]];
+  if (ticket.discount > 0) {
+    totals.push([`${LABELS[lang].discount}${ticket.voucher && ticket.voucher.code ? ` (${ticket.voucher.code})` : ''}`, amount(-ticket.discount)]);
+  }
+  if (ticket.tax > 0) totals.push([LABELS[lang].tax, amount(ticket.tax)]);
+  if (ticket.serviceFee > 0) totals.push([LABELS[lang].serviceFee, amount(ticket.serviceFee)]);
+  if (exchangeCredit > 0) totals.push([LABELS[lang].exchangeCredit, amount(-Math.min(exchangeCredit, ticket.totalAmount))]);
+  const refundedAmount = payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0);
+
+  return {
+    lang,
+    labels: LABELS[lang],
+    bookingCode: ticket._id.toString().slice(-8).toUpperCase(),
+    status: valueLabel(lang, ticket.status),
+    movie: ticket.movieId ? ticket.movieId.title : '',
+    cinema: {
+      name: ticket.cinemaId ? ticket.cinemaId.name : '',
+      address: ticket.cinemaId ? ticket.cinemaId.address : ''
+    },
+    room: ticket.roomId ? ticket.roomId.name : '',
+    showtime: ticket.scheduleId ? format(ticket.scheduleId.startTime, 'HH:mm dd/MM/yyyy') : '',
+    lines: [
+      ...ticket.seats.map(seat => ({
+        description: `${LABELS[lang].seat} ${seat.code} - ${valueLabel(lang, seat.type)} - ${valueLabel(lang, seat.category || 'adult')}`,
+        quantity: 1,
+        amount: amount(seat.price)
+      })),
+      ...ticket.combos.map(combo => ({
+        description: combo.name,
+        quantity: combo.quantity,
+        amount: amount(combo.price * combo.quantity)
+      }))
+    ],
+    totals,
+    total: amount(Math.max(0, ticket.totalAmount - exchangeCredit)),
+    payments: payments.map(payment => ({
+      method: valueLabel(lang, payment.method),
+      paidAt: payment.paidAt ? format(payment.paidAt, 'HH:mm dd/MM/yyyy') : '',
+      amount: amount(payment.amount)
+    })),
+    refunded: refundedAmount > 0 ? amount(refundedAmount) : null,
+    // Only a ticket that can still be used gets its code printed
+    qrCode: ticket.status === 'confirmed' ? ticket.qrCode : null,
+    issuedAt: format(new Date(), 'HH:mm dd/MM/yyyy')
+  };
+};
+
+// Email-safe HTML: tables and inline styles only. `qrSrc` is where the QR
+// image comes from, e.g. a data: URI in a browser or a cid: in an email.
+const renderReceiptHtml = (receipt, { qrSrc } = {}) => {
+  const { labels } = receipt;
+  const cell = 'padding:4px 0;border-bottom:1px solid #eee;';
+  const details = [
+    [labels.bookingCode, receipt.bookingCode],
+    [labels.status, receipt.status],
+    [labels.movie, receipt.movie],
+    [labels.cinema, receipt.cinema.name],
+    [labels.room, receipt.room],
+    [labels.showtime, receipt.showtime]
+  ].map(([label, value]) => `<tr><td style="${cell}color:#666;">${escapeHtml(label)}</td><td style="${cell}text-align:right;"><strong>${escapeHtml(value)}</strong></td></tr>`).join('\n');
+  const lines = receipt.lines.map(line => `<tr><td style="${cell}">${escapeHtml(line.description)}</td><td style="${cell}text-align:center;">${line.quantity}</td><td style="${cell}text-align:right;">${escapeHtml(line.amount)}</td></tr>`).join('\n');
+  const totals = receipt.totals.map(([label, value]) => `<tr><td colspan="2" style="padding:2px 0;">${escapeHtml(label)}</td><td style="padding:2px 0;text-align:right;">${escapeHtml(value)}</td></tr>`).join('\n');
+  const payments = receipt.payments.map(payment => `<tr><td colspan="2" style="padding:2px 0;color:#666;">${escapeHtml(payment.method)} ${escapeHtml(payment.paidAt)}</td><td style="padding:2px 0;text-align:right;color:#666;">${escapeHtml(payment.amount)}</td></tr>`).join('\n');
+  const qr = receipt.qrCode && qrSrc
+    ? `<p style="text-align:center;margin:16px 0 4px;"><img src="${escapeHtml(qrSrc)}" width="200" height="200" alt="QR"></p>
+<p style="text-align:center;margin:0;color:#666;font-size:12px;">${escapeHtml(labels.scanAtDoor)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${receipt.lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(labels.title)} ${escapeHtml(receipt.bookingCode)}</title>
+</head>
+<body style="margin:0;padding:16px;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#222;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#fff;padding:24px;">
+<tr><td>
+<h2 style="margin:0 0 4px;">${escapeHtml(receipt.cinema.name)}</h2>
+<p style="margin:0 0 16px;color:#666;font-size:12px;">${escapeHtml(receipt.cinema.address)}</p>
+<h3 style="margin:0 0 8px;text-align:center;letter-spacing:1px;">${escapeHtml(labels.title)}</h3>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${details}
+</table>
+${qr}
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:16px;">
+<tr><th style="text-align:left;">${escapeHtml(labels.item)}</th><th>${escapeHtml(labels.quantity)}</th><th style="text-align:right;">${escapeHtml(labels.amount)}</th></tr>
+${lines}
+${totals}
+<tr><td colspan="2" style="padding:6px 0;border-top:2px solid #222;"><strong>${escapeHtml(labels.total)}</strong></td><td style="padding:6px 0;border-top:2px solid #222;text-align:right;"><strong>${escapeHtml(receipt.total)}</strong></td></tr>
+<tr><td colspan="3" style="padding:8px 0 2px;"><strong>${escapeHtml(labels.payments)}</strong></td></tr>
+${payments}
+${receipt.refunded ? `<tr><td colspan="2" style="padding:2px 0;">${escapeHtml(labels.refunded)}</td><td style="padding:2px 0;text-align:right;">${escapeHtml(receipt.refunded)}</td></tr>` : ''}
+</table>
+<p style="margin:16px 0 0;color:#999;font-size:11px;">${escapeHtml(labels.notInvoice)} ${escapeHtml(labels.issuedAt)}: ${escapeHtml(receipt.issuedAt)}</p>
+</td></tr>
+</table>
+</body>
+</html>`;
+};
+
+// A5 receipt; long bookings continue on further pages
+const renderReceiptPdf = (receipt) => {
+  const { labels } = receipt;
+  const doc = createPdfDocument({ size: 'A5', fonts: getConfiguredFonts(), title: `${labels.title} ${receipt.bookingCode}` });
+  const margin = 36;
+  const right = doc.width - margin;
+  const contentWidth = right - margin;
+  let y = margin;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > doc.height - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+  const paragraph = (value, options = {}) => {
+    const size = options.size || 9;
+    doc.wrapText(value, options.width || contentWidth, options).forEach(line => {
+      ensureSpace(size + 4);
+      y += size + 3;
+      doc.text(line, margin, y, options);
+    });
+  };
+  const row = (label, value, options = {}) => {
+    const size = options.size || 9;
+    ensureSpace(size + 5);
+    y += size + 5;
+    doc.text(label, margin, y, { size, bold: options.bold, color: options.labelColor });
+    doc.text(value, margin, y, { size, bold: options.bold, align: 'right', width: contentWidth });
+  };
+  const rule = (options = {}) => {
+    y += 6;
+    doc.line(margin, y, right, y, options);
+  };
+
+  paragraph(receipt.cinema.name, { size: 14, bold: true });
+  paragraph(receipt.cinema.address, { size: 8, color: '#555555' });
+  rule();
+  y += 8;
+  ensureSpace(16);
+  y += 12;
+  doc.text(labels.title, margin, y, { size: 12, bold: true, align: 'center', width: contentWidth });
+  y += 4;
+  row(labels.bookingCode, receipt.bookingCode, { bold: true });
+  row(labels.status, receipt.status);
+  row(labels.movie, '');
+  y -= 2;
+  paragraph(receipt.movie, { size: 11, bold: true });
+  row(labels.room, receipt.room);
+  row(labels.showtime, receipt.showtime, { bold: true });
+
+  if (receipt.qrCode) {
+    const modules = QRCode.create(receipt.qrCode, { errorCorrectionLevel: 'M' }).modules;
+    const qrSize = 130;
+    const cellSize = qrSize / modules.size;
+    const left = margin + (contentWidth - qrSize) / 2;
+    ensureSpace(qrSize + 30);
+    y += 12;
+    for (let rowIndex = 0; rowIndex < modules.size; rowIndex++) {
+      // Runs of dark modules are drawn as one rectangle
+      for (let col = 0; col < modules.size; col++) {
+        if (!modules.get(rowIndex, col)) continue;
+        const start = col;
+        while (col + 1 < modules.size && modules.get(rowIndex, col + 1)) col++;
+        doc.rect(left + start * cellSize, y + rowIndex * cellSize, (col - start + 1) * cellSize, cellSize);
+      }
+    }
+    y += qrSize + 12;
+    doc.text(labels.scanAtDoor, margin, y, { size: 8, color: '#555555', align: 'center', width: contentWidth });
+  }
+
+  rule();
+  row(labels.item, labels.amount, { bold: true, size: 8 });
+  receipt.lines.forEach(line => {
+    row(line.quantity > 1 ? `${line.description} x${line.quantity}` : line.description, line.amount);
+  });
+  rule({ dash: [2, 2] });
+  receipt.totals.forEach(([label, value]) => row(label, value));
+  rule();
+  row(labels.total, receipt.total, { bold: true, size: 11 });
+  y += 6;
+  row(labels.payments, '', { bold: true, size: 8 });
+  receipt.payments.forEach(payment => row(`${payment.method} ${payment.paidAt}`, payment.amount, { size: 8, labelColor: '#555555' }));
+  if (receipt.refunded) {
+    row(labels.refunded, receipt.refunded, { size: 8 });
+  }
+  y += 10;
+  paragraph(`${labels.notInvoice} ${labels.issuedAt}: ${receipt.issuedAt}`, { size: 7, color: '#777777' });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  RECEIPT_LANGUAGES,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
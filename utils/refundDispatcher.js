@@ -0,0 +1,23 @@
+const Payment = require('../models/Payment');
+
+const RETRY_INTERVAL_MS = parseInt(process.env.REFUND_RETRY_INTERVAL_MS, 10) || 60 * 1000;
+
+// Send provider refunds that were recorded but not sent yet, either because
+// the process stopped after commit or the provider did not answer
+const sendDueRefunds = async () => {
+  const sent = await Payment.sendPendingRefunds();
+  const failed = sent.filter(refund => refund.status === 'failed').length;
+  if (sent.length > 0) {
+    console.log(`Sent ${sent.length} pending refund(s)${failed > 0 ? `, ${failed} failed` : ''}`.gray);
+  }
+  return sent;
+};
+
+const startRefundDispatcher = () => {
+  const timer = setInterval(sendDueRefunds, RETRY_INTERVAL_MS);
+  // Do not keep the process alive just for the dispatcher
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startRefundDispatcher, sendDueRefunds };
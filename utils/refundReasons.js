@@ -0,0 +1,15 @@
+// Why money was given back; every refund record carries one of these codes
+const REFUND_REASONS = {
+  customer_cancellation: 'Ticket cancelled by the customer',
+  partial_cancellation: 'Seats or combos cancelled from the ticket',
+  exchange: 'Ticket exchanged for a cheaper showtime',
+  show_cancelled: 'Showtime cancelled by the cinema',
+  goodwill: 'Goodwill credit',
+  duplicate_payment: 'Charged more than once',
+  reservation_expired: 'Reservation expired before payment was confirmed',
+  other: 'Other'
+};
+
+const REFUND_REASON_CODES = Object.keys(REFUND_REASONS);
+
+module.exports = { REFUND_REASONS, REFUND_REASON_CODES };
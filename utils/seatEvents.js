@@ -0,0 +1,41 @@
+const EventEmitter = require('events');
+
+// In-process bus for seat state changes, keyed by schedule
+const seatEvents = new EventEmitter();
+// One listener per open seat-map stream
+seatEvents.setMaxListeners(0);
+
+const SEAT_STATES = ['held', 'released', 'booked', 'cancelled', 'maintenance'];
+
+const channelFor = (scheduleId) => `schedule:${scheduleId}`;
+
+// Publish a state change for some seats of a schedule
+const emitSeatChange = (scheduleId, seatCodes, state) => {
+  if (!scheduleId || !seatCodes || seatCodes.length === 0) return;
+  if (!SEAT_STATES.includes(state)) {
+    throw new Error(`Unknown seat state: ${state}`);
+  }
+
+  const change = {
+    scheduleId: scheduleId.toString(),
+    seats: seatCodes,
+    state,
+    at: new Date().toISOString()
+  };
+  seatEvents.emit(channelFor(scheduleId), change);
+  seatEvents.emit('change', change);
+};
+
+const subscribe = (scheduleId, listener) => {
+  const channel = channelFor(scheduleId);
+  seatEvents.on(channel, listener);
+  return () => seatEvents.removeListener(channel, listener);
+};
+
+// Listen to changes on every schedule
+const subscribeAll = (listener) => {
+  seatEvents.on('change', listener);
+  return () => seatEvents.removeListener('change', listener);
+};
+
+module.exports = { seatEvents, emitSeatChange, subscribe, subscribeAll, SEAT_STATES };
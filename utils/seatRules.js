@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { findBestBlock, findOrphanSeats } = require('./seatSelector');
+
+// Check a seat selection against the cinema's orphan seat policy. Seats in
+// `releasedCodes` (e.g. the ones a seat change gives up) count as free.
+// Returns { policy, orphanSeats } plus suggestions and a message when the
+// selection would isolate seats.
+const checkOrphanSeats = async (schedule, seatCodes, releasedCodes = []) => {
+  const cinema = await mongoose.model('Cinema').findById(schedule.cinemaId).select('bookingRules');
+  const policy = (cinema && cinema.bookingRules && cinema.bookingRules.orphanSeatPolicy) || 'warn';
+  if (policy === 'off') {
+    return { policy, orphanSeats: [] };
+  }
+
+  const seatMap = await schedule.getSeatMap();
+  if (!seatMap) {
+    return { policy, orphanSeats: [] };
+  }
+
+  const freeCodes = new Set([...seatCodes, ...releasedCodes].map(code => code.toUpperCase()));
+  const seats = seatMap.seats.map(seat => (
+    freeCodes.has(seat.code) && seat.state !== 'maintenance' ? { ...seat, state: 'available' } : seat
+  ));
+  const orphanSeats = findOrphanSeats(seats, seatCodes);
+  if (orphanSeats.length === 0) {
+    return { policy, orphanSeats };
+  }
+
+  const suggestions = findBestBlock(seats, seatCodes.length, { limit: 3 })
+    .map(block => block.seats.map(seat => seat.code));
+  return {
+    policy,
+    orphanSeats,
+    suggestions,
+    message: `This selection would leave seat(s) ${orphanSeats.join(', ')} isolated`
+  };
+};
+
+module.exports = { checkOrphanSeats };
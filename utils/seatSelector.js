@@ -0,0 +1,140 @@
+// Seat geometry helpers working on the seat map from Schedule#getSeatMap
+
+// Split each row into runs of physically adjacent seats (aisles break a run)
+const groupIntoSegments = (seats) => {
+  const rows = new Map();
+  seats.forEach(seat => {
+    if (!rows.has(seat.row)) rows.set(seat.row, []);
+    rows.get(seat.row).push(seat);
+  });
+
+  const segments = [];
+  [...rows.keys()].sort((a, b) => a - b).forEach(row => {
+    const rowSeats = rows.get(row).sort((a, b) => a.column - b.column);
+    let current = [];
+    rowSeats.forEach(seat => {
+      if (current.length > 0 && seat.column !== current[current.length - 1].column + 1) {
+        segments.push(current);
+        current = [];
+      }
+      current.push(seat);
+    });
+    if (current.length > 0) segments.push(current);
+  });
+
+  return segments;
+};
+
+// Codes of free seats with no free neighbour in their segment
+const singleFreeSeats = (segment, isFree) => {
+  return segment
+    .filter((seat, i) => isFree(seat) &&
+      !(i > 0 && isFree(segment[i - 1])) &&
+      !(i < segment.length - 1 && isFree(segment[i + 1])))
+    .map(seat => seat.code);
+};
+
+// Seats that would be left isolated by taking the selected codes.
+// Seats that were already isolated before the selection are not reported.
+const findOrphanSeats = (seats, selectedCodes) => {
+  const selected = new Set(selectedCodes.map(code => code.toUpperCase()));
+  const freeBefore = seat => seat.state === 'available';
+  const freeAfter = seat => freeBefore(seat) && !selected.has(seat.code);
+
+  const orphans = [];
+  groupIntoSegments(seats)
+    .filter(segment => segment.some(seat => selected.has(seat.code)))
+    .forEach(segment => {
+      const before = new Set(singleFreeSeats(segment, freeBefore));
+      singleFreeSeats(segment, freeAfter)
+        .filter(code => !before.has(code))
+        .forEach(code => orphans.push(code));
+    });
+
+  return orphans;
+};
+
+// Score a block: lower is better. Prefers the middle of the row, then rows
+// about two thirds of the way back from the screen.
+const scoreBlock = (block, bounds) => {
+  const { rowCount, minColumn, maxColumn } = bounds;
+  const idealRow = (rowCount - 1) * (2 / 3);
+  const roomCenter = (minColumn + maxColumn) / 2;
+  const width = Math.max(1, maxColumn - minColumn);
+
+  const blockCenter = (block[0].column + block[block.length - 1].column) / 2;
+  const rowDistance = Math.abs(block[0].row - idealRow) / Math.max(1, rowCount - 1);
+  const centerDistance = Math.abs(blockCenter - roomCenter) / width;
+
+  return rowDistance * 0.4 + centerDistance * 0.6;
+};
+
+// Find the best contiguous block of `partySize` free seats.
+// Options: seatType limits the block to one seat type; couple and wheelchair
+// seats are only used when asked for explicitly.
+const findBestBlock = (seats, partySize, options = {}) => {
+  const { seatType, limit = 1 } = options;
+  if (seats.length === 0 || partySize < 1) return [];
+
+  const bounds = {
+    rowCount: Math.max(...seats.map(seat => seat.row)) + 1,
+    minColumn: Math.min(...seats.map(seat => seat.column)),
+    maxColumn: Math.max(...seats.map(seat => seat.column))
+  };
+
+  const isEligible = seat => {
+    if (seat.state !== 'available') return false;
+    if (seatType) return seat.type === seatType;
+    return seat.type !== 'couple' && seat.type !== 'wheelchair';
+  };
+
+  const candidates = [];
+  groupIntoSegments(seats).forEach(segment => {
+    for (let start = 0; start + partySize <= segment.length; start++) {
+      const block = segment.slice(start, start + partySize);
+      if (!block.every(isEligible)) continue;
+
+      const codes = block.map(seat => seat.code);
+      // Couple seats must keep their partner inside the block
+      if (block.some(seat => seat.pairWith && !codes.includes(seat.pairWith))) continue;
+
+      candidates.push({
+        seats: block,
+        orphans: findOrphanSeats(seats, codes),
+        score: scoreBlock(block, bounds)
+      });
+    }
+  });
+
+  // Never suggest a block that strands a single seat
+  return candidates
+    .filter(candidate => candidate.orphans.length === 0)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+};
+
+// Pick the `count` best individual seats for a group too large for a single
+// row; seats are ranked the same way as blocks, so the group clusters
+// around the best spot in the room.
+const findBestSeats = (seats, count) => {
+  if (seats.length === 0 || count < 1) return [];
+
+  const bounds = {
+    rowCount: Math.max(...seats.map(seat => seat.row)) + 1,
+    minColumn: Math.min(...seats.map(seat => seat.column)),
+    maxColumn: Math.max(...seats.map(seat => seat.column))
+  };
+
+  const eligible = seats.filter(seat => seat.state === 'available' &&
+    seat.type !== 'couple' && seat.type !== 'wheelchair');
+  if (eligible.length < count) return [];
+
+  return eligible
+    .map(seat => ({ seat, score: scoreBlock([seat], bounds) }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, count)
+    .map(candidate => candidate.seat)
+    .sort((a, b) => a.row - b.row || a.column - b.column);
+};
+
+module.exports = { findBestBlock, findBestSeats, findOrphanSeats, groupIntoSegments };
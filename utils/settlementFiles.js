@@ -0,0 +1,170 @@
+const { parse, isValid } = require('date-fns');
+
+// Header names are compared after normalizeHeader, so 'Mã giao dịch',
+// 'ma_giao_dich' and 'MaGiaoDich' are the same column
+const COMMON_COLUMNS = {
+  providerTransactionId: ['transid', 'transactionid', 'magiaodich', 'magd'],
+  orderRef: ['orderid', 'madonhang', 'mathamchieu'],
+  amount: ['amount', 'sotien', 'sotiengiaodich'],
+  type: ['type', 'transtype', 'loaigiaodich'],
+  transactionTime: ['transtime', 'transactiontime', 'createdat', 'thoigian', 'ngaygiaodich']
+};
+
+// Extra column names seen in each provider's settlement export
+const SETTLEMENT_COLUMNS = {
+  momo: {},
+  zalopay: {
+    providerTransactionId: ['zptransid'],
+    orderRef: ['apptransid'],
+    transactionTime: ['servertime']
+  },
+  vnpay: {
+    providerTransactionId: ['vnptransactionno', 'transactionno', 'magiaodichvnpay'],
+    orderRef: ['vnptxnref', 'txnref'],
+    amount: ['vnpamount'],
+    transactionTime: ['vnppaydate', 'paydate', 'ngaythanhtoan']
+  }
+};
+
+const SETTLEMENT_PROVIDERS = Object.keys(SETTLEMENT_COLUMNS);
+
+// Kinds of mismatch between our payments and a provider settlement file
+const DISCREPANCY_TYPES = [
+  'missing_internal', // in the provider file, not (or not as captured) on our side
+  'missing_provider', // captured on our side, not in the provider file
+  'amount_mismatch',
+  'date_mismatch',
+  'late_refund'
+];
+
+const REFUND_TYPES = ['refund', 'refunded', 'hoantien', 'hoan'];
+
+const DATE_FORMATS = [
+  'dd/MM/yyyy HH:mm:ss',
+  'dd/MM/yyyy HH:mm',
+  'dd/MM/yyyy',
+  'yyyy-MM-dd HH:mm:ss',
+  'yyyy-MM-dd',
+  'yyyyMMddHHmmss'
+];
+
+const normalizeHeader = header => header
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/gi, 'd')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF, and either
+// comma or semicolon separators (picked from the header line)
+const parseCsv = text => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// VND has no minor unit, so separators of either kind are dropped
+const parseAmount = value => {
+  const digits = String(value).replace(/[^\d-]/g, '');
+  return digits === '' || digits === '-' ? NaN : parseInt(digits, 10);
+};
+
+const parseTime = value => {
+  const text = String(value).trim();
+  for (const pattern of DATE_FORMATS) {
+    const date = parse(text, pattern, new Date());
+    if (isValid(date)) return date;
+  }
+  const date = new Date(text);
+  return isValid(date) ? date : null;
+};
+
+// Turn a provider's settlement CSV into rows of
+// { line, providerTransactionId, orderRef, type, amount, transactionTime }.
+// Rows that cannot be read are reported in `errors` instead of failing the file.
+const parseSettlementFile = (provider, text) => {
+  const records = parseCsv(text);
+  if (records.length < 2) {
+    throw new Error('Settlement file has no transactions');
+  }
+
+  const headers = records[0].map(normalizeHeader);
+  const columns = {};
+  Object.keys(COMMON_COLUMNS).forEach(key => {
+    const names = [...(SETTLEMENT_COLUMNS[provider][key] || []), ...COMMON_COLUMNS[key]];
+    columns[key] = names.map(name => headers.indexOf(name)).find(index => index !== -1);
+  });
+  const missing = ['amount', 'transactionTime'].filter(key => columns[key] === undefined);
+  if (columns.providerTransactionId === undefined && columns.orderRef === undefined) {
+    missing.push('providerTransactionId or orderRef');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Settlement file is missing columns: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  const errors = [];
+  records.slice(1).forEach((record, index) => {
+    const line = index + 2;
+    const value = key => (columns[key] === undefined ? '' : (record[columns[key]] || '').trim());
+    const amount = parseAmount(value('amount'));
+    const transactionTime = parseTime(value('transactionTime'));
+    if (Number.isNaN(amount)) {
+      errors.push({ line, message: `Invalid amount "${value('amount')}"` });
+      return;
+    }
+    if (!transactionTime) {
+      errors.push({ line, message: `Invalid transaction time "${value('transactionTime')}"` });
+      return;
+    }
+    const isRefund = amount < 0 || REFUND_TYPES.includes(normalizeHeader(value('type')));
+    rows.push({
+      line,
+      providerTransactionId: value('providerTransactionId') || undefined,
+      orderRef: value('orderRef') || undefined,
+      type: isRefund ? 'refund' : 'payment',
+      amount: Math.abs(amount),
+      transactionTime
+    });
+  });
+
+  return { rows, errors };
+};
+
+module.exports = { SETTLEMENT_PROVIDERS, DISCREPANCY_TYPES, parseSettlementFile };
@@ -0,0 +1,13 @@
+// Audience categories a seat can be sold under
+const TICKET_CATEGORIES = ['adult', 'student', 'child', 'senior', 'member'];
+
+// Used when a schedule's price table has no rule for a category
+const DEFAULT_CATEGORY_RULES = {
+  adult: { discountPercent: 0 },
+  student: { discountPercent: 20, eligibilityNote: 'Valid student ID is checked at the door' },
+  child: { discountPercent: 30, eligibilityNote: 'For children under 13, proof of age may be requested' },
+  senior: { discountPercent: 30, eligibilityNote: 'For guests aged 60 and over, ID is checked at the door' },
+  member: { discountPercent: 10, eligibilityNote: 'Member card or app account is checked at the door' }
+};
+
+module.exports = { TICKET_CATEGORIES, DEFAULT_CATEGORY_RULES };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tickets are signed with an EC P-256 private key that only the server
+// holds. Scanners verify codes offline with the public key, so a scanner
+// that is lost or copied cannot be used to mint tickets or login tokens.
+let signingKey;
+
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+  const keyPath = process.env.TICKET_SIGNING_KEY_PATH;
+  if (!keyPath) {
+    throw new Error('TICKET_SIGNING_KEY_PATH is not set');
+  }
+  const key = crypto.createPrivateKey(fs.readFileSync(keyPath));
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error('TICKET_SIGNING_KEY_PATH must hold an EC P-256 private key');
+  }
+  signingKey = key;
+  return signingKey;
+};
+
+// Load the signing key at startup so a missing key fails fast
+const checkTicketSigningKey = () => {
+  getSigningKey();
+};
+
+// PEM public key scanners use to verify ticket codes and manifests
+const getTicketPublicKey = () => crypto.createPublicKey(getSigningKey()).export({ type: 'spki', format: 'pem' });
+
+// Compact signed token encoded in the ticket QR code
+const signTicketToken = (ticket) => {
+  return jwt.sign(
+    {
+      tid: ticket._id.toString(),
+      sid: ticket.scheduleId ? ticket.scheduleId.toString() : undefined,
+      cid: ticket.cinemaId ? ticket.cinemaId.toString() : undefined,
+      v: ticket.qrVersion || 1
+    },
+    getSigningKey(),
+    { algorithm: 'ES256', noTimestamp: true }
+  );
+};
+
+// Returns the token payload, or throws with statusCode 400 when it is forged
+const verifyTicketToken = (token) => {
+  try {
+    return jwt.verify(token, crypto.createPublicKey(getSigningKey()), { algorithms: ['ES256'] });
+  } catch (error) {
+    const err = new Error('Invalid ticket code');
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+// ECDSA signature (base64url, r||s as in JWS) over a check-in manifest so
+// scanners can detect a tampered download
+const signManifest = (manifest) => {
+  return crypto
+    .sign('sha256', Buffer.from(JSON.stringify(manifest)), { key: getSigningKey(), dsaEncoding: 'ieee-p1363' })
+    .toString('base64url');
+};
+
+module.exports = {
+  checkTicketSigningKey,
+  getTicketPublicKey,
+  signTicketToken,
+  verifyTicketToken,
+  signManifest
+};
@@ -0,0 +1,119 @@
+// VAT rates in percent per invoice line type. Cinema tickets, food and the
+// booking fee can be taxed at different rates, so each is configurable.
+const VAT_RATES = {
+  seat: parseInt(process.env.VAT_RATE_TICKET, 10) || 10,
+  combo: parseInt(process.env.VAT_RATE_COMBO, 10) || 10,
+  service: parseInt(process.env.VAT_RATE_SERVICE, 10) || 10
+};
+
+// Split a whole-VND total over weights; the parts always add up to the total
+const allocate = (total, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0 || total === 0) return weights.map(() => 0);
+
+  const parts = weights.map(weight => Math.floor(total * weight / weightSum));
+  let remainder = total - parts.reduce((sum, part) => sum + part, 0);
+  // Hand the leftover dong to the heaviest lines first
+  const order = weights.map((weight, index) => index).sort((a, b) => weights[b] - weights[a]);
+  for (let i = 0; remainder > 0; i = (i + 1) % order.length) {
+    if (weights[order[i]] > 0) {
+      parts[order[i]] += 1;
+      remainder -= 1;
+    }
+  }
+  return parts;
+};
+
+// Invoice lines for a ticket: one per seat, one per combo line and one for
+// the service fee. The ticket discount is spread over seats and combos by
+// value. When the ticket carries a tax amount the prices are net and that
+// tax is spread by line; otherwise prices already include VAT.
+const buildVatLines = (ticket) => {
+  const lines = [
+    ...ticket.seats.map(seat => ({
+      lineType: 'seat',
+      code: seat.code,
+      description: `Vé xem phim - ghế ${seat.code} (${seat.type})`,
+      unit: 'vé',
+      quantity: 1,
+      unitPrice: seat.price,
+      grossAmount: seat.price
+    })),
+    ...ticket.combos.map(combo => ({
+      lineType: 'combo',
+      code: combo.name,
+      combo: combo.combo,
+      description: combo.name,
+      unit: 'phần',
+      quantity: combo.quantity,
+      unitPrice: combo.price,
+      grossAmount: combo.price * combo.quantity
+    }))
+  ];
+
+  const discounts = allocate(ticket.discount || 0, lines.map(line => line.grossAmount));
+  lines.forEach((line, index) => {
+    line.discount = discounts[index];
+  });
+
+  if (ticket.serviceFee > 0) {
+    lines.push({
+      lineType: 'service',
+      description: 'Phí dịch vụ đặt vé',
+      unit: 'lần',
+      quantity: 1,
+      unitPrice: ticket.serviceFee,
+      grossAmount: ticket.serviceFee,
+      discount: 0
+    });
+  }
+
+  lines.forEach(line => {
+    line.vatRate = VAT_RATES[line.lineType];
+    line.netAmount = line.grossAmount - line.discount;
+  });
+
+  if (ticket.tax > 0) {
+    const vatAmounts = allocate(ticket.tax, lines.map(line => line.netAmount * line.vatRate));
+    lines.forEach((line, index) => {
+      line.amountBeforeTax = line.netAmount;
+      line.vatAmount = vatAmounts[index];
+      line.totalAmount = line.netAmount + line.vatAmount;
+    });
+  } else {
+    lines.forEach(line => {
+      line.amountBeforeTax = Math.round(line.netAmount * 100 / (100 + line.vatRate));
+      line.vatAmount = line.netAmount - line.amountBeforeTax;
+      line.totalAmount = line.netAmount;
+    });
+  }
+
+  return lines.map(({ grossAmount, netAmount, ...line }) => line);
+};
+
+// Invoice totals with the per-rate breakdown printed under the lines
+const summarizeVat = (lines) => {
+  const byRate = {};
+  const totals = { amountBeforeTax: 0, discount: 0, vatAmount: 0, totalAmount: 0 };
+  lines.forEach(line => {
+    totals.amountBeforeTax += line.amountBeforeTax;
+    totals.discount += line.discount || 0;
+    totals.vatAmount += line.vatAmount;
+    totals.totalAmount += line.totalAmount;
+    if (!byRate[line.vatRate]) {
+      byRate[line.vatRate] = { vatRate: line.vatRate, amountBeforeTax: 0, vatAmount: 0, totalAmount: 0 };
+    }
+    byRate[line.vatRate].amountBeforeTax += line.amountBeforeTax;
+    byRate[line.vatRate].vatAmount += line.vatAmount;
+    byRate[line.vatRate].totalAmount += line.totalAmount;
+  });
+  totals.byRate = Object.values(byRate).sort((a, b) => a.vatRate - b.vatRate);
+  return totals;
+};
+
+module.exports = {
+  VAT_RATES,
+  allocate,
+  buildVatLines,
+  summarizeVat
+};
@@ -0,0 +1,55 @@
+// Amounts in Vietnamese words, as printed on invoices ("Số tiền viết bằng chữ")
+const DIGITS = ['không', 'một', 'hai', 'ba', 'bốn', 'năm', 'sáu', 'bảy', 'tám', 'chín'];
+const GROUP_UNITS = ['', 'nghìn', 'triệu', 'tỷ', 'nghìn tỷ', 'triệu tỷ'];
+
+// Read a 0-999 group. `full` reads leading zeros ("không trăm linh năm"),
+// which is needed for every group after the first.
+const readGroup = (number, full) => {
+  const hundreds = Math.floor(number / 100);
+  const tens = Math.floor((number % 100) / 10);
+  const ones = number % 10;
+  const words = [];
+
+  if (full || hundreds > 0) {
+    words.push(DIGITS[hundreds], 'trăm');
+  }
+  if (tens === 0) {
+    if (ones > 0 && words.length > 0) words.push('linh');
+  } else if (tens === 1) {
+    words.push('mười');
+  } else {
+    words.push(DIGITS[tens], 'mươi');
+  }
+  if (ones === 1 && tens > 1) {
+    words.push('mốt');
+  } else if (ones === 4 && tens > 1) {
+    words.push('tư');
+  } else if (ones === 5 && tens > 0) {
+    words.push('lăm');
+  } else if (ones > 0) {
+    words.push(DIGITS[ones]);
+  }
+  return words.join(' ');
+};
+
+const amountInWords = (amount, currency = 'đồng') => {
+  const value = Math.round(Math.abs(amount));
+  if (value === 0) return `Không ${currency}`;
+
+  const groups = [];
+  for (let rest = value; rest > 0; rest = Math.floor(rest / 1000)) {
+    groups.push(rest % 1000);
+  }
+
+  const parts = [];
+  for (let i = groups.length - 1; i >= 0; i--) {
+    if (groups[i] === 0) continue;
+    const full = i < groups.length - 1;
+    parts.push([readGroup(groups[i], full), GROUP_UNITS[i]].filter(Boolean).join(' '));
+  }
+
+  const words = `${amount < 0 ? 'âm ' : ''}${parts.join(' ')} ${currency}`;
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+module.exports = { amountInWords };
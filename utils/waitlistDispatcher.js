@@ -0,0 +1,70 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { emitSeatChange, subscribeAll } = require('./seatEvents');
+const { notifyUser } = require('./notifications');
+
+// Seat states that free seats someone on the waitlist could take
+const RELEASE_STATES = ['released', 'cancelled'];
+
+// Seat events only reach this process; the timer catches seats freed by
+// other instances or by a sweeper running elsewhere
+const SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// Runs per schedule are chained so two releases never offer the same seats
+const queues = new Map();
+
+const dispatchWaitlist = (scheduleId) => {
+  const previous = queues.get(scheduleId) || Promise.resolve();
+  const run = previous
+    .then(async () => {
+      const offered = await WaitlistEntry.offerReleasedSeats(scheduleId);
+      for (const entry of offered) {
+        emitSeatChange(scheduleId, entry.offer.seatCodes, 'held');
+        await notifyUser(entry.userId, 'waitlist.offer', {
+          waitlistEntryId: entry._id,
+          scheduleId,
+          seats: entry.offer.seatCodes,
+          expiresAt: entry.offer.expiresAt
+        });
+      }
+      return offered;
+    })
+    .catch(error => {
+      console.error(`Error offering waitlist seats: ${error.message}`.red);
+      return [];
+    });
+
+  queues.set(scheduleId, run);
+  run.then(() => {
+    if (queues.get(scheduleId) === run) queues.delete(scheduleId);
+  });
+  return run;
+};
+
+// Offer free seats on every schedule that has users waiting
+const sweepWaitlists = async () => {
+  try {
+    const scheduleIds = await WaitlistEntry.distinct('scheduleId', { status: { $in: ['waiting', 'offered'] } });
+    for (const scheduleId of scheduleIds) {
+      await dispatchWaitlist(scheduleId.toString());
+    }
+  } catch (error) {
+    console.error(`Error sweeping waitlists: ${error.message}`.red);
+  }
+};
+
+const startWaitlistDispatcher = () => {
+  const unsubscribe = subscribeAll(change => {
+    if (RELEASE_STATES.includes(change.state)) {
+      dispatchWaitlist(change.scheduleId.toString());
+    }
+  });
+  const timer = setInterval(sweepWaitlists, SWEEP_INTERVAL_MS);
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+};
+
+module.exports = { startWaitlistDispatcher, dispatchWaitlist, sweepWaitlists };
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createZip } = require('./zip');
+const { signDetached } = require('./pkcs7');
+
+// Images copied into every pass when present in WALLET_PASS_ASSETS_DIR;
+// wallet apps refuse a pass without an icon
+const PASS_IMAGES = ['icon.png', 'icon@2x.png', 'icon@3x.png', 'logo.png', 'logo@2x.png', 'logo@3x.png'];
+
+// Field labels, resolved by the device's language
+const PASS_STRINGS = {
+  vi: {
+    SHOWTIME: 'Suất chiếu',
+    MOVIE: 'Phim',
+    ROOM: 'Phòng',
+    SEATS: 'Ghế',
+    CINEMA: 'Rạp',
+    BOOKING_CODE: 'Mã đặt vé',
+    ADDRESS: 'Địa chỉ',
+    COMBOS: 'Combo',
+    TERMS: 'Lưu ý',
+    TERMS_TEXT: 'Vui lòng xuất trình mã QR tại cửa soát vé. Vé đã chuyển nhượng, đổi hoặc hủy sẽ không còn hiệu lực.'
+  },
+  en: {
+    SHOWTIME: 'Showtime',
+    MOVIE: 'Movie',
+    ROOM: 'Screen',
+    SEATS: 'Seats',
+    CINEMA: 'Cinema',
+    BOOKING_CODE: 'Booking code',
+    ADDRESS: 'Address',
+    COMBOS: 'Combos',
+    TERMS: 'Terms',
+    TERMS_TEXT: 'Show the QR code at the entrance. Tickets that were transferred, exchanged or cancelled are no longer valid.'
+  }
+};
+
+let cachedConfig;
+
+// Signing material and pass identity from the environment. Returns null
+// when passes are not set up on this server.
+const getPassConfig = () => {
+  if (cachedConfig !== undefined) return cachedConfig;
+  const {
+    WALLET_PASS_TYPE_ID,
+    WALLET_PASS_TEAM_ID,
+    WALLET_PASS_CERT_PATH,
+    WALLET_PASS_KEY_PATH,
+    WALLET_PASS_KEY_PASSPHRASE,
+    WALLET_PASS_WWDR_PATH,
+    WALLET_PASS_ASSETS_DIR
+  } = process.env;
+
+  if (!WALLET_PASS_TYPE_ID || !WALLET_PASS_TEAM_ID || !WALLET_PASS_CERT_PATH || !WALLET_PASS_KEY_PATH) {
+    cachedConfig = null;
+    return cachedConfig;
+  }
+
+  const images = {};
+  if (WALLET_PASS_ASSETS_DIR) {
+    PASS_IMAGES.forEach(name => {
+      const file = path.join(WALLET_PASS_ASSETS_DIR, name);
+      if (fs.existsSync(file)) images[name] = fs.readFileSync(file);
+    });
+  }
+
+  cachedConfig = {
+    passTypeIdentifier: WALLET_PASS_TYPE_ID,
+    teamIdentifier: WALLET_PASS_TEAM_ID,
+    organizationName: process.env.WALLET_PASS_ORGANIZATION || 'Quản lý vé',
+    webServiceURL: process.env.WALLET_PASS_WEB_SERVICE_URL,
+    backgroundColor: process.env.WALLET_PASS_BACKGROUND_COLOR || 'rgb(20, 20, 28)',
+    foregroundColor: process.env.WALLET_PASS_FOREGROUND_COLOR || 'rgb(255, 255, 255)',
+    labelColor: process.env.WALLET_PASS_LABEL_COLOR || 'rgb(230, 180, 60)',
+    signing: {
+      certificate: fs.readFileSync(WALLET_PASS_CERT_PATH),
+      privateKey: {
+        key: fs.readFileSync(WALLET_PASS_KEY_PATH),
+        passphrase: WALLET_PASS_KEY_PASSPHRASE
+      },
+      chain: WALLET_PASS_WWDR_PATH ? [fs.readFileSync(WALLET_PASS_WWDR_PATH)] : []
+    },
+    images
+  };
+  return cachedConfig;
+};
+
+const field = (key, label, value, extra = {}) => ({ key, label, value, ...extra });
+
+// pass.json for a ticket with movieId, cinemaId, roomId and scheduleId
+// populated. The barcode carries the same signed code as the ticket QR.
+const buildPassJson = (ticket, pass, config) => {
+  const schedule = ticket.scheduleId;
+  const cinema = ticket.cinemaId;
+  const bookingCode = ticket._id.toString().slice(-8).toUpperCase();
+  const barcode = {
+    format: 'PKBarcodeFormatQR',
+    message: ticket.qrCode,
+    messageEncoding: 'iso-8859-1',
+    altText: bookingCode
+  };
+  const coordinates = cinema.location && cinema.location.coordinates;
+
+  const passJson = {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeIdentifier,
+    teamIdentifier: config.teamIdentifier,
+    serialNumber: pass.serialNumber,
+    organizationName: config.organizationName,
+    description: `${ticket.movieId.title} - ${cinema.name}`,
+    logoText: cinema.name,
+    backgroundColor: config.backgroundColor,
+    foregroundColor: config.foregroundColor,
+    labelColor: config.labelColor,
+    relevantDate: schedule.startTime.toISOString(),
+    expirationDate: (schedule.endTime || schedule.startTime).toISOString(),
+    eventTicket: {
+      headerFields: [
+        field('showtime', 'SHOWTIME', schedule.startTime.toISOString(), {
+          dateStyle: 'PKDateStyleShort',
+          timeStyle: 'PKDateStyleShort',
+          changeMessage: '%@'
+        })
+      ],
+      primaryFields: [field('movie', 'MOVIE', ticket.movieId.title)],
+      secondaryFields: [
+        field('room', 'ROOM', ticket.roomId ? ticket.roomId.name : ''),
+        field('seats', 'SEATS', ticket.seats.map(seat => seat.code).join(', '), { changeMessage: '%@' })
+      ],
+      auxiliaryFields: [
+        field('cinema', 'CINEMA', cinema.name),
+        field('bookingCode', 'BOOKING_CODE', bookingCode)
+      ],
+      backFields: [
+        field('address', 'ADDRESS', cinema.address || ''),
+        ...(ticket.combos.length > 0
+          ? [field('combos', 'COMBOS', ticket.combos.map(combo => `${combo.name} x${combo.quantity}`).join('\n'))]
+          : []),
+        field('terms', 'TERMS', 'TERMS_TEXT')
+      ]
+    }
+  };
+
+  // Coordinates are stored [longitude, latitude]
+  if (coordinates && coordinates.length === 2) {
+    passJson.locations = [{
+      longitude: coordinates[0],
+      latitude: coordinates[1],
+      relevantText: `${ticket.movieId.title} - ${ticket.seats.map(seat => seat.code).join(', ')}`
+    }];
+  }
+  // A voided pass must not carry the code, which may belong to a new holder
+  if (pass.voided) {
+    passJson.voided = true;
+  } else {
+    passJson.barcode = barcode;
+    passJson.barcodes = [barcode];
+  }
+  if (config.webServiceURL) {
+    passJson.webServiceURL = config.webServiceURL;
+    passJson.authenticationToken = pass.authenticationToken;
+  }
+  return passJson;
+};
+
+const passStrings = strings => Object.entries(strings)
+  .map(([key, value]) => `"${key}" = "${value.replace(/"/g, '\\"')}";`)
+  .join('\n');
+
+// Signed .pkpass archive: pass.json, images, localized labels, a manifest of
+// SHA-1 hashes and a detached signature over the manifest
+const createPassBundle = (ticket, pass, config) => {
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify(buildPassJson(ticket, pass, config))),
+    ...config.images
+  };
+  Object.entries(PASS_STRINGS).forEach(([lang, strings]) => {
+    files[`${lang}.lproj/pass.strings`] = Buffer.from(passStrings(strings));
+  });
+
+  const manifest = {};
+  Object.entries(files).forEach(([name, content]) => {
+    manifest[name] = crypto.createHash('sha1').update(content).digest('hex');
+  });
+  files['manifest.json'] = Buffer.from(JSON.stringify(manifest));
+  files.signature = signDetached(files['manifest.json'], config.signing);
+
+  return createZip(files, pass.lastModified);
+};
+
+module.exports = {
+  getPassConfig,
+  buildPassJson,
+  createPassBundle
+};
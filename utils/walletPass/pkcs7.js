@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Detached PKCS#7 (CMS SignedData) signatures, as wallet apps expect for a
+// pass manifest. Only the DER needed for that is implemented here.
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2'
+};
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const tlv = (tag, ...contents) => {
+  const content = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+};
+
+const sequence = (...items) => tlv(0x30, ...items);
+// DER sorts the members of a SET OF by their encoding
+const set = (...items) => tlv(0x31, ...[...items].sort(Buffer.compare));
+const integer = value => tlv(0x02, Buffer.from([value]));
+const nullValue = () => Buffer.from([0x05, 0x00]);
+const octetString = value => tlv(0x04, value);
+
+const oid = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach(part => {
+    const encoded = [part & 0x7f];
+    for (let value = part >>> 7; value > 0; value >>>= 7) encoded.unshift(0x80 | (value & 0x7f));
+    bytes.push(...encoded);
+  });
+  return tlv(0x06, Buffer.from(bytes));
+};
+
+const utcTime = (date) => {
+  const pad = value => String(value).padStart(2, '0');
+  const text = `${pad(date.getUTCFullYear() % 100)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  return tlv(0x17, Buffer.from(text, 'latin1'));
+};
+
+// Header of the DER element at `offset`
+const readElement = (der, offset) => {
+  let length = der[offset + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + der[offset + 2 + i];
+    header += count;
+  }
+  return { tag: der[offset], start: offset, contentStart: offset + header, end: offset + header + length };
+};
+
+const children = (der, element) => {
+  const list = [];
+  for (let offset = element.contentStart; offset < element.end;) {
+    const child = readElement(der, offset);
+    list.push(child);
+    offset = child.end;
+  }
+  return list;
+};
+
+// First certificate of a PEM file
+const pemToDer = (pem) => {
+  const match = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/.exec(pem.toString());
+  if (!match) {
+    throw new Error('No PEM certificate found');
+  }
+  return Buffer.from(match[1].replace(/\s+/g, ''), 'base64');
+};
+
+// Raw issuer Name and serial number of a DER certificate, which identify
+// the signer in SignerInfo
+const issuerAndSerial = (certificate) => {
+  const tbs = children(certificate, readElement(certificate, 0))[0];
+  const fields = children(certificate, tbs);
+  const [serial, , issuer] = fields[0].tag === 0xa0 ? fields.slice(1) : fields;
+  return sequence(
+    certificate.subarray(issuer.start, issuer.end),
+    certificate.subarray(serial.start, serial.end)
+  );
+};
+
+// Detached signature over `content`. certificate and chain are PEM; the
+// chain (e.g. the wallet provider's intermediate) is embedded with the signer.
+const signDetached = (content, { certificate, privateKey, chain = [] }) => {
+  const signerCertificate = pemToDer(certificate);
+  const key = crypto.createPrivateKey(privateKey);
+  const signatureAlgorithm = key.asymmetricKeyType === 'ec'
+    ? sequence(oid(OID.ecdsaWithSha256))
+    : sequence(oid(OID.rsaEncryption), nullValue());
+  const digestAlgorithm = sequence(oid(OID.sha256), nullValue());
+
+  const attributes = [
+    sequence(oid(OID.contentType), set(oid(OID.data))),
+    sequence(oid(OID.signingTime), set(utcTime(new Date()))),
+    sequence(oid(OID.messageDigest), set(octetString(crypto.createHash('sha256').update(content).digest())))
+  ];
+  // The signature covers the attributes encoded as a SET; they are stored
+  // under the implicit [0] tag
+  const signedAttributes = set(...attributes);
+  const signature = crypto.sign('sha256', signedAttributes, key);
+
+  const signerInfo = sequence(
+    integer(1),
+    issuerAndSerial(signerCertificate),
+    digestAlgorithm,
+    Buffer.concat([Buffer.from([0xa0]), signedAttributes.subarray(1)]),
+    signatureAlgorithm,
+    octetString(signature)
+  );
+
+  const signedData = sequence(
+    integer(1),
+    set(digestAlgorithm),
+    sequence(oid(OID.data)),
+    tlv(0xa0, signerCertificate, ...chain.map(pemToDer)),
+    set(signerInfo)
+  );
+
+  return sequence(oid(OID.signedData), tlv(0xa0, signedData));
+};
+
+module.exports = { signDetached };
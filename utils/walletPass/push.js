@@ -0,0 +1,83 @@
+const http2 = require('http2');
+const { getPassConfig } = require('./index');
+
+// Wallet pass updates always go through production APNs
+const APNS_URL = process.env.WALLET_PASS_APNS_URL || 'https://api.push.apple.com';
+const APNS_TIMEOUT_MS = parseInt(process.env.WALLET_PASS_APNS_TIMEOUT_MS, 10) || 10 * 1000;
+
+// APNs replies that mean the token will never work again
+const isDeadToken = (status, reason) => status === 410 ||
+  (status === 400 && ['BadDeviceToken', 'DeviceTokenNotForTopic'].includes(reason));
+
+const pushOne = (client, token, topic) => new Promise((resolve, reject) => {
+  const request = client.request({
+    ':method': 'POST',
+    ':path': `/3/device/${token}`,
+    'apns-topic': topic,
+    'apns-push-type': 'background',
+    'apns-priority': '5'
+  });
+  let status;
+  let body = '';
+  request.setEncoding('utf8');
+  request.setTimeout(APNS_TIMEOUT_MS, () => {
+    request.close(http2.constants.NGHTTP2_CANCEL);
+    reject(new Error('APNs did not answer in time'));
+  });
+  request.on('response', headers => {
+    status = headers[':status'];
+  });
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    let reason;
+    try {
+      reason = body ? JSON.parse(body).reason : undefined;
+    } catch (error) {
+      reason = body;
+    }
+    resolve({ token, status, reason });
+  });
+  request.on('error', reject);
+  // Wallet pushes carry no content; the device asks our web service what changed
+  request.end('{}');
+});
+
+// Tell the devices holding a pass that it changed, signing in to APNs with
+// the pass certificate. Resolves to the tokens Apple says are gone for good;
+// throws when any push could not be delivered so the caller can retry.
+const sendPassPushes = async (pushTokens) => {
+  const config = getPassConfig();
+  if (!config || pushTokens.length === 0) {
+    return { sent: 0, deadTokens: [] };
+  }
+
+  const client = http2.connect(APNS_URL, {
+    cert: config.signing.certificate,
+    key: config.signing.privateKey.key,
+    passphrase: config.signing.privateKey.passphrase
+  });
+  let failConnection;
+  const connectionError = new Promise((resolve, reject) => {
+    failConnection = reject;
+  });
+  connectionError.catch(() => {});
+  client.on('error', error => failConnection(error));
+  try {
+    const results = await Promise.race([
+      Promise.all(pushTokens.map(token => pushOne(client, token, config.passTypeIdentifier))),
+      connectionError
+    ]);
+    const deadTokens = results.filter(r => isDeadToken(r.status, r.reason)).map(r => r.token);
+    const failed = results.filter(r => r.status !== 200 && !deadTokens.includes(r.token));
+    if (failed.length > 0) {
+      throw new Error(`APNs refused ${failed.length} pass update(s): ${failed.map(r => r.reason || r.status).join(', ')}`);
+    }
+    return { sent: results.length - deadTokens.length, deadTokens };
+  } finally {
+    client.close();
+  }
+};
+
+module.exports = { sendPassPushes };
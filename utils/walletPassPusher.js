@@ -0,0 +1,22 @@
+const WalletPass = require('../models/WalletPass');
+
+const RETRY_INTERVAL_MS = parseInt(process.env.WALLET_PASS_PUSH_INTERVAL_MS, 10) || 60 * 1000;
+
+// Push wallet pass updates that were committed but not delivered yet, either
+// because the process stopped first or APNs could not be reached
+const sendDuePushes = async () => {
+  const sent = await WalletPass.sendPendingPushes();
+  if (sent > 0) {
+    console.log(`Pushed ${sent} wallet pass update(s)`.gray);
+  }
+  return sent;
+};
+
+const startWalletPassPusher = () => {
+  const timer = setInterval(sendDuePushes, RETRY_INTERVAL_MS);
+  // Do not keep the process alive just for the pusher
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startWalletPassPusher, sendDuePushes };